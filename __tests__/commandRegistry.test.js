@@ -0,0 +1,92 @@
+// __tests__/commandRegistry.test.js - Coincidencia de comandos de texto (exacta, por prefijo y con argumentos)
+/* eslint-env jest */
+
+const { ConversationState, MemoryStorage, UserState } = require('botbuilder');
+const { CommandRegistry, normalizeCommandText } = require('../utilities/commandRegistry');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const handler = async () => {};
+
+const crearRegistro = () => new CommandRegistry()
+    .register({ name: 'resumen', handler })
+    .register({ name: 'limpiar historial', aliases: ['borrar historial'], handler })
+    .register({ name: 'mi info', aliases: ['info', 'perfil'], handler })
+    .register({
+        name: 'auditoria',
+        args: [
+            { name: 'usuario', required: true },
+            { name: 'desde', pattern: /^\d{4}-\d{2}-\d{2}$/ }
+        ],
+        handler
+    })
+    .register({
+        name: 'prompt guardar',
+        args: [
+            { name: 'versión', required: true, pattern: /^[\w.-]+$/ },
+            { name: 'texto', required: true, rest: true }
+        ],
+        handler
+    });
+
+describe('CommandRegistry.match', () => {
+    const registro = crearRegistro();
+
+    test('un comando sin argumentos solo coincide con el texto exacto', () => {
+        expect(registro.match('resumen').command.name).toBe('resumen');
+        expect(registro.match('  RESUMEN  ').command.name).toBe('resumen');
+        expect(registro.match('dame un resumen de mis tasas')).toBeNull();
+        expect(registro.match('resumen de mis tasas')).toBeNull();
+    });
+
+    test('los alias y los comandos de varias palabras se comparan sin acentos ni mayúsculas', () => {
+        expect(registro.match('Borrar   Historial').command.name).toBe('limpiar historial');
+        expect(registro.match('perfil').command.name).toBe('mi info');
+        expect(normalizeCommandText('  Auditoría  ')).toBe('auditoria');
+        expect(registro.match('Auditoría 91004').command.name).toBe('auditoria');
+    });
+
+    test('un comando con argumentos coincide por prefijo y valida la gramática', () => {
+        expect(registro.match('auditoria 91004 2026-01-31')).toMatchObject({
+            command: { name: 'auditoria' },
+            args: { usuario: '91004', desde: '2026-01-31' },
+            error: null
+        });
+    });
+
+    test('los argumentos que no cumplen la gramática no activan el comando (el texto va a la IA)', () => {
+        expect(registro.match('auditoria')).toBeNull();
+        expect(registro.match('auditoria 91004 ayer')).toBeNull();
+        expect(registro.match('auditoria 91004 2026-01-31 extra')).toBeNull();
+        expect(registro.match('prompt guardar')).toBeNull();
+    });
+
+    test('el argumento rest conserva el texto original con saltos de línea', () => {
+        const texto = 'Eres Nova Bot.\n\n  Responde en español.\nUsuario: {{nombre}}';
+
+        expect(registro.match(`prompt guardar v2 ${texto}`).args).toEqual({ 'versión': 'v2', texto });
+        expect(registro.match('prompt guardar v2\nPrimera línea\nSegunda línea').args.texto).toBe('Primera línea\nSegunda línea');
+    });
+});
+
+describe('registro de comandos del bot', () => {
+    let registro;
+
+    beforeAll(() => {
+        const { TeamsBot } = require('../bots/teamsBot');
+        const storage = new MemoryStorage();
+        registro = new TeamsBot(new ConversationState(storage), new UserState(storage)).commandRegistry;
+    });
+
+    test('"dame un resumen de mis tasas" no activa el comando resumen', () => {
+        expect(registro.match('dame un resumen de mis tasas')).toBeNull();
+        expect(registro.match('resumen').command.name).toBe('resumen');
+    });
+
+    test('un texto que empieza como comando pero no cumple su gramática se procesa con IA', () => {
+        expect(registro.match('login no me deja entrar')).toBeNull();
+        expect(registro.match('historial de mis pagos')).toBeNull();
+        expect(registro.match('login 91004:secreto').args['usuario:contraseña']).toBe('91004:secreto');
+    });
+});
@@ -0,0 +1,93 @@
+// __tests__/contextWindow.test.js - Ventana de contexto con presupuesto de tokens
+/* eslint-env jest */
+
+const { buildContextWindow } = require('../utilities/contextWindow');
+const { countMessageTokens, countMessagesTokens } = require('../utilities/tokenizer');
+
+const sistema = { role: 'system', content: 'Eres Nova Bot, asistente de la cooperativa.' };
+const actual = { role: 'user', content: '¿Qué me conviene más?' };
+const REPLY = 500;
+
+// Turno de historial: pregunta y respuesta del mismo tamaño
+const turno = tema => [
+    { role: 'user', content: `Pregunta sobre ${tema}. ${'detalle '.repeat(200)}` },
+    { role: 'assistant', content: `Respuesta sobre ${tema}. ${'dato '.repeat(200)}` }
+];
+const tokensTurno = mensajes => mensajes.reduce((total, message) => total + countMessageTokens(message), 0);
+
+// Sistema + turno en curso + respuesta: lo que se reserva antes del historial
+const fijos = (mensajes = [actual]) => countMessagesTokens([sistema, ...mensajes]) + REPLY;
+
+describe('buildContextWindow', () => {
+    const historial = [...turno('tarjetas'), ...turno('préstamos'), ...turno('inversiones')];
+    const tamanoTurno = tokensTurno(turno('tarjetas'));
+
+    test('conserva los turnos más recientes y comprime los más antiguos en una nota tras el sistema', () => {
+        // Caben dos turnos más la reserva de la nota (300), no los tres
+        const ventana = buildContextWindow({
+            messages: [sistema, ...historial, actual],
+            contextTokens: fijos() + 2 * tamanoTurno + 310,
+            replyTokens: REPLY
+        });
+
+        expect(ventana.messages[0]).toBe(sistema);
+        expect(ventana.messages[1]).toEqual({ role: 'system', content: expect.stringContaining('Contexto anterior recortado por longitud (1 turnos)') });
+        expect(ventana.messages[1].content).toContain('- Pregunta sobre tarjetas.');
+        expect(ventana.messages.slice(2)).toEqual([...turno('préstamos'), ...turno('inversiones'), actual]);
+        expect(ventana.stats).toMatchObject({ historyMessages: 6, keptMessages: 4, omittedMessages: 2, compressedTurns: 1, overflow: false });
+    });
+
+    test('sin espacio para la nota descarta los turnos sin comprimirlos', () => {
+        const ventana = buildContextWindow({
+            messages: [sistema, ...historial, actual],
+            contextTokens: fijos() + 15,
+            replyTokens: REPLY
+        });
+
+        expect(ventana.messages).toEqual([sistema, actual]);
+        expect(ventana.stats).toMatchObject({ keptMessages: 0, omittedMessages: 6, compressedTurns: 0 });
+    });
+
+    test('el esquema de herramientas se descuenta del presupuesto del historial', () => {
+        const tools = [{ type: 'function', function: { name: 'consultar_saldo_usuario', description: 'Consulta saldos '.repeat(100), parameters: {} } }];
+        const opciones = { messages: [sistema, ...historial, actual], contextTokens: fijos() + 3 * tamanoTurno, replyTokens: REPLY };
+
+        expect(buildContextWindow(opciones).stats.omittedMessages).toBe(0);
+        expect(buildContextWindow({ ...opciones, tools }).stats.omittedMessages).toBeGreaterThan(0);
+    });
+
+    test('max_tokens se reduce a lo que queda del contexto sin bajar del mínimo', () => {
+        const contexto = fijos() - REPLY;
+
+        expect(buildContextWindow({ messages: [sistema, actual], contextTokens: contexto + 300, replyTokens: 3000 }).maxTokens).toBe(300);
+
+        const desbordada = buildContextWindow({ messages: [sistema, actual], contextTokens: contexto + 100, replyTokens: 3000 });
+        expect(desbordada.maxTokens).toBe(256);
+        expect(desbordada.stats.overflow).toBe(true);
+    });
+});
+
+describe('buildContextWindow en el ciclo de herramientas', () => {
+    const turnoEnCurso = [
+        { role: 'user', content: '¿Cuál es mi saldo y qué tasa me conviene?' },
+        {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'consultar_saldo_usuario', arguments: '{}' } }]
+        },
+        { role: 'tool', tool_call_id: 'call_1', content: `Saldo: ${'movimiento '.repeat(300)}` }
+    ];
+
+    test('conserva completo el turno en curso y recorta el historial para dejar espacio a los resultados', () => {
+        const tamanoTurno = tokensTurno(turno('préstamos'));
+        const ventana = buildContextWindow({
+            messages: [sistema, ...turno('tarjetas'), ...turno('préstamos'), ...turnoEnCurso],
+            contextTokens: fijos(turnoEnCurso) + tamanoTurno + 310,
+            replyTokens: REPLY
+        });
+
+        expect(ventana.messages.slice(-5)).toEqual([...turno('préstamos'), ...turnoEnCurso]);
+        expect(ventana.stats.omittedMessages).toBe(2);
+        expect(ventana.stats.overflow).toBe(false);
+    });
+});
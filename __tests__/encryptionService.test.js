@@ -0,0 +1,130 @@
+// __tests__/encryptionService.test.js - Cifrado por sobre, rotación de llaves y falla cerrada
+/* eslint-env jest */
+
+const crypto = require('crypto');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const llave = () => crypto.randomBytes(32).toString('base64');
+const K1 = llave();
+const K2 = llave();
+
+// Cada configuración de llaves carga su propio singleton (y el script de rotación con él)
+const cargar = (env, modulo = '../services/encryptionService') => {
+    const anterior = { ...process.env };
+    Object.assign(process.env, { ENCRYPTION_KEYS: '', ENCRYPTION_ACTIVE_KEY_ID: '' }, env);
+
+    let cargado;
+    try {
+        jest.isolateModules(() => {
+            cargado = require(modulo);
+        });
+    } finally {
+        process.env = anterior;
+    }
+    return cargado;
+};
+
+describe('encryptionService', () => {
+    test('cifra y descifra cualquier valor serializable sin dejar el texto en el sobre', () => {
+        const servicio = cargar({ ENCRYPTION_KEYS: `k1:${K1}` });
+        const valor = { token: 'eyJ-bearer-de-nova', saldo: 1500.5 };
+
+        const sobre = servicio.encrypt(valor);
+
+        expect(sobre).toMatchObject({ v: 'nova-env-v1', kid: 'k1' });
+        expect(JSON.stringify(sobre)).not.toContain('eyJ-bearer-de-nova');
+        expect(servicio.decrypt(sobre)).toEqual(valor);
+        expect(servicio.encrypt(sobre)).toBe(sobre);
+    });
+
+    test('tras la rotación descifra con la llave anterior y rewrap cambia al id de la llave activa', () => {
+        const sobre = cargar({ ENCRYPTION_KEYS: `k1:${K1}` }).encrypt('token-original');
+        const rotado = cargar({ ENCRYPTION_KEYS: `k1:${K1},k2:${K2}`, ENCRYPTION_ACTIVE_KEY_ID: 'k2' });
+
+        expect(rotado.decrypt(sobre)).toBe('token-original');
+        expect(rotado.needsRewrap(sobre)).toBe(true);
+
+        const reenvuelto = rotado.rewrap(sobre);
+        expect(reenvuelto.kid).toBe('k2');
+        expect(reenvuelto.data).toEqual(sobre.data);
+        expect(rotado.needsRewrap(reenvuelto)).toBe(false);
+
+        // Sin la llave anterior solo se puede leer lo que ya se rotó
+        const soloNueva = cargar({ ENCRYPTION_KEYS: `k2:${K2}` });
+        expect(soloNueva.decrypt(reenvuelto)).toBe('token-original');
+        expect(() => soloNueva.decrypt(sobre)).toThrow('Llave de cifrado "k1" no disponible');
+    });
+
+    test('rewrapFields solo rota los campos cifrados con otra llave', () => {
+        const sobre = cargar({ ENCRYPTION_KEYS: `k1:${K1}` }).encrypt('Juan');
+        const rotado = cargar({ ENCRYPTION_KEYS: `k1:${K1},k2:${K2}`, ENCRYPTION_ACTIVE_KEY_ID: 'k2' });
+
+        const { value, changed } = rotado.rewrapFields({ nombre: sobre, usuario: '91004' }, ['nombre', 'usuario']);
+
+        expect(changed).toBe(true);
+        expect(value.nombre.kid).toBe('k2');
+        expect(value.usuario).toBe('91004');
+        expect(rotado.rewrapFields(value, ['nombre']).changed).toBe(false);
+    });
+
+    test('rechaza un texto cifrado alterado (etiqueta de autenticación GCM)', () => {
+        const servicio = cargar({ ENCRYPTION_KEYS: `k1:${K1}` });
+        const sobre = servicio.encrypt('token-original');
+        const ct = Buffer.from(sobre.data.ct, 'base64');
+        ct[0] ^= 0xff;
+
+        expect(() => servicio.decrypt({ ...sobre, data: { ...sobre.data, ct: ct.toString('base64') } })).toThrow();
+        expect(() => servicio.decrypt({ ...sobre, data: { ...sobre.data, tag: sobre.dek.tag } })).toThrow();
+    });
+
+    test('sin llaves falla cerrado fuera de development y test', () => {
+        const produccion = cargar({ NODE_ENV: 'production' });
+        const desarrollo = cargar({ NODE_ENV: 'development' });
+
+        expect(produccion.isEnabled()).toBe(false);
+        expect(() => produccion.encrypt('token')).toThrow('Cifrado en reposo no disponible');
+        expect(desarrollo.encrypt('token')).toBe('token');
+    });
+
+    test('una llave de tamaño inválido deshabilita el cifrado', () => {
+        const servicio = cargar({ NODE_ENV: 'production', ENCRYPTION_KEYS: `k1:${crypto.randomBytes(16).toString('base64')}` });
+
+        expect(servicio.getStats()).toMatchObject({ enabled: false, error: expect.stringContaining('32 bytes') });
+        expect(() => servicio.encrypt('token')).toThrow();
+    });
+});
+
+describe('scripts/rotateEncryptionKeys', () => {
+    test('rota mensajes, contenido de conversación y datos del usuario a la llave activa', () => {
+        let original;
+        let EncryptionKeyRotation;
+        const anterior = { ...process.env };
+
+        Object.assign(process.env, { ENCRYPTION_KEYS: `k1:${K1}`, ENCRYPTION_ACTIVE_KEY_ID: '' });
+        jest.isolateModules(() => {
+            original = require('../services/encryptionService');
+        });
+        Object.assign(process.env, { ENCRYPTION_KEYS: `k1:${K1},k2:${K2}`, ENCRYPTION_ACTIVE_KEY_ID: 'k2' });
+        jest.isolateModules(() => {
+            EncryptionKeyRotation = require('../scripts/rotateEncryptionKeys');
+        });
+        process.env = anterior;
+
+        const documento = {
+            id: 'msg-1',
+            documentType: 'conversation_messages_format',
+            message: original.encrypt('Mi saldo es 1500'),
+            messages: [{ role: 'user', content: original.encrypt('¿Cuál es mi saldo?') }],
+            userInfo: { usuario: '91004', token: original.encrypt('eyJ-bearer') }
+        };
+
+        const { updated, changed } = new EncryptionKeyRotation().rotateDocument(documento);
+
+        expect(changed).toBe(true);
+        expect([updated.message.kid, updated.messages[0].content.kid, updated.userInfo.token.kid]).toEqual(['k2', 'k2', 'k2']);
+        expect(new EncryptionKeyRotation().rotateDocument(updated).changed).toBe(false);
+    });
+});
@@ -0,0 +1,28 @@
+// __tests__/helpers/botInstances.js - Instancias del bot que comparten el mismo Storage
+/* eslint-env jest */
+
+const { MemoryStorage } = require('botbuilder');
+
+/**
+ * Cada instancia del bot carga su propio singleton del servicio (jest.isolateModules)
+ * y lo conecta a un MemoryStorage común, como varias réplicas detrás del mismo Storage.
+ * @param {Function} load - () => require('../services/<servicio>') (se resuelve desde el archivo de prueba)
+ * @returns {{ storage: MemoryStorage, instances: Array }}
+ */
+function createSharedInstances(load, count = 2) {
+    const storage = new MemoryStorage();
+    const instances = Array.from({ length: count }, () => {
+        let service;
+        jest.isolateModules(() => {
+            service = load();
+        });
+        service.setStorage(storage);
+        return service;
+    });
+
+    return { storage, instances };
+}
+
+module.exports = {
+    createSharedInstances
+};
@@ -0,0 +1,53 @@
+// __tests__/loginThrottleService.test.js - Bloqueos de login compartidos entre instancias del bot
+/* eslint-env jest */
+
+const { createSharedInstances } = require('./helpers/botInstances');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+describe('loginThrottleService con varias instancias', () => {
+    let storage;
+    let instanciaA;
+    let instanciaB;
+
+    beforeEach(() => {
+        ({ storage, instances: [instanciaA, instanciaB] } = createSharedInstances(() => require('../services/loginThrottleService')));
+    });
+
+    test('los fallos simultáneos de dos instancias se suman', async () => {
+        await Promise.all([
+            instanciaA.registerFailure('teams-a', '91004'),
+            instanciaB.registerFailure('teams-b', '91004')
+        ]);
+
+        const { failures } = await instanciaA.registerFailure('teams-c', '91004');
+        expect(failures).toBe(3);
+    });
+
+    test('un bloqueo en una instancia aplica en la otra y se puede listar y desbloquear', async () => {
+        for (let intento = 0; intento < instanciaA.maxFailures; intento++) {
+            await instanciaA.registerFailure('teams-a', '91004');
+        }
+
+        const check = await instanciaB.checkAttempt('teams-b', '91004');
+        expect(check).toEqual(expect.objectContaining({ allowed: false, reason: 'locked', key: 'usuario:91004' }));
+
+        const bloqueos = await instanciaB.listLockouts();
+        expect(bloqueos.map(bloqueo => bloqueo.key).sort()).toEqual(['teams:teams-a', 'usuario:91004']);
+
+        expect(await instanciaB.unlock('91004')).toEqual(['usuario:91004']);
+        expect((await instanciaA.checkAttempt('teams-b', '91004')).allowed).toBe(true);
+    });
+
+    test('los registros vencidos se eliminan del Storage', async () => {
+        await instanciaA.registerFailure('teams-a', null);
+
+        const storageKey = 'novabot/loginThrottle/teams:teams-a';
+        const items = await storage.read([storageKey]);
+        await storage.write({ [storageKey]: { ...items[storageKey], lastFailureAt: Date.now() - instanciaA.lockoutMs, nextAttemptAt: null } });
+
+        expect((await instanciaA.checkAttempt('teams-a', null)).allowed).toBe(true);
+        expect(await storage.read([storageKey])).toEqual({});
+    });
+});
@@ -0,0 +1,129 @@
+// __tests__/openaiService.test.js - procesarMensaje de punta a punta con el proveedor fake (sin red)
+/* eslint-env jest */
+
+process.env.LLM_PROVIDER = 'fake';
+
+// Los servicios registran su inicialización en consola
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const llmProvider = require('../services/llmProvider');
+const openaiService = require('../services/openaiService');
+const promptService = require('../services/promptService');
+const usageService = require('../services/usageService');
+
+const userInfo = { usuario: '91004', nombre: 'Juan Pérez', token: 'token-de-prueba' };
+
+describe('openaiService.procesarMensaje con LLM_PROVIDER=fake', () => {
+    const fake = llmProvider.provider;
+
+    beforeEach(() => {
+        fake.queue = [];
+        fake.calls = [];
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('responde con el texto del modelo y registra modelo y consumo', async () => {
+        const respuesta = await openaiService.procesarMensaje('¿Qué es un depósito a plazo?', [], userInfo.token, userInfo, 'conv-texto');
+
+        expect(respuesta.type).toBe('text');
+        expect(respuesta.content).toBe('[fake:gpt-4o-mini] ¿Qué es un depósito a plazo?');
+        expect(respuesta.metadata.modelUsed).toBe('gpt-4o-mini');
+        expect(respuesta.metadata.toolsUsed).toBe(false);
+        expect(respuesta.metadata.promptVersion).toBe(await promptService.getActiveVersion());
+        // Clasificador de intención + respuesta
+        expect(respuesta.metadata.usage.requests).toBe(2);
+        expect(fake.calls).toHaveLength(2);
+    });
+
+    test('ejecuta la herramienta pedida por el modelo y vuelve a llamarlo con el resultado', async () => {
+        fake
+            .enqueue({ content: JSON.stringify({ intents: ['perfil'], razon: 'pregunta por sus datos' }) })
+            .enqueue({
+                tool_calls: [{
+                    id: 'call_1',
+                    type: 'function',
+                    function: { name: 'obtener_informacion_usuario', arguments: '{}' }
+                }]
+            })
+            .enqueue({ content: 'Tu nombre es [NOMBRE_1] y tu usuario es [SOCIO_1].' });
+
+        const respuesta = await openaiService.procesarMensaje('¿Quién soy?', [], userInfo.token, userInfo, 'conv-herramienta');
+
+        expect(respuesta.metadata.routing.tools).toEqual(['obtener_informacion_usuario']);
+        expect(respuesta.metadata.toolTrace).toEqual([
+            expect.objectContaining({ tool: 'obtener_informacion_usuario', status: 'success' })
+        ]);
+        expect(fake.calls).toHaveLength(3);
+
+        const mensajeHerramienta = fake.calls[2].messages.find(message => message.role === 'tool');
+        expect(mensajeHerramienta.tool_call_id).toBe('call_1');
+        expect(mensajeHerramienta.content).toContain('[NOMBRE_1]');
+        // La ronda con resultados usa la ventana de contexto recalculada, no un max_tokens fijo
+        expect(fake.calls[2].max_tokens).toBe(fake.calls[1].max_tokens);
+
+        // Los marcadores se restauran en la respuesta al usuario
+        expect(respuesta.content).toBe('Tu nombre es Juan Pérez y tu usuario es 91004.');
+    });
+
+    test('los datos personales no llegan al proveedor', async () => {
+        await openaiService.procesarMensaje('Soy Juan, socio 91004, ¿cuál es mi saldo?', [], userInfo.token, userInfo, 'conv-pii');
+
+        const enviado = JSON.stringify(fake.calls.map(call => call.messages));
+        expect(enviado).not.toMatch(/Juan|Pérez|91004/);
+    });
+
+    test('los apellidos del resultado de la herramienta no llegan al proveedor', async () => {
+        const conApellidos = { usuario: '91005', nombre: 'Luis', paterno: 'Pérez', materno: 'Gómez', token: 'token-de-prueba' };
+        fake
+            .enqueue({ content: JSON.stringify({ intents: ['perfil'], razon: 'pregunta por sus datos' }) })
+            .enqueue({
+                tool_calls: [{
+                    id: 'call_1',
+                    type: 'function',
+                    function: { name: 'obtener_informacion_usuario', arguments: '{}' }
+                }]
+            })
+            .enqueue({ content: 'Tus apellidos son [APELLIDO_1] [APELLIDO_2].' });
+
+        const respuesta = await openaiService.procesarMensaje('¿Cuáles son mis apellidos?', [], conApellidos.token, conApellidos, 'conv-apellidos');
+
+        const enviado = JSON.stringify(fake.calls.map(call => call.messages));
+        expect(enviado).not.toMatch(/Pérez|Gómez/);
+        expect(enviado).toContain('Apellido Paterno**: [APELLIDO_1]');
+        expect(respuesta.content).toBe('Tus apellidos son Pérez Gómez.');
+    });
+
+    test('las respuestas sin llamada al modelo también registran la versión del prompt', async () => {
+        const version = await promptService.getActiveVersion();
+
+        const cuota = jest.spyOn(usageService, 'checkQuota')
+            .mockResolvedValueOnce({ allowed: false, period: 'daily', used: 1000, limit: 1000 });
+        const sinCuota = await openaiService.procesarMensaje('Hola', [], userInfo.token, userInfo, 'conv-cuota');
+        cuota.mockRestore();
+
+        const breaker = jest.spyOn(llmProvider, 'isHealthy').mockReturnValueOnce(false);
+        const degradada = await openaiService.procesarMensaje('Hola', [], userInfo.token, userInfo, 'conv-degradada');
+        breaker.mockRestore();
+
+        expect(sinCuota.metadata).toMatchObject({ quotaExceeded: true, promptVersion: version });
+        expect(degradada.metadata).toMatchObject({ degraded: true, promptVersion: version });
+        expect(fake.calls).toHaveLength(0);
+    });
+
+    test('consultar_api_nova solo se ofrece a administradores', () => {
+        const conRol = role => ({
+            usuario: '91006',
+            nombre: 'Ana',
+            token: ['e30', Buffer.from(JSON.stringify({ role })).toString('base64url'), 'firma'].join('.')
+        });
+        const herramientas = info => openaiService.getToolsForUser(info).map(tool => tool.function.name);
+
+        expect(herramientas(conRol('admin'))).toContain('consultar_api_nova');
+        expect(herramientas(conRol('soporte'))).not.toContain('consultar_api_nova');
+        expect(openaiService.canUseTool('consultar_api_nova', conRol('soporte'))).toBe(false);
+    });
+});
@@ -0,0 +1,106 @@
+// __tests__/piiService.test.js - Marcadores reversibles de datos personales (Pseudonymizer)
+/* eslint-env jest */
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const piiService = require('../services/piiService');
+
+const crearSesion = (userInfo = { usuario: '91004', nombre: 'Juan Pérez de la Rosa' }) =>
+    piiService.createSession(userInfo, 'conv-pii');
+
+describe('Pseudonymizer.mask', () => {
+    test('reemplaza el número de socio solo como número completo', () => {
+        const sesion = crearSesion();
+
+        expect(sesion.mask('Socio 91004, folio 1910045, referencia 910041 y cuenta A91004'))
+            .toBe('Socio [SOCIO_1], folio 1910045, referencia 910041 y cuenta A91004');
+    });
+
+    test('reemplaza el nombre completo y cada parte del nombre, sin artículos ni palabras que lo contienen', () => {
+        const sesion = crearSesion();
+
+        expect(sesion.mask('Juan Pérez de la Rosa')).toBe('[NOMBRE_1]');
+        expect(sesion.mask('Hola JUAN, la señora pérez y Rosa; Juanita no'))
+            .toBe('Hola [NOMBRE_2], la señora [NOMBRE_3] y [NOMBRE_4]; Juanita no');
+    });
+
+    test('el mismo valor recibe siempre el mismo marcador y los patrones se aplican antes que los nombres', () => {
+        const sesion = crearSesion();
+
+        expect(sesion.mask('Escribe a juan@nova.mx, juan@nova.mx')).toBe('Escribe a [EMAIL_1], [EMAIL_1]');
+        expect(sesion.mask('CLABE 012345678901234567')).toBe('CLABE [CLABE_1]');
+        expect(sesion.getSummary().byType).toEqual({ EMAIL: 2, CLABE: 1 });
+    });
+
+    test('aprende los campos sensibles de los resultados de herramientas', () => {
+        const sesion = crearSesion();
+        sesion.learn({ cuentas: [{ NumeroCuenta: '000123456', saldo: 1500 }] });
+
+        expect(sesion.mask('Tu cuenta 000123456 tiene 1500')).toBe('Tu cuenta [CUENTA_1] tiene 1500');
+    });
+});
+
+describe('Pseudonymizer.restore', () => {
+    test('restaura los marcadores conocidos y deja intactos los desconocidos', () => {
+        const sesion = crearSesion();
+        const original = 'Juan Pérez de la Rosa (socio 91004)';
+
+        expect(sesion.restore(sesion.mask(original))).toBe(original);
+        expect(sesion.restore('Hola [NOMBRE_2], tu cuenta [CUENTA_9]')).toBe('Hola Juan, tu cuenta [CUENTA_9]');
+    });
+
+    test('con json escapa el valor para los argumentos de herramientas', () => {
+        const sesion = crearSesion({ usuario: '91004', nombre: 'Ana "La Jefa" O\\Brien' });
+        const argumentos = sesion.restore('{"titular":"[NOMBRE_1]","socio":"[SOCIO_1]"}', { json: true });
+
+        expect(JSON.parse(argumentos)).toEqual({ titular: 'Ana "La Jefa" O\\Brien', socio: '91004' });
+    });
+});
+
+describe('Pseudonymizer.wrap', () => {
+    test('enmascara la solicitud, agrega la instrucción y restaura contenido y argumentos de herramientas', async () => {
+        const sesion = crearSesion({ usuario: '91004', nombre: 'Ana "La Jefa" Ruiz' });
+        const enviados = [];
+        const cliente = {
+            chat: {
+                completions: {
+                    create: async params => {
+                        enviados.push(params);
+                        return {
+                            choices: [{
+                                message: {
+                                    role: 'assistant',
+                                    content: 'Consulto el saldo de [NOMBRE_1]',
+                                    tool_calls: [{
+                                        id: 'call_1',
+                                        type: 'function',
+                                        function: { name: 'consultar_saldo_usuario', arguments: '{"socio":"[SOCIO_1]","titular":"[NOMBRE_1]"}' }
+                                    }]
+                                }
+                            }]
+                        };
+                    }
+                }
+            }
+        };
+
+        const respuesta = await sesion.wrap(cliente).chat.completions.create({
+            model: 'gpt-4o-mini',
+            messages: [
+                { role: 'system', content: 'Eres Nova Bot.' },
+                { role: 'user', content: '¿Cuál es el saldo de Ana "La Jefa" Ruiz, socio 91004?' }
+            ]
+        });
+
+        expect(enviados[0].messages).toEqual([
+            { role: 'system', content: 'Eres Nova Bot.' },
+            { role: 'system', content: expect.stringContaining('marcadores') },
+            { role: 'user', content: '¿Cuál es el saldo de [NOMBRE_1], socio [SOCIO_1]?' }
+        ]);
+
+        const mensaje = respuesta.choices[0].message;
+        expect(mensaje.content).toBe('Consulto el saldo de Ana "La Jefa" Ruiz');
+        expect(JSON.parse(mensaje.tool_calls[0].function.arguments)).toEqual({ socio: '91004', titular: 'Ana "La Jefa" Ruiz' });
+    });
+});
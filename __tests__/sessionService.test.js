@@ -0,0 +1,58 @@
+// __tests__/sessionService.test.js - Registro de sesiones compartido entre instancias del bot
+/* eslint-env jest */
+
+const { createSharedInstances } = require('./helpers/botInstances');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+describe('sessionService con varias instancias', () => {
+    let storage;
+    let instanciaA;
+    let instanciaB;
+
+    beforeEach(() => {
+        ({ storage, instances: [instanciaA, instanciaB] } = createSharedInstances(() => require('../services/sessionService')));
+    });
+
+    test('una revocación en una instancia cierra la sesión en la otra', async () => {
+        instanciaB.startSession('teams-b', null, Date.now() - 1000);
+        await instanciaB.registerSession({ teamsUserId: 'teams-b', conversationId: 'conv-b', usuario: '91004' });
+
+        expect(await instanciaB.isRevoked('teams-b', '91004')).toBe(false);
+
+        const revocadas = await instanciaA.revokeAllSessions('91004');
+
+        expect(revocadas).toBe(1);
+        expect(await instanciaB.isRevoked('teams-b', '91004')).toBe(true);
+    });
+
+    test('los registros simultáneos no se sobrescriben', async () => {
+        await Promise.all([
+            instanciaA.registerSession({ teamsUserId: 'teams-a', conversationId: 'conv-a', usuario: '91004' }),
+            instanciaB.registerSession({ teamsUserId: 'teams-b', conversationId: 'conv-b', usuario: '91004' })
+        ]);
+
+        const sesiones = await instanciaA.listSessions('91004');
+        expect(sesiones.map(sesion => sesion.teamsUserId).sort()).toEqual(['teams-a', 'teams-b']);
+    });
+
+    test('las sesiones vencidas se eliminan y el registro vacío se borra del Storage', async () => {
+        const expirado = Math.floor(Date.now() / 1000) - 60;
+        const token = `x.${Buffer.from(JSON.stringify({ exp: expirado })).toString('base64url')}.y`;
+
+        await instanciaA.registerSession({ teamsUserId: 'teams-a', conversationId: 'conv-a', usuario: '91004', token });
+
+        expect(await instanciaA.listSessions('91004')).toEqual([]);
+        expect(await storage.read(['novabot/sessions/91004'])).toEqual({});
+    });
+
+    test('cerrar sesión elimina solo las sesiones de ese usuario de Teams', async () => {
+        await instanciaA.registerSession({ teamsUserId: 'teams-a', conversationId: 'conv-a', usuario: '91004' });
+        await instanciaB.registerSession({ teamsUserId: 'teams-b', conversationId: 'conv-b', usuario: '91004' });
+
+        expect(await instanciaA.endSession('teams-a', '91004')).toBe(1);
+
+        const sesiones = await instanciaB.listSessions('91004');
+        expect(sesiones.map(sesion => sesion.teamsUserId)).toEqual(['teams-b']);
+    });
+});
@@ -0,0 +1,112 @@
+// __tests__/ssoService.test.js - Login SSO contra el IdP simulado (scripts/mockIdentityProvider.js)
+/* eslint-env jest */
+
+const { once } = require('events');
+const { ConversationState, MemoryStorage, TestAdapter, UserState } = require('botbuilder');
+const MockIdentityProvider = require('../scripts/mockIdentityProvider');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+describe('login SSO con el IdP simulado', () => {
+    let idp;
+    let server;
+    let ssoService;
+    let bot;
+
+    beforeAll(async () => {
+        idp = new MockIdentityProvider();
+        idp.port = 0;
+        server = idp.start();
+        await once(server, 'listening');
+
+        const url = `http://127.0.0.1:${server.address().port}`;
+        process.env.SSO_ENABLED = 'true';
+        process.env.SSO_MOCK_IDP_URL = url;
+        process.env.NOVA_SSO_EXCHANGE_URL = `${url}/nova/sso/exchange`;
+
+        // El registro de comandos depende del modo SSO: se cargan después de configurar el entorno
+        ssoService = require('../services/ssoService');
+        const { TeamsBot } = require('../bots/teamsBot');
+        const storage = new MemoryStorage();
+        bot = new TeamsBot(new ConversationState(storage), new UserState(storage));
+    });
+
+    afterAll(async () => {
+        server.close();
+        await once(server, 'close');
+        delete process.env.SSO_ENABLED;
+        delete process.env.SSO_MOCK_IDP_URL;
+        delete process.env.NOVA_SSO_EXCHANGE_URL;
+    });
+
+    test('el servicio queda en modo IdP simulado', () => {
+        expect(ssoService.isEnabled()).toBe(true);
+        expect(ssoService.isMockMode()).toBe(true);
+        expect(bot.cardActions.get('sso_mock')).not.toBeNull();
+    });
+
+    test('fuera de development y test ignora el IdP simulado', () => {
+        const nodeEnv = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'production';
+
+        let produccion;
+        try {
+            jest.isolateModules(() => {
+                produccion = require('../services/ssoService');
+            });
+        } finally {
+            process.env.NODE_ENV = nodeEnv;
+        }
+
+        expect(produccion.isMockMode()).toBe(false);
+        expect(produccion.isEnabled()).toBe(false);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('SSO_MOCK_IDP_URL ignorada'));
+    });
+
+    test('el token del IdP se intercambia por una sesión Nova', async () => {
+        const idpToken = await ssoService.getMockIdpToken('91004');
+        const loginResponse = await bot.authenticateWithSso(idpToken, 'teams-sso');
+
+        expect(loginResponse.success).toBe(true);
+        expect(loginResponse.userInfo).toMatchObject({ usuario: '91004', nombre: 'Usuario 91004' });
+        expect(loginResponse.userInfo.token).toEqual(expect.any(String));
+    });
+
+    test('rechaza un token alterado', async () => {
+        const idpToken = await ssoService.getMockIdpToken('91004');
+        const [header, , signature] = idpToken.split('.');
+        const body = idp.base64Url(JSON.stringify({ aud: idp.audience, sub: '99999', exp: Math.floor(Date.now() / 1000) + 60 }));
+
+        const loginResponse = await bot.authenticateWithSso(`${header}.${body}.${signature}`, 'teams-sso');
+
+        expect(loginResponse).toMatchObject({ success: false, reason: 'invalid_credentials', message: 'Token SSO inválido o expirado' });
+    });
+
+    test('rechaza un token expirado', async () => {
+        const lifetime = idp.tokenLifetimeSeconds;
+        idp.tokenLifetimeSeconds = -1;
+        const idpToken = await ssoService.getMockIdpToken('91004');
+        idp.tokenLifetimeSeconds = lifetime;
+
+        const loginResponse = await bot.authenticateWithSso(idpToken, 'teams-sso');
+
+        expect(loginResponse.success).toBe(false);
+    });
+
+    test('el submit de la tarjeta SSO inicia la sesión del usuario', async () => {
+        const adapter = new TestAdapter(context => bot.run(context));
+        const replies = [];
+        adapter.onTurnError = async (context, error) => { throw error; };
+
+        await adapter.send({
+            type: 'message',
+            from: { id: 'teams-sso-card', name: 'Usuario SSO' },
+            value: { action: 'sso_mock', ssoUser: '91004' }
+        }).assertReply(activity => replies.push(activity)).startTest();
+
+        expect(replies.map(activity => activity.text).join('\n')).toContain('Login exitoso con SSO');
+        expect(bot.authenticatedUsers.get('teams-sso-card')).toMatchObject({ usuario: '91004' });
+    });
+});
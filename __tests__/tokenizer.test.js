@@ -0,0 +1,39 @@
+// __tests__/tokenizer.test.js - Conteo de tokens con el BPE de OpenAI
+/* eslint-env jest */
+
+const { encodingForModel, countTokens, countMessagesTokens, truncateToTokens } = require('../utilities/tokenizer');
+
+describe('tokenizer', () => {
+    test('elige la codificación del modelo', () => {
+        expect(encodingForModel('gpt-4o-mini')).toBe('o200k_base');
+        expect(encodingForModel('gpt-4o')).toBe('o200k_base');
+        expect(encodingForModel('gpt-4-turbo')).toBe('cl100k_base');
+        expect(encodingForModel('gpt-35-turbo')).toBe('cl100k_base');
+        expect(encodingForModel(null)).toBe('o200k_base');
+    });
+
+    test('cuenta los tokens reales de cl100k_base y o200k_base', () => {
+        // Ejemplo de la documentación de tiktoken: [83, 1609, 5963, 374, 2294, 0]
+        expect(countTokens('tiktoken is great!', 'cl100k_base')).toBe(6);
+        expect(countTokens('hello world', 'o200k_base')).toBe(2);
+        expect(countTokens('')).toBe(0);
+        // Los tokens especiales del texto del usuario se cuentan como texto
+        expect(countTokens('<|endoftext|>')).toBeGreaterThan(1);
+    });
+
+    test('suma el costo fijo de cada mensaje y de la respuesta', () => {
+        const mensajes = [{ role: 'system', content: 'hello world' }, { role: 'user', content: 'hello world' }];
+
+        expect(countMessagesTokens(mensajes)).toBe(3 + 2 * (4 + 2));
+    });
+
+    test('recorta a un máximo de tokens con el sufijo incluido', () => {
+        const texto = 'uno dos tres cuatro cinco seis siete ocho nueve diez';
+        const recortado = truncateToTokens(texto, 5);
+
+        expect(recortado.endsWith('…')).toBe(true);
+        expect(countTokens(recortado)).toBeLessThanOrEqual(5);
+        expect(truncateToTokens('corto', 5)).toBe('corto');
+        expect(truncateToTokens('ñandú '.repeat(10), 4)).not.toContain('�');
+    });
+});
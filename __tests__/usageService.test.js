@@ -0,0 +1,125 @@
+// __tests__/usageService.test.js - Contabilidad de tokens por día y cuotas
+/* eslint-env jest */
+
+process.env.USAGE_DAILY_TOKEN_QUOTA = '1000';
+process.env.USAGE_MONTHLY_TOKEN_QUOTA = '0';
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const cosmosService = require('../services/cosmosService');
+const usageService = require('../services/usageService');
+
+const consumo = (promptTokens, completionTokens) => ({
+    'gpt-4o-mini': { promptTokens, completionTokens, requests: 1 }
+});
+
+// Contenedor de Cosmos DB en memoria con `_etag`, IfMatch y conflicto de creación; cada operación cede el turno
+const crearContenedor = () => {
+    const docs = new Map();
+    let version = 0;
+    const ceder = () => new Promise(resolve => setImmediate(resolve));
+    const conflicto = code => Object.assign(new Error(`Conflicto ${code}`), { code });
+    const guardar = body => {
+        const resource = { ...body, _etag: `etag-${++version}` };
+        docs.set(body.id, resource);
+        return { resource: { ...resource } };
+    };
+
+    return {
+        docs,
+        item: id => ({
+            read: async () => {
+                await ceder();
+                return { resource: docs.has(id) ? { ...docs.get(id) } : undefined };
+            },
+            replace: async (body, { accessCondition }) => {
+                await ceder();
+                if (docs.get(id)?._etag !== accessCondition.condition) {
+                    throw conflicto(412);
+                }
+                return guardar(body);
+            }
+        }),
+        items: {
+            create: async body => {
+                await ceder();
+                if (docs.has(body.id)) {
+                    throw conflicto(409);
+                }
+                return guardar(body);
+            }
+        }
+    };
+};
+
+describe('usageService.recordUsage', () => {
+    beforeEach(() => {
+        usageService.memory.clear();
+    });
+
+    afterEach(() => {
+        cosmosService.isAvailable.mockRestore?.();
+        delete cosmosService.container;
+    });
+
+    test('suma tokens, solicitudes y costo por modelo en el documento del día', async () => {
+        await usageService.recordUsage('91004', consumo(1000, 500));
+        const doc = await usageService.recordUsage('91004', consumo(200, 100));
+
+        expect(doc).toMatchObject({ promptTokens: 1200, completionTokens: 600, totalTokens: 1800, requests: 2 });
+        expect(doc.byModel['gpt-4o-mini'].requests).toBe(2);
+        expect(doc.costUsd).toBeCloseTo((1200 * 0.15 + 600 * 0.60) / 1000000);
+    });
+
+    test('turnos simultáneos en memoria no se pisan', async () => {
+        await Promise.all([
+            usageService.recordUsage('91004', consumo(100, 10)),
+            usageService.recordUsage('91004', consumo(100, 10)),
+            usageService.recordUsage('91004', consumo(100, 10))
+        ]);
+
+        expect((await usageService.getDailyUsage('91004')).totalTokens).toBe(330);
+    });
+
+    test('con Cosmos DB los turnos simultáneos reintentan ante un conflicto de eTag', async () => {
+        const contenedor = crearContenedor();
+        jest.spyOn(cosmosService, 'isAvailable').mockReturnValue(true);
+        cosmosService.container = contenedor;
+
+        const docs = await Promise.all([
+            usageService.recordUsage('91004', consumo(100, 10)),
+            usageService.recordUsage('91004', consumo(100, 10)),
+            usageService.recordUsage('91004', consumo(100, 10))
+        ]);
+
+        expect(docs.every(Boolean)).toBe(true);
+        const guardado = contenedor.docs.get(usageService.buildUsageId('91004', usageService.today()));
+        expect(guardado).toMatchObject({ totalTokens: 330, requests: 3, partitionKey: '91004' });
+    });
+});
+
+describe('usageService cuotas', () => {
+    beforeEach(() => {
+        usageService.memory.clear();
+        usageService.memoryQuotas.clear();
+    });
+
+    test('bloquea al usuario que alcanzó la cuota diaria default', async () => {
+        expect((await usageService.checkQuota('91004')).allowed).toBe(true);
+
+        await usageService.recordUsage('91004', consumo(900, 100));
+
+        expect(await usageService.checkQuota('91004')).toEqual({ allowed: false, period: 'daily', used: 1000, limit: 1000 });
+    });
+
+    test('la excepción de un admin reemplaza la cuota default y null vuelve a ella', async () => {
+        await usageService.recordUsage('91004', consumo(900, 100));
+
+        expect(await usageService.setQuota('91004', 'daily', 0, 'admin')).toEqual({ daily: 0, monthly: 0, custom: true });
+        expect((await usageService.checkQuota('91004')).allowed).toBe(true);
+
+        await usageService.setQuota('91004', 'daily', null, 'admin');
+        expect((await usageService.checkQuota('91004')).allowed).toBe(false);
+    });
+});
@@ -5,6 +5,20 @@ const axios = require('axios');
 const openaiService = require('../services/openaiService');
 const cosmosService = require('../services/cosmosService');
 const conversationService = require('../services/conversationService');
+const sessionService = require('../services/sessionService');
+const loginThrottleService = require('../services/loginThrottleService');
+const encryptionService = require('../services/encryptionService');
+const permissionService = require('../services/permissionService');
+const { ROLES } = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const userDirectoryService = require('../services/userDirectoryService');
+const ssoService = require('../services/ssoService');
+const usageService = require('../services/usageService');
+const promptService = require('../services/promptService');
+const { AUDIT_EVENTS } = require('../services/auditService');
+const { isSessionExpiredError } = require('../utilities/http_utils');
+const { CommandRegistry } = require('../utilities/commandRegistry');
+const { createCardActionRegistry, handleCardSubmit } = require('../utilities/procesar_card');
 require('dotenv').config();
 
 class TeamsBot extends DialogBot {
@@ -14,6 +28,14 @@ class TeamsBot extends DialogBot {
         global.botInstance = this;
         this.authenticatedUsers = new Map();
         this.authState = this.userState.createProperty('AuthState');
+        // ✅ Solicitud interrumpida por falta de sesión: se retoma tras el login
+        this.pendingRequestState = this.conversationState.createProperty('PendingRequest');
+        this.pendingRequestMaxAgeMs = 10 * 60 * 1000;
+
+        // ✅ Comandos de texto: nombre, alias, argumentos, autenticación, roles y ayuda
+        this.commandRegistry = this.createCommandRegistry();
+        // ✅ Acciones de botones de tarjetas adaptativas (data.action)
+        this.cardActions = this.createCardActionRegistry();
         this.loginCardSentUsers = new Set();
         this.welcomeMessageSent = new Set();
         
@@ -28,6 +50,272 @@ class TeamsBot extends DialogBot {
         console.log(`💾 Persistencia: ${cosmosService.isAvailable() ? 'Cosmos DB activa' : 'Solo memoria'}`);
     }
 
+    /**
+     * Registro de comandos de texto. Solo coinciden por palabras completas al inicio del mensaje;
+     * cualquier otro texto se procesa con IA.
+     */
+    createCommandRegistry() {
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        const versionPattern = /^[\w.-]+$/;
+        const registry = new CommandRegistry();
+
+        // 🔐 SESIÓN (sin autenticación)
+        registry
+            .register({
+                name: 'login-card',
+                aliases: ['card-login'],
+                requiresAuth: false,
+                hidden: true,
+                description: 'Mostrar la tarjeta de login',
+                handler: (context) => this.showLoginCard(context, 'manualRequest')
+            })
+            .register({
+                name: 'login',
+                args: [{ name: 'usuario:contraseña', required: true, pattern: /^[^\s:]+:\S/, rest: true }],
+                requiresAuth: false,
+                hidden: true,
+                description: 'Login por texto',
+                handler: (context, { args }) => this.handleTextLogin(context, args['usuario:contraseña'] || '')
+            })
+            .register({
+                name: 'logout',
+                aliases: ['cerrar sesion', 'salir'],
+                requiresAuth: false,
+                category: '👤 Comandos de Usuario',
+                description: 'Cerrar sesión',
+                handler: (context, { userId }) => this.handleLogout(context, userId)
+            });
+
+        // 📚 HISTORIAL
+        registry
+            .register({
+                name: 'historial',
+                category: '📚 Comandos de Historial',
+                description: 'Ver últimos mensajes en formato role/content',
+                handler: (context, { userId, conversationId }) => this.showConversationHistory(context, userId, conversationId)
+            })
+            .register({
+                name: 'resumen',
+                category: '📚 Comandos de Historial',
+                description: 'Resumen inteligente de la conversación',
+                handler: (context, { userId, conversationId }) => this.showConversationSummary(context, userId, conversationId)
+            })
+            .register({
+                name: 'limpiar historial',
+                aliases: ['borrar historial', 'eliminar historial'],
+                category: '📚 Comandos de Historial',
+                description: 'Eliminar cache de mensajes',
+                handler: (context, { userId, conversationId }) => this.limpiarHistorial(context, userId, conversationId)
+            });
+
+        // 🤖 CONVERSACIÓN OpenAI
+        registry.register({
+            name: 'limpiar conversacion',
+            aliases: ['limpiar formato openai'],
+            category: '🤖 Comandos OpenAI',
+            description: 'Limpiar formato OpenAI',
+            handler: (context, { userId, conversationId }) => this.limpiarConversacionFormatoOpenAI(context, userId, conversationId)
+        });
+
+        // 👤 USUARIO
+        registry
+            .register({
+                name: 'mi info',
+                aliases: ['info', 'perfil'],
+                category: '👤 Comandos de Usuario',
+                description: 'Ver tu información completa',
+                handler: (context, { userId }) => this.showUserInfo(context, userId)
+            })
+            .register({
+                name: 'sesiones',
+                aliases: ['mis sesiones'],
+                category: '👤 Comandos de Usuario',
+                description: 'Ver tus sesiones activas',
+                handler: (context, { userId }) => this.showActiveSessions(context, userId)
+            })
+            .register({
+                name: 'mi consumo',
+                aliases: ['mis tokens'],
+                category: '👤 Comandos de Usuario',
+                description: 'Ver tu consumo de tokens y tu cuota',
+                handler: (context, { userId }) => this.showMyUsage(context, userId)
+            })
+            .register({
+                name: 'cerrar sesión en todos',
+                category: '👤 Comandos de Usuario',
+                description: 'Cerrar todas tus sesiones',
+                handler: (context, { userId }) => this.handleRevokeAllSessions(context, userId)
+            })
+            .register({
+                name: 'ayuda',
+                aliases: ['help'],
+                category: '👤 Comandos de Usuario',
+                description: 'Mostrar esta ayuda',
+                handler: (context, { userId }) => this.showHelp(context, userId)
+            });
+
+        // 🛡️ ADMINISTRACIÓN
+        registry
+            .register({
+                name: 'bloqueos',
+                roles: [ROLES.ADMIN],
+                category: '🛡️ Administración',
+                description: 'Ver cuentas bloqueadas por intentos fallidos',
+                handler: (context) => this.showLockouts(context)
+            })
+            .register({
+                name: 'desbloquear',
+                args: [{ name: 'usuario', required: true }],
+                roles: [ROLES.ADMIN],
+                category: '🛡️ Administración',
+                description: 'Liberar una cuenta bloqueada',
+                handler: (context, { userId, args }) => this.handleUnlockCommand(context, userId, args.usuario)
+            })
+            .register({
+                name: 'auditoria',
+                args: [
+                    { name: 'usuario', required: true },
+                    { name: 'desde AAAA-MM-DD', pattern: datePattern },
+                    { name: 'hasta AAAA-MM-DD', pattern: datePattern }
+                ],
+                roles: [ROLES.ADMIN],
+                category: '🛡️ Administración',
+                description: 'Consultar la bitácora de auditoría (default: últimos 7 días)',
+                handler: (context, { args }) => this.handleAuditQueryCommand(context, args.usuario, args['desde AAAA-MM-DD'], args['hasta AAAA-MM-DD'])
+            })
+            .register({
+                name: 'admin consumo',
+                args: [
+                    { name: 'desde AAAA-MM-DD', pattern: datePattern },
+                    { name: 'hasta AAAA-MM-DD', pattern: datePattern }
+                ],
+                roles: [ROLES.ADMIN],
+                category: '🛡️ Administración',
+                description: 'Reporte de consumo de tokens y costo (default: mes en curso)',
+                handler: (context, { args }) => this.handleUsageReportCommand(context, args['desde AAAA-MM-DD'], args['hasta AAAA-MM-DD'])
+            })
+            .register({
+                name: 'admin cuota',
+                args: [
+                    { name: 'usuario', required: true },
+                    { name: 'diaria|mensual', pattern: /^(diaria|mensual)$/ },
+                    { name: 'tokens|default', pattern: /^(\d+|default)$/ }
+                ],
+                roles: [ROLES.ADMIN],
+                category: '🛡️ Administración',
+                description: 'Ver o definir la cuota de tokens de un usuario (0 = sin límite)',
+                handler: (context, { userId, args, command }) => this.handleQuotaCommand(context, userId, command, args.usuario, args['diaria|mensual'], args['tokens|default'])
+            })
+            .register({
+                name: 'prompts',
+                roles: [ROLES.ADMIN],
+                category: '🛡️ Administración',
+                description: 'Ver las versiones del prompt, la activa y la persona de esta conversación',
+                handler: (context) => this.showPrompts(context)
+            })
+            .register({
+                name: 'prompt ver',
+                args: [{ name: 'versión', required: true, pattern: versionPattern }],
+                roles: [ROLES.ADMIN],
+                category: '🛡️ Administración',
+                description: 'Ver el texto de una versión del prompt',
+                handler: (context, { args }) => this.showPromptTemplate(context, args['versión'])
+            })
+            .register({
+                name: 'prompt activar',
+                args: [{ name: 'versión', required: true, pattern: versionPattern }],
+                roles: [ROLES.ADMIN],
+                category: '🛡️ Administración',
+                description: 'Usar una versión del prompt en todas las conversaciones',
+                handler: (context, { userId, args }) => this.handlePromptActivateCommand(context, userId, args['versión'])
+            })
+            .register({
+                name: 'prompt guardar',
+                args: [
+                    { name: 'versión', required: true, pattern: versionPattern },
+                    { name: 'texto', required: true, rest: true }
+                ],
+                roles: [ROLES.ADMIN],
+                category: '🛡️ Administración',
+                description: 'Crear una versión nueva del prompt (el texto puede tener varias líneas)',
+                handler: (context, { userId, args }) => this.handlePromptSaveCommand(context, userId, args['versión'], args.texto)
+            })
+            .register({
+                name: 'persona',
+                args: [
+                    { name: 'tenant|canal|chat', required: true, pattern: /^(tenant|canal|chat)$/ },
+                    { name: 'texto|default', rest: true }
+                ],
+                roles: [ROLES.ADMIN],
+                category: '🛡️ Administración',
+                description: 'Ver o definir la persona del asistente para este tenant, canal o chat grupal',
+                handler: (context, { userId, args }) => this.handlePersonaCommand(context, userId, args['tenant|canal|chat'], args['texto|default'])
+            });
+
+        // 🧪 DIAGNÓSTICO
+        registry
+            .register({
+                name: 'test-card',
+                aliases: ['test'],
+                roles: [ROLES.ADMIN, ROLES.SOPORTE],
+                category: '🧪 Diagnóstico',
+                description: 'Probar el envío de tarjetas',
+                handler: (context) => this.runCardTests(context)
+            })
+            .register({
+                name: 'debug-api',
+                args: [{ name: 'usuario', required: true }, { name: 'contraseña', required: true }],
+                roles: [ROLES.ADMIN],
+                category: '🧪 Diagnóstico',
+                description: 'Probar el login contra Nova',
+                handler: (context, { args }) => this.debugNovaAPI(context, args.usuario, args['contraseña'])
+            })
+            .register({
+                name: 'clear-protection',
+                roles: [ROLES.ADMIN],
+                category: '🧪 Diagnóstico',
+                description: 'Reiniciar la protección de tarjetas de login y bienvenida',
+                handler: async (context) => {
+                    this.loginCardSentUsers.clear();
+                    this.welcomeMessageSent.clear();
+                    await context.sendActivity('🧹 **Protección limpiada** - Puedes probar login nuevamente');
+                }
+            });
+
+        return registry;
+    }
+
+    /**
+     * Registro de acciones de tarjetas: las genéricas de procesar_card más las del bot
+     */
+    createCardActionRegistry() {
+        const registry = createCardActionRegistry();
+
+        registry
+            .register({
+                name: 'login',
+                requiresAuth: false,
+                handler: (context) => this.handleLoginSubmit(context)
+            })
+            .register({
+                name: 'test',
+                roles: [ROLES.ADMIN, ROLES.SOPORTE],
+                handler: (context, data) => context.sendActivity(`🧪 **Test Submit recibido**: ${data.testInput || '(vacío)'}`)
+            });
+
+        // 🪪 SSO CON IdP SIMULADO (desarrollo local)
+        if (ssoService.isMockMode()) {
+            registry.register({
+                name: 'sso_mock',
+                requiresAuth: false,
+                required: ['ssoUser'],
+                handler: (context) => this.handleMockSsoSubmit(context)
+            });
+        }
+
+        return registry;
+    }
+
     /**
      * ✅ NUEVO: Agregar mensaje al cache con límite de 5 por tipo
      */
@@ -104,10 +392,19 @@ class TeamsBot extends DialogBot {
         }
     }
 
+    /**
+     * Dueño de la conversación en Cosmos DB: el usuario Nova (cveUsuario), no el id de Teams,
+     * para que el historial sobreviva a reinicios, conversaciones nuevas y otros clientes
+     */
+    getConversationOwnerId(userId) {
+        return this.authenticatedUsers.get(userId)?.usuario || userId;
+    }
+
     /**
      * ✅ MEJORADO: Guardar mensaje en todos los sistemas
+     * @param {Object} responseMetadata - { promptVersion, modelUsed } de la respuesta del bot
      */
-    async guardarMensajeEnHistorial(mensaje, tipo, conversationId, userId, userName = 'Usuario') {
+    async guardarMensajeEnHistorial(mensaje, tipo, conversationId, userId, userName = 'Usuario', responseMetadata = null) {
         try {
             if (!mensaje || !conversationId || !userId) {
                 console.warn('⚠️ Parámetros insuficientes para guardar mensaje');
@@ -123,13 +420,16 @@ class TeamsBot extends DialogBot {
 
             // ✅ 2. Guardar en Cosmos DB si está disponible (formato individual - mantener compatibilidad)
             if (cosmosService.isAvailable()) {
+                const ownerId = this.getConversationOwnerId(userId);
+
                 try {
                     await cosmosService.saveMessage(
                         mensaje,
                         conversationId,
-                        userId,
+                        ownerId,
                         userName,
-                        tipo
+                        tipo,
+                        responseMetadata
                     );
                     console.log(`✅ [${userId}] Mensaje guardado en Cosmos DB (formato individual)`);
                 } catch (cosmosError) {
@@ -140,10 +440,11 @@ class TeamsBot extends DialogBot {
                 try {
                     await cosmosService.addMessageToConversation(
                         conversationId,
-                        userId,
+                        ownerId,
                         role,
                         mensaje,
-                        { nombre: userName }
+                        { nombre: userName },
+                        responseMetadata
                     );
                     console.log(`🤖 [${userId}] Mensaje guardado en formato OpenAI`);
                 } catch (openaiError) {
@@ -152,7 +453,7 @@ class TeamsBot extends DialogBot {
             }
 
             // ✅ 4. Backup en conversationService
-            await conversationService.saveMessage(mensaje, conversationId, tipo === 'bot' ? 'bot' : userId);
+            await conversationService.saveMessage(mensaje, conversationId, tipo === 'bot' ? 'bot' : userId, responseMetadata);
 
             console.log(`✅ [${userId}] Mensaje guardado en todos los sistemas disponibles`);
             return true;
@@ -334,7 +635,7 @@ class TeamsBot extends DialogBot {
             // ✅ 2. Limpiar Cosmos DB
             if (cosmosService.isAvailable()) {
                 try {
-                    const eliminadosCosmosDB = await cosmosService.cleanOldMessages(conversationId, userId, 0);
+                    const eliminadosCosmosDB = await cosmosService.cleanOldMessages(conversationId, this.getConversationOwnerId(userId), 0);
                     mensajesEliminados += eliminadosCosmosDB;
                     console.log(`🧹 [${userId}] Cosmos DB limpiado: ${eliminadosCosmosDB} mensajes`);
                 } catch (cosmosError) {
@@ -359,18 +660,20 @@ class TeamsBot extends DialogBot {
     /**
      * ✅ MEJORADO: Procesar mensaje con guardado en formato role/content
      */
-    async processAuthenticatedMessage(context, text, userId, conversationId) {
+    async processAuthenticatedMessage(context, text, userId, conversationId, { saveUserMessage = true } = {}) {
         try {
             const userInfo = this.authenticatedUsers.get(userId);
             
-            // ✅ 1. GUARDAR MENSAJE DEL USUARIO
-            await this.guardarMensajeEnHistorial(
-                text,
-                'user',
-                conversationId,
-                userId,
-                userInfo?.nombre || 'Usuario'
-            );
+            // ✅ 1. GUARDAR MENSAJE DEL USUARIO (no al retomar una solicitud que ya se guardó)
+            if (saveUserMessage) {
+                await this.guardarMensajeEnHistorial(
+                    text,
+                    'user',
+                    conversationId,
+                    userId,
+                    userInfo?.nombre || 'Usuario'
+                );
+            }
 
             // Mostrar indicador de escritura
             await context.sendActivity({ type: 'typing' });
@@ -397,7 +700,8 @@ class TeamsBot extends DialogBot {
                 historialParaIA,
                 userInfo.token, 
                 userInfo,
-                conversationId
+                conversationId,
+                this.getPromptScope(context)
             );
 
             // ✅ 5. GUARDAR RESPUESTA DEL BOT
@@ -407,15 +711,36 @@ class TeamsBot extends DialogBot {
                     'bot',
                     conversationId,
                     userId,
-                    'Nova Bot'
+                    'Nova Bot',
+                    {
+                        promptVersion: response.metadata?.promptVersion,
+                        modelUsed: response.metadata?.modelUsed
+                    }
                 );
             }
 
             // ✅ 6. ENVIAR RESPUESTA
             await this.sendResponse(context, response);
 
+            // ✅ 7. ACTUALIZAR MEMORIA de la conversación (resumen cada N turnos)
+            if (response && response.content) {
+                await this.openaiService.actualizarResumenConversacion(conversationId, userInfo, text, response.content);
+            }
+
         } catch (error) {
             console.error(`Error procesando mensaje autenticado:`, error);
+
+            // ✅ Primer 401 de Nova = sesión expirada
+            if (isSessionExpiredError(error)) {
+                sessionService.markExpired(userId, 'nova_401');
+                await this.handleSessionExpired(context, userId, 'nova_401', {
+                    text,
+                    source: 'nova_401',
+                    toolName: error.source,
+                    historySaved: true
+                });
+                return;
+            }
             
             if (error.message.includes('token') || error.message.includes('auth')) {
                 await context.sendActivity(
@@ -439,44 +764,20 @@ class TeamsBot extends DialogBot {
         console.log(`[${userId}] Mensaje recibido: "${text}"`);
 
         try {
-            // 🧪 COMANDOS DE DIAGNÓSTICO
-            if (text.toLowerCase() === 'test-card' || text.toLowerCase() === 'test') {
-                await this.runCardTests(context);
-                return await next();
-            }
-
-            if (text.toLowerCase().startsWith('debug-api ')) {
-                await this.debugNovaAPI(context, text);
-                return await next();
-            }
-
-            if (text.toLowerCase() === 'clear-protection') {
-                this.loginCardSentUsers.clear();
-                this.welcomeMessageSent.clear();
-                await context.sendActivity('🧹 **Protección limpiada** - Puedes probar login nuevamente');
-                return await next();
-            }
+            const commandMatch = this.commandRegistry.match(text);
 
-            // 🔐 COMANDOS DE LOGIN
-            if (text.toLowerCase() === 'card-login' || text.toLowerCase() === 'login-card') {
-                await this.showLoginCard(context, 'manualRequest');
+            // 🔐 COMANDOS SIN AUTENTICACIÓN (login / logout)
+            if (commandMatch && !commandMatch.command.requiresAuth) {
+                await this.executeCommand(context, userId, commandMatch);
                 return await next();
             }
 
-            if (text.toLowerCase().startsWith('login ')) {
-                await this.handleTextLogin(context, text);
-                return await next();
-            }
-
-            // 📤 SUBMIT DE TARJETA
-            if (context.activity.value && context.activity.value.action === 'login') {
-                await this.handleLoginSubmit(context);
-                return await next();
-            }
-
-            // 🚪 LOGOUT
-            if (this.isLogoutCommand(text)) {
-                await this.handleLogout(context, userId);
+            // 📤 SUBMIT DE TARJETA: cada acción declara su validación y si requiere sesión
+            if (context.activity.value) {
+                await handleCardSubmit(context, context.activity.value, {
+                    registry: this.cardActions,
+                    authorize: (ctx, action) => this.authorizeCardAction(ctx, userId, action)
+                });
                 return await next();
             }
 
@@ -485,6 +786,16 @@ class TeamsBot extends DialogBot {
             
             if (!isAuthenticated) {
                 console.log(`🔒 [${userId}] ACCESO DENEGADO - Usuario no autenticado`);
+
+                if (commandMatch) {
+                    await context.sendActivity('🔒 **Comando restringido**: Inicia sesión para usar este comando.');
+                    await this.showLoginCard(context, `command-${commandMatch.command.name}`);
+                    return await next();
+                }
+
+                if (this.isReplayableRequest(context, text)) {
+                    await this.savePendingRequest(context, userId, { text, source: 'unauthenticated' });
+                }
                 
                 await context.sendActivity(
                     `🔒 **Acceso Denegado**\n\n` +
@@ -497,41 +808,19 @@ class TeamsBot extends DialogBot {
                 return await next();
             }
 
-            // ✅ USUARIO AUTENTICADO: Procesar comandos
-            console.log(`✅ [${userId}] Usuario autenticado - procesando mensaje`);
-            const conversationId = context.activity.conversation.id;
-
-            // ✅ COMANDOS DE HISTORIAL (NUEVO FORMATO)
-            const lowerText = text.toLowerCase();
-            
-            if (lowerText === 'historial' || lowerText.includes('historial')) {
-                if (lowerText.includes('limpiar') || lowerText.includes('borrar') || lowerText.includes('eliminar')) {
-                    await this.limpiarHistorial(context, userId, conversationId);
-                } else {
-                    await this.showConversationHistory(context, userId, conversationId);
-                }
-                return await next();
-            }
-
-            // ✅ COMANDOS DE CONVERSACIÓN OpenAI
-            if (lowerText === 'limpiar conversacion' || lowerText === 'limpiar formato openai') {
-                await this.limpiarConversacionFormatoOpenAI(context, userId, conversationId);
-                return await next();
-            }
-            
-            if (lowerText === 'resumen' || lowerText.includes('resumen')) {
-                await this.showConversationSummary(context, userId, conversationId);
+            // ⏱️ VIGENCIA DEL TOKEN: expirado = nuevo login, por expirar = aviso
+            const sessionActive = await this.checkSessionExpiry(context, userId);
+            if (!sessionActive) {
                 return await next();
             }
 
-            // ✅ OTROS COMANDOS
-            if (text.toLowerCase() === 'mi info' || text.toLowerCase() === 'info' || text.toLowerCase() === 'perfil') {
-                await this.showUserInfo(context, userId);
-                return await next();
-            }
+            // ✅ USUARIO AUTENTICADO: Procesar comandos
+            console.log(`✅ [${userId}] Usuario autenticado - procesando mensaje`);
+            const conversationId = context.activity.conversation.id;
+            await this.touchActiveSession(context, userId);
 
-            if (text.toLowerCase() === 'ayuda' || text.toLowerCase() === 'help') {
-                await this.showHelp(context, userId);
+            if (commandMatch) {
+                await this.executeCommand(context, userId, commandMatch);
                 return await next();
             }
 
@@ -574,8 +863,19 @@ class TeamsBot extends DialogBot {
                 return;
             }
 
-            const loginCard = this.createMinimalLoginCard();
-            await context.sendActivity({ attachments: [loginCard] });
+            const knownUser = await userDirectoryService.lookup(context.activity);
+            const attachments = [this.createMinimalLoginCard(knownUser)];
+
+            // 🪪 SSO primero; la tarjeta de contraseña queda como alternativa
+            if (ssoService.isEnabled()) {
+                try {
+                    attachments.unshift(await ssoService.createSignInCard(context));
+                } catch (ssoError) {
+                    console.warn(`⚠️ [${userId}] No se pudo crear la tarjeta SSO:`, ssoError.message);
+                }
+            }
+
+            await context.sendActivity({ attachments, attachmentLayout: 'list' });
 
             this.loginCardSentUsers.add(userId);
             
@@ -600,7 +900,10 @@ class TeamsBot extends DialogBot {
         }
     }
 
-    createMinimalLoginCard() {
+    /**
+     * Tarjeta de login; para usuarios conocidos (directorio de usuarios) saluda por nombre y prellena el usuario
+     */
+    createMinimalLoginCard(knownUser = null) {
         const card = {
             type: 'AdaptiveCard',
             version: '1.0',
@@ -613,13 +916,16 @@ class TeamsBot extends DialogBot {
                 },
                 {
                     type: 'TextBlock',
-                    text: 'Ingresa tus credenciales corporativas:',
+                    text: knownUser?.nombre ?
+                        `👋 ¡Hola de nuevo, ${knownUser.nombre}! Ingresa tu contraseña para continuar:` :
+                        'Ingresa tus credenciales corporativas:',
                     wrap: true
                 },
                 {
                     type: 'Input.Text',
                     id: 'username',
-                    placeholder: 'Usuario (ej: 91004)'
+                    placeholder: 'Usuario (ej: 91004)',
+                    ...(knownUser?.usuario ? { value: knownUser.usuario } : {})
                 },
                 {
                     type: 'Input.Text',
@@ -645,14 +951,19 @@ class TeamsBot extends DialogBot {
         return CardFactory.adaptiveCard(card);
     }
 
-    async handleTextLogin(context, text) {
+    /**
+     * Comando `login usuario:contraseña`
+     */
+    async handleTextLogin(context, credentials) {
         const userId = context.activity.from.id;
         
         try {
-            console.log(`[${userId}] Login con texto: ${text}`);
+            console.log(`[${userId}] Login con texto`);
+
+            // El mensaje contiene la contraseña en claro: eliminarlo del chat si el canal lo permite
+            await this.deleteCredentialMessage(context);
 
-            const loginPart = text.substring(6).trim();
-            const [username, password] = loginPart.split(':');
+            const [username, password] = credentials.split(':');
 
             if (!username || !password) {
                 await context.sendActivity(
@@ -664,7 +975,7 @@ class TeamsBot extends DialogBot {
             }
 
             await context.sendActivity({ type: 'typing' });
-            const loginResponse = await this.authenticateWithNova(username.trim(), password.trim());
+            const loginResponse = await this.authenticateWithThrottle(userId, username.trim(), password.trim(), context.activity.conversation.id);
 
             if (loginResponse.success) {
                 this.loginCardSentUsers.delete(userId);
@@ -682,6 +993,8 @@ class TeamsBot extends DialogBot {
                         '⚠️ **Solo memoria**: Conversaciones temporales\n'}\n` +
                     `💬 Ya puedes usar el bot normalmente.`
                 );
+
+                await this.resumePendingRequest(context, userId);
             } else {
                 await context.sendActivity(
                     `❌ **Error de autenticación**\n\n` +
@@ -717,7 +1030,7 @@ class TeamsBot extends DialogBot {
             }
 
             await context.sendActivity({ type: 'typing' });
-            const loginResponse = await this.authenticateWithNova(username.trim(), password.trim());
+            const loginResponse = await this.authenticateWithThrottle(userId, username.trim(), password.trim(), context.activity.conversation.id);
 
             if (loginResponse.success) {
                 this.loginCardSentUsers.delete(userId);
@@ -735,13 +1048,17 @@ class TeamsBot extends DialogBot {
                         '⚠️ **Solo memoria**: Conversaciones temporales\n'}\n` +
                     `💬 Ya puedes usar el bot normalmente.`
                 );
+
+                await this.resumePendingRequest(context, userId);
             } else {
                 await context.sendActivity(
                     `❌ **Error de autenticación**\n\n` +
                     `${loginResponse.message}\n\n` +
                     `🔄 Intenta nuevamente.`
                 );
-                await this.showLoginCard(context, 'handleLoginSubmit-fallido');
+                if (!loginResponse.throttled) {
+                    await this.showLoginCard(context, 'handleLoginSubmit-fallido');
+                }
             }
 
         } catch (error) {
@@ -750,10 +1067,85 @@ class TeamsBot extends DialogBot {
         }
     }
 
-    async authenticateWithNova(username, password) {
+    /**
+     * Login con protección anti fuerza bruta (por usuario de Teams y por cveUsuario)
+     */
+    async authenticateWithThrottle(userId, username, password, conversationId = null) {
+        const check = await loginThrottleService.checkAttempt(userId, username);
+
+        if (!check.allowed) {
+            const espera = loginThrottleService.formatWaitTime(check.retryAfterMs);
+            console.warn(`🛡️ [${userId}] Intento de login rechazado (${check.reason}, ${check.key}) - espera ${espera}`);
+
+            await auditService.record(AUDIT_EVENTS.LOGIN_FAILURE, {
+                userId: username,
+                teamsUserId: userId,
+                conversationId,
+                outcome: 'failure',
+                details: { reason: check.reason === 'locked' ? 'locked_out' : 'backoff', retryAfterMs: check.retryAfterMs }
+            });
+
+            return {
+                success: false,
+                throttled: true,
+                reason: check.reason === 'locked' ? 'locked_out' : 'backoff',
+                retryAfterMs: check.retryAfterMs,
+                message: check.reason === 'locked' ?
+                    `🔒 **Cuenta bloqueada temporalmente** por demasiados intentos fallidos.\n⏳ Podrás intentarlo de nuevo en **${espera}**.` :
+                    `⏳ Espera **${espera}** antes de volver a intentar.`
+            };
+        }
+
+        const loginResponse = await this.authenticateWithNova(username, password, conversationId);
+
+        if (loginResponse.success) {
+            await loginThrottleService.registerSuccess(userId, username);
+            await auditService.record(AUDIT_EVENTS.LOGIN_SUCCESS, {
+                userId: loginResponse.userInfo.usuario,
+                teamsUserId: userId,
+                conversationId
+            });
+        } else {
+            await auditService.record(AUDIT_EVENTS.LOGIN_FAILURE, {
+                userId: username,
+                teamsUserId: userId,
+                conversationId,
+                outcome: 'failure',
+                details: { reason: loginResponse.reason, message: loginResponse.message }
+            });
+        }
+
+        if (loginResponse.reason === 'invalid_credentials') {
+            const failure = await loginThrottleService.registerFailure(userId, username);
+            const espera = loginThrottleService.formatWaitTime(failure.retryAfterMs);
+
+            loginResponse.message += failure.locked ?
+                `\n\n🔒 **Cuenta bloqueada temporalmente** por demasiados intentos fallidos.\n⏳ Podrás intentarlo de nuevo en **${espera}**.` :
+                `\n\n⚠️ Intentos fallidos: ${failure.failures}/${loginThrottleService.maxFailures}. Espera ${espera} antes de reintentar.`;
+
+            if (failure.locked) {
+                loginResponse.reason = 'locked_out';
+                loginResponse.throttled = true;
+
+                await auditService.record(AUDIT_EVENTS.LOCKOUT, {
+                    userId: username,
+                    teamsUserId: userId,
+                    conversationId,
+                    outcome: 'locked',
+                    details: { failures: failure.failures, lockedForMs: failure.retryAfterMs }
+                });
+            }
+        }
+
+        return loginResponse;
+    }
+
+    async authenticateWithNova(username, password, conversationId = null) {
+        const url = process.env.NOVA_API_URL || 'https://pruebas.nova.com.mx/ApiRestNova/api/Auth/login';
+        const inicio = Date.now();
+
         try {
             console.log(`🔐 Autenticando: ${username}`);
-            const url = process.env.NOVA_API_URL || 'https://pruebas.nova.com.mx/ApiRestNova/api/Auth/login';
             const response = await axios.post(
                url,
                 {
@@ -769,166 +1161,1044 @@ class TeamsBot extends DialogBot {
                 }
             );
 
-            let parsedData = response.data;
-            
-            if (typeof response.data === 'string') {
-                try {
-                    parsedData = JSON.parse(response.data);
-                } catch (parseError) {
-                    return {
-                        success: false,
-                        message: 'Error procesando respuesta del servidor'
-                    };
-                }
-            }
+            await auditService.recordNovaCall({
+                userId: username,
+                conversationId,
+                method: 'POST',
+                url,
+                status: response.status,
+                durationMs: Date.now() - inicio
+            });
 
-            if (parsedData && parsedData.info && parsedData.info.length > 0) {
-                const rawUserInfo = parsedData.info[0];
-                
-                if (rawUserInfo.EsValido === 0 && rawUserInfo.Token && rawUserInfo.Token.trim().length > 0) {
-                    const cleanUserInfo = {
-                        usuario: rawUserInfo.CveUsuario ? rawUserInfo.CveUsuario.toString().trim() : username,
-                        nombre: rawUserInfo.Nombre ? rawUserInfo.Nombre.replace(/\t/g, '').trim() : 'Usuario',
-                        paterno: rawUserInfo.Paterno ? rawUserInfo.Paterno.replace(/\t/g, '').trim() : '',
-                        materno: rawUserInfo.Materno ? rawUserInfo.Materno.replace(/\t/g, '').trim() : '',
-                        token: rawUserInfo.Token.trim(),
-                        mensaje: rawUserInfo.Mensaje ? rawUserInfo.Mensaje.trim() : 'Login exitoso'
-                    };
-                    
-                    return {
-                        success: true,
-                        userInfo: cleanUserInfo
-                    };
-                } else {
-                    return {
-                        success: false,
-                        message: rawUserInfo.Mensaje || 'Credenciales inválidas'
-                    };
-                }
-            } else {
-                return {
-                    success: false,
-                    message: 'Respuesta inesperada del servidor'
-                };
-            }
+            return this.parseNovaLoginResponse(response.data, username);
 
         } catch (error) {
             console.error('❌ Error Nova API:', error.message);
+            await auditService.recordNovaCall({
+                userId: username,
+                conversationId,
+                method: 'POST',
+                url,
+                status: error.response?.status || null,
+                durationMs: Date.now() - inicio,
+                error: error.message
+            });
             
-            if (error.response) {
+            return this.buildNovaLoginError(error);
+        }
+    }
+
+    /**
+     * Interpreta la respuesta de login de Nova (/Auth/login y el intercambio SSO usan el mismo formato)
+     */
+    parseNovaLoginResponse(data, fallbackUsername = null) {
+        let parsedData = data;
+        
+        if (typeof data === 'string') {
+            try {
+                parsedData = JSON.parse(data);
+            } catch (parseError) {
                 return {
                     success: false,
-                    message: `Error del servidor: ${error.response.status}`
+                    reason: 'invalid_response',
+                    message: 'Error procesando respuesta del servidor'
                 };
-            } else if (error.code === 'ECONNREFUSED') {
-                return {
-                    success: false,
-                    message: 'No se pudo conectar con el servidor'
+            }
+        }
+
+        if (parsedData && parsedData.info && parsedData.info.length > 0) {
+            const rawUserInfo = parsedData.info[0];
+            
+            if (rawUserInfo.EsValido === 0 && rawUserInfo.Token && rawUserInfo.Token.trim().length > 0) {
+                const cleanUserInfo = {
+                    usuario: rawUserInfo.CveUsuario ? rawUserInfo.CveUsuario.toString().trim() : fallbackUsername,
+                    nombre: rawUserInfo.Nombre ? rawUserInfo.Nombre.replace(/\t/g, '').trim() : 'Usuario',
+                    paterno: rawUserInfo.Paterno ? rawUserInfo.Paterno.replace(/\t/g, '').trim() : '',
+                    materno: rawUserInfo.Materno ? rawUserInfo.Materno.replace(/\t/g, '').trim() : '',
+                    token: rawUserInfo.Token.trim(),
+                    mensaje: rawUserInfo.Mensaje ? rawUserInfo.Mensaje.trim() : 'Login exitoso'
                 };
-            } else if (error.code === 'ECONNABORTED') {
+                
                 return {
-                    success: false,
-                    message: 'Timeout - servidor lento'
+                    success: true,
+                    userInfo: cleanUserInfo
                 };
             } else {
                 return {
                     success: false,
-                    message: 'Error de conexión'
+                    reason: 'invalid_credentials',
+                    message: rawUserInfo.Mensaje || 'Credenciales inválidas'
                 };
             }
+        } else {
+            return {
+                success: false,
+                reason: 'invalid_response',
+                message: 'Respuesta inesperada del servidor'
+            };
         }
     }
 
-    // ===== MÉTODOS AUXILIARES =====
-
-    isLogoutCommand(text) {
-        return ['logout', 'cerrar sesion', 'cerrar sesión', 'salir'].includes(text.toLowerCase());
+    buildNovaLoginError(error) {
+        if (error.response) {
+            return {
+                success: false,
+                reason: error.response.status === 401 ? 'invalid_credentials' : 'server_error',
+                message: `Error del servidor: ${error.response.status}`
+            };
+        } else if (error.code === 'ECONNREFUSED') {
+            return {
+                success: false,
+                reason: 'connection_error',
+                message: 'No se pudo conectar con el servidor'
+            };
+        } else if (error.code === 'ECONNABORTED') {
+            return {
+                success: false,
+                reason: 'timeout',
+                message: 'Timeout - servidor lento'
+            };
+        } else {
+            return {
+                success: false,
+                reason: 'connection_error',
+                message: 'Error de conexión'
+            };
+        }
     }
 
-    async isUserAuthenticated(userId, context) {
-        try {
-            const memoryAuth = this.authenticatedUsers.has(userId);
-            const authData = await this.authState.get(context, {});
-            const persistentAuth = authData[userId]?.authenticated === true;
-            
-            if (memoryAuth && !persistentAuth) {
-                await this.syncPersistentAuth(userId, context);
-                return true;
-            } else if (!memoryAuth && persistentAuth) {
-                await this.syncMemoryAuth(userId, context, authData[userId]);
-                return true;
-            }
-            
-            return memoryAuth && persistentAuth;
-            
-        } catch (error) {
-            console.error(`Error verificando auth:`, error);
-            return false;
+    // ===== SSO / OAUTH =====
+
+    /**
+     * Invokes de inicio de sesión de Teams (`signin/tokenExchange` y `signin/verifyState`)
+     */
+    async onInvokeActivity(context) {
+        const name = context.activity.name;
+
+        if (ssoService.isEnabled() && (name === 'signin/tokenExchange' || name === 'signin/verifyState')) {
+            return await this.handleSsoInvoke(context);
         }
+
+        return await super.onInvokeActivity(context);
     }
 
-    async syncPersistentAuth(userId, context) {
+    async handleSsoInvoke(context) {
+        const userId = context.activity.from.id;
+        const value = context.activity.value || {};
+
         try {
-            const userInfo = this.authenticatedUsers.get(userId);
-            if (userInfo) {
-                const authData = await this.authState.get(context, {});
-                authData[userId] = {
-                    authenticated: true,
-                    ...userInfo,
-                    lastAuthenticated: new Date().toISOString()
-                };
-                await this.authState.set(context, authData);
-                await this.userState.saveChanges(context);
+            let idpToken;
+
+            if (context.activity.name === 'signin/tokenExchange') {
+                if (ssoService.isDuplicateExchange(value.id)) {
+                    console.log(`🪪 [${userId}] Intercambio SSO duplicado ignorado: ${value.id}`);
+                    return { status: 200 };
+                }
+
+                idpToken = await ssoService.exchangeTeamsToken(context, value);
+
+                if (!idpToken) {
+                    // 412: Teams muestra el botón de la OAuthCard para pedir consentimiento
+                    return {
+                        status: 412,
+                        body: {
+                            id: value.id,
+                            connectionName: value.connectionName,
+                            failureDetail: 'No se pudo intercambiar el token SSO'
+                        }
+                    };
+                }
+            } else {
+                idpToken = await ssoService.getTokenFromMagicCode(context, value.state);
+
+                if (!idpToken) {
+                    await context.sendActivity('❌ **No se pudo completar el inicio de sesión SSO.** Usa la tarjeta de usuario y contraseña.');
+                    return { status: 200 };
+                }
             }
+
+            await this.completeSsoLogin(context, idpToken);
+            return { status: 200 };
+
         } catch (error) {
-            console.error(`Error sync persistente:`, error);
+            console.error(`❌ [${userId}] Error en invoke SSO:`, error);
+            return { status: 500 };
         }
     }
 
-    async syncMemoryAuth(userId, context, authData) {
+    /**
+     * Submit de la tarjeta del IdP simulado
+     */
+    async handleMockSsoSubmit(context) {
+        const usuario = context.activity.value.ssoUser.trim();
+
         try {
-            if (authData && authData.authenticated) {
-                this.authenticatedUsers.set(userId, {
-                    usuario: authData.usuario,
-                    nombre: authData.nombre,
-                    token: authData.token
-                });
-            }
+            const idpToken = await ssoService.getMockIdpToken(usuario);
+            await this.completeSsoLogin(context, idpToken);
         } catch (error) {
-            console.error(`Error sync memoria:`, error);
+            console.error(`❌ Error con el IdP simulado:`, error.message);
+            await context.sendActivity(`❌ **IdP simulado no disponible**: ${error.message}`);
         }
     }
 
-    async setUserAuthenticated(userId, userInfo, context) {
-        try {
-            this.authenticatedUsers.set(userId, userInfo);
-
-            const authData = await this.authState.get(context, {});
-            authData[userId] = {
-                authenticated: true,
-                ...userInfo,
-                lastAuthenticated: new Date().toISOString()
-            };
-            await this.authState.set(context, authData);
-            await this.userState.saveChanges(context);
+    /**
+     * Hook de intercambio con Nova: valida el token del IdP y establece la sesión
+     */
+    async completeSsoLogin(context, idpToken) {
+        const userId = context.activity.from.id;
+        const conversationId = context.activity.conversation.id;
+        const loginResponse = await this.authenticateWithSso(idpToken, userId, conversationId);
 
-            console.log(`[${userId}] Autenticación establecida`);
-            return true;
-            
-        } catch (error) {
-            console.error(`Error estableciendo auth:`, error);
+        if (!loginResponse.success) {
+            await context.sendActivity(
+                `❌ **Error de autenticación SSO**\n\n` +
+                `${loginResponse.message}\n\n` +
+                `🔄 Puedes usar la tarjeta de usuario y contraseña.`
+            );
             return false;
         }
+
+        this.loginCardSentUsers.delete(userId);
+        await this.setUserAuthenticated(userId, loginResponse.userInfo, context);
+        await this.initializeConversation(context, userId);
+
+        await context.sendActivity(
+            `✅ **¡Login exitoso con SSO!**\n\n` +
+            `👋 Bienvenido, **${loginResponse.userInfo.nombre}**\n` +
+            `👤 Usuario: ${loginResponse.userInfo.usuario}\n\n` +
+            `💬 Ya puedes usar el bot normalmente.`
+        );
+
+        await this.resumePendingRequest(context, userId);
+        return true;
     }
 
-    async sendResponse(context, response) {
+    async authenticateWithSso(idpToken, userId, conversationId = null) {
+        const inicio = Date.now();
+        let loginResponse;
+
         try {
-            if (response.type === 'card') {
-                if (response.content) {
-                    await context.sendActivity(response.content);
+            console.log(`🪪 [${userId}] Intercambiando token SSO con Nova`);
+            const response = await ssoService.exchangeWithNova(idpToken);
+
+            await auditService.recordNovaCall({
+                teamsUserId: userId,
+                conversationId,
+                method: 'POST',
+                url: ssoService.exchangeUrl,
+                status: response.status,
+                durationMs: Date.now() - inicio
+            });
+
+            loginResponse = this.parseNovaLoginResponse(response.data);
+
+        } catch (error) {
+            console.error('❌ Error en intercambio SSO con Nova:', error.message);
+            await auditService.recordNovaCall({
+                teamsUserId: userId,
+                conversationId,
+                method: 'POST',
+                url: ssoService.exchangeUrl,
+                status: error.response?.status || null,
+                durationMs: Date.now() - inicio,
+                error: error.message
+            });
+
+            loginResponse = this.buildNovaLoginError(error);
+        }
+
+        await auditService.record(loginResponse.success ? AUDIT_EVENTS.LOGIN_SUCCESS : AUDIT_EVENTS.LOGIN_FAILURE, {
+            userId: loginResponse.userInfo?.usuario,
+            teamsUserId: userId,
+            conversationId,
+            outcome: loginResponse.success ? 'success' : 'failure',
+            details: { method: 'sso', ...(loginResponse.success ? {} : { reason: loginResponse.reason }) }
+        });
+
+        return loginResponse;
+    }
+
+    /**
+     * Intenta borrar el mensaje `login usuario:contraseña`; Teams no siempre permite al bot
+     * borrar mensajes del usuario, en ese caso se le pide que lo borre
+     */
+    async deleteCredentialMessage(context) {
+        try {
+            await context.deleteActivity(context.activity.id);
+            console.log(`🗑️ [${context.activity.from.id}] Mensaje con credenciales eliminado`);
+        } catch (error) {
+            console.warn(`⚠️ [${context.activity.from.id}] No se pudo eliminar el mensaje con credenciales:`, error.message);
+            await context.sendActivity(
+                '⚠️ **Tu mensaje incluye tu contraseña.** No pudimos borrarlo automáticamente; ' +
+                'elimínalo del chat. La próxima vez usa la tarjeta de login.'
+            );
+        }
+    }
+
+    // ===== MÉTODOS AUXILIARES =====
+
+    /**
+     * Ejecuta un comando del registro (la autenticación ya se verificó si el comando la requiere)
+     */
+    async executeCommand(context, userId, { command, args, error }) {
+        console.log(`⌨️ [${userId}] Comando: ${command.name}`);
+
+        if (error) {
+            await context.sendActivity(`❌ ${error}\n\nUso: \`${this.commandRegistry.getUsage(command)}\``);
+            return;
+        }
+
+        if (command.requiresAuth && !await this.authorizeCommand(context, userId, command)) {
+            return;
+        }
+
+        await command.handler(context, {
+            userId,
+            conversationId: context.activity.conversation.id,
+            args,
+            command
+        });
+    }
+
+    /**
+     * Verifica sesión, vigencia y roles para una acción de tarjeta con requiresAuth
+     */
+    async authorizeCardAction(context, userId, action) {
+        if (!await this.isUserAuthenticated(userId, context)) {
+            await context.sendActivity('🔒 **Acción restringida**: Inicia sesión para usar esta opción.');
+            await this.showLoginCard(context, `cardAction-${action.name}`);
+            return false;
+        }
+
+        if (!await this.checkSessionExpiry(context, userId)) {
+            return false;
+        }
+
+        await this.touchActiveSession(context, userId);
+        return this.authorizeCommand(context, userId, action);
+    }
+
+    /**
+     * Verifica los roles requeridos por un comando del registro
+     */
+    async authorizeCommand(context, userId, command) {
+        const userInfo = await this.getUserInfo(userId);
+
+        if (!permissionService.hasAnyRole(userInfo, command.roles)) {
+            console.warn(`⛔ [${userId}] Comando '${command.name}' denegado - roles: ${permissionService.getUserRoles(userInfo).join(', ')}`);
+            await context.sendActivity(
+                `⛔ **Acceso restringido**\n\n` +
+                `El comando \`${command.name}\` requiere uno de estos roles: **${command.roles.join(', ')}**.`
+            );
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Comando de administración: `bloqueos`
+     */
+    async showLockouts(context) {
+        try {
+            const lockouts = await loginThrottleService.listLockouts();
+
+            if (lockouts.length === 0) {
+                await context.sendActivity('🛡️ **Bloqueos de login**\n\n✅ No hay cuentas bloqueadas.');
+                return;
+            }
+
+            let respuesta = `🛡️ **Bloqueos de login (${lockouts.length})**\n\n`;
+            lockouts.forEach(lockout => {
+                respuesta += `• \`${lockout.key}\` - ${lockout.failures} fallos - ` +
+                    `restan ${loginThrottleService.formatWaitTime(lockout.retryAfterMs)}\n`;
+            });
+            respuesta += `\n💡 Usa \`desbloquear <usuario>\` para liberar una cuenta.`;
+
+            await context.sendActivity(respuesta);
+
+        } catch (error) {
+            console.error(`Error en comando de bloqueos:`, error);
+            await context.sendActivity('❌ Error procesando el comando de bloqueos.');
+        }
+    }
+
+    /**
+     * Comando de administración: `desbloquear <usuario>`
+     */
+    async handleUnlockCommand(context, userId, identifier) {
+        try {
+            const unlocked = await loginThrottleService.unlock(identifier);
+            console.log(`🔓 [${userId}] Desbloqueo solicitado para ${identifier}: ${unlocked.length} registros`);
+
+            const adminInfo = await this.getUserInfo(userId);
+            await auditService.record(AUDIT_EVENTS.UNLOCK, {
+                userId: identifier,
+                teamsUserId: userId,
+                conversationId: context.activity.conversation.id,
+                outcome: unlocked.length > 0 ? 'success' : 'not_found',
+                details: { admin: adminInfo?.usuario, keys: unlocked }
+            });
+
+            await context.sendActivity(unlocked.length > 0 ?
+                `🔓 **Cuenta desbloqueada**: ${identifier}` :
+                `ℹ️ No hay bloqueos registrados para **${identifier}**.`
+            );
+
+        } catch (error) {
+            console.error(`Error en comando de desbloqueo:`, error);
+            await context.sendActivity('❌ Error procesando el comando de bloqueos.');
+        }
+    }
+
+    /**
+     * Comando de administración: `auditoria <usuario> [desde AAAA-MM-DD] [hasta AAAA-MM-DD]`
+     */
+    async handleAuditQueryCommand(context, usuario, desde = null, hasta = null) {
+        try {
+            // Sin fechas: últimos 7 días
+            const to = hasta ? new Date(`${hasta}T23:59:59.999Z`) : new Date();
+            const from = desde ? new Date(`${desde}T00:00:00.000Z`) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+            await context.sendActivity({ type: 'typing' });
+            const entries = await auditService.query({ userId: usuario, from, to, limit: 30 });
+
+            if (entries.length === 0) {
+                await context.sendActivity(`📜 **Auditoría de ${usuario}**\n\nℹ️ Sin eventos entre ${from.toISOString().substring(0, 10)} y ${to.toISOString().substring(0, 10)}.`);
+                return;
+            }
+
+            let respuesta = `📜 **Auditoría de ${usuario}** (${entries.length} eventos, ` +
+                `${from.toISOString().substring(0, 10)} a ${to.toISOString().substring(0, 10)})\n\n`;
+
+            entries.forEach(entry => {
+                const detalle = entry.details?.tool || entry.details?.reason ||
+                    (entry.details?.url ? `${entry.details.method} ${entry.details.status ?? '-'}` : '') ||
+                    (entry.details?.byType ? Object.entries(entry.details.byType).map(([tipo, total]) => `${tipo}: ${total}`).join(', ') : '');
+                respuesta += `• \`${entry.timestamp.replace('T', ' ').substring(0, 19)}\` **${entry.eventType}** - ${entry.outcome}` +
+                    `${detalle ? ` (${detalle})` : ''}\n`;
+            });
+
+            await context.sendActivity(respuesta);
+
+        } catch (error) {
+            console.error(`Error consultando auditoría:`, error);
+            await context.sendActivity('❌ Error consultando la bitácora de auditoría.');
+        }
+    }
+
+    /**
+     * Consumo de tokens del usuario: hoy, mes en curso, últimos 7 días y cuota
+     */
+    async showMyUsage(context, userId) {
+        try {
+            const userInfo = await this.getUserInfo(userId);
+            const resumen = await usageService.getUserSummary(userInfo.usuario, 7);
+            const formato = numero => numero.toLocaleString('es-MX');
+            const limite = (usado, cuota) => cuota ? `${formato(usado)} / ${formato(cuota)} tokens (${Math.round(usado * 100 / cuota)}%)` : `${formato(usado)} tokens (sin límite)`;
+
+            let respuesta = `📊 **Tu consumo de IA**\n\n` +
+                `• **Hoy**: ${limite(resumen.today.totalTokens, resumen.quota.daily)} en ${resumen.today.requests} llamadas\n` +
+                `• **Este mes**: ${limite(resumen.month.totalTokens, resumen.quota.monthly)}, ` +
+                `costo estimado $${resumen.month.costUsd.toFixed(4)} USD\n`;
+
+            if (resumen.days.length > 0) {
+                respuesta += `\n**Últimos 7 días:**\n` + resumen.days
+                    .map(dia => `• \`${dia.date}\` ${formato(dia.totalTokens)} tokens (${dia.requests} llamadas)`)
+                    .join('\n');
+            } else {
+                respuesta += `\nℹ️ Sin consumo registrado en los últimos 7 días.`;
+            }
+
+            await context.sendActivity(respuesta);
+
+        } catch (error) {
+            console.error(`Error mostrando consumo:`, error);
+            await context.sendActivity('❌ Error obteniendo tu consumo de tokens.');
+        }
+    }
+
+    async handleUsageReportCommand(context, desde = null, hasta = null) {
+        try {
+            // Sin fechas: mes en curso
+            const hoy = usageService.today();
+            const from = desde || `${hoy.substring(0, 8)}01`;
+            const to = hasta || hoy;
+
+            await context.sendActivity({ type: 'typing' });
+            const reporte = await usageService.getReport({ from, to, top: 10 });
+            const formato = numero => numero.toLocaleString('es-MX');
+
+            if (reporte.totals.requests === 0) {
+                await context.sendActivity(`📊 **Consumo de IA** (${from} a ${to})\n\nℹ️ Sin consumo registrado.`);
+                return;
+            }
+
+            const respuesta = `📊 **Consumo de IA** (${from} a ${to})\n\n` +
+                `• **Tokens**: ${formato(reporte.totals.totalTokens)} (entrada ${formato(reporte.totals.promptTokens)}, salida ${formato(reporte.totals.completionTokens)})\n` +
+                `• **Llamadas**: ${formato(reporte.totals.requests)} de ${reporte.users} usuarios\n` +
+                `• **Costo estimado**: $${reporte.totals.costUsd.toFixed(4)} USD\n\n` +
+                `**Usuarios con mayor consumo:**\n` +
+                reporte.topUsers.map((usuario, index) =>
+                    `${index + 1}. **${usuario.userId}** - ${formato(usuario.totalTokens)} tokens, $${usuario.costUsd.toFixed(4)} USD`
+                ).join('\n') +
+                `\n\n**Por modelo:**\n` +
+                Object.entries(reporte.byModel).map(([model, uso]) =>
+                    `• \`${model}\` ${formato(uso.totalTokens)} tokens, ${formato(uso.requests)} llamadas, $${uso.costUsd.toFixed(4)} USD`
+                ).join('\n');
+
+            await context.sendActivity(respuesta);
+
+        } catch (error) {
+            console.error(`Error generando reporte de consumo:`, error);
+            await context.sendActivity('❌ Error generando el reporte de consumo.');
+        }
+    }
+
+    /**
+     * `admin cuota <usuario>` muestra la cuota; `admin cuota <usuario> diaria|mensual <tokens|default>` la define
+     */
+    async handleQuotaCommand(context, userId, command, usuario, periodo = null, tokens = null) {
+        try {
+            const formato = valor => (valor ? `${valor.toLocaleString('es-MX')} tokens` : 'sin límite');
+
+            if (periodo && !tokens) {
+                await context.sendActivity(`❌ Falta el argumento \`tokens|default\`\n\nUso: \`${this.commandRegistry.getUsage(command)}\``);
+                return;
+            }
+
+            let quota;
+            if (periodo) {
+                const adminInfo = await this.getUserInfo(userId);
+                quota = await usageService.setQuota(
+                    usuario,
+                    periodo === 'diaria' ? 'daily' : 'monthly',
+                    tokens === 'default' ? null : parseInt(tokens, 10),
+                    adminInfo?.usuario
+                );
+                console.log(`📊 [${userId}] Cuota ${periodo} de ${usuario}: ${tokens}`);
+            } else {
+                quota = await usageService.getQuota(usuario);
+            }
+
+            await context.sendActivity(
+                `📊 **Cuota de ${usuario}**${periodo ? ' actualizada' : ''}\n\n` +
+                `• **Diaria**: ${formato(quota.daily)}\n` +
+                `• **Mensual**: ${formato(quota.monthly)}\n` +
+                `${quota.custom ? '🛠️ Cuota personalizada' : 'ℹ️ Cuota default (USAGE_DAILY_TOKEN_QUOTA / USAGE_MONTHLY_TOKEN_QUOTA)'}`
+            );
+
+        } catch (error) {
+            console.error(`Error en comando de cuota:`, error);
+            await context.sendActivity('❌ Error procesando el comando de cuota.');
+        }
+    }
+
+    /**
+     * Ámbitos de la conversación para la persona del prompt (chat grupal > canal > tenant)
+     */
+    getPromptScope(context) {
+        const { conversation, channelData } = context.activity;
+
+        return {
+            tenantId: conversation?.tenantId || channelData?.tenant?.id || null,
+            channelId: channelData?.channel?.id || null,
+            chatId: conversation?.conversationType === 'groupChat' ? conversation.id : null
+        };
+    }
+
+    async showPrompts(context) {
+        try {
+            const [versiones, activa, persona] = await Promise.all([
+                promptService.listVersions(),
+                promptService.getActiveVersion(),
+                promptService.resolvePersona(this.getPromptScope(context))
+            ]);
+            const ambitos = { tenant: 'tenant', channel: 'canal', chat: 'chat grupal' };
+            const origenes = { file: 'archivo', cosmos: 'Cosmos DB', memory: 'memoria' };
+
+            await context.sendActivity(
+                `📝 **Prompts del sistema**\n\n` +
+                versiones.map(version =>
+                    `• \`${version.version}\` ${origenes[version.source]}${version.createdBy ? `, por ${version.createdBy}` : ''}` +
+                    `${version.version === activa ? ' ✅ **activa**' : ''}`
+                ).join('\n') +
+                `\n\n🎭 **Persona en esta conversación**: ${persona.scope ? `la del ${ambitos[persona.scope]} (por ${persona.updatedBy || 'desconocido'})` : 'default'}\n\n` +
+                `💡 \`prompt ver <versión>\`, \`prompt activar <versión>\`, \`prompt guardar <versión> <texto>\`, \`persona tenant|canal|chat [texto|default]\``
+            );
+
+        } catch (error) {
+            console.error(`Error listando prompts:`, error);
+            await context.sendActivity('❌ Error obteniendo las versiones del prompt.');
+        }
+    }
+
+    async showPromptTemplate(context, version) {
+        try {
+            const template = await promptService.getTemplate(version);
+
+            if (!template) {
+                await context.sendActivity(`❌ La versión \`${version}\` no existe. Escribe \`prompts\` para ver las disponibles.`);
+                return;
+            }
+
+            const limite = 6000;
+            await context.sendActivity(
+                `📝 **Prompt ${version}** (${template.source})\n\n` +
+                `\`\`\`\n${template.content.substring(0, limite)}${template.content.length > limite ? '\n…' : ''}\n\`\`\``
+            );
+
+        } catch (error) {
+            console.error(`Error mostrando prompt:`, error);
+            await context.sendActivity('❌ Error obteniendo la versión del prompt.');
+        }
+    }
+
+    async handlePromptActivateCommand(context, userId, version) {
+        try {
+            const adminInfo = await this.getUserInfo(userId);
+            await promptService.setActiveVersion(version, adminInfo?.usuario);
+            await context.sendActivity(`✅ **Prompt ${version} activo** en todas las conversaciones.`);
+
+        } catch (error) {
+            console.error(`Error activando prompt:`, error);
+            await context.sendActivity(`❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * `prompt guardar <versión> <texto>` (el registro conserva los saltos de línea del texto)
+     */
+    async handlePromptSaveCommand(context, userId, version, texto) {
+        try {
+            const adminInfo = await this.getUserInfo(userId);
+
+            await promptService.saveTemplate(version, texto, adminInfo?.usuario);
+            await context.sendActivity(
+                `✅ **Versión ${version} guardada** (${texto.length} caracteres).\n\n` +
+                `Para usarla escribe \`prompt activar ${version}\`.`
+            );
+
+        } catch (error) {
+            console.error(`Error guardando prompt:`, error);
+            await context.sendActivity(`❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * `persona <ámbito>` muestra la persona; `persona <ámbito> <texto|default>` la define o la quita
+     */
+    async handlePersonaCommand(context, userId, ambito, texto = null) {
+        try {
+            const scope = { tenant: 'tenant', canal: 'channel', chat: 'chat' }[ambito];
+            const scopeIds = this.getPromptScope(context);
+            const scopeId = { tenant: scopeIds.tenantId, channel: scopeIds.channelId, chat: scopeIds.chatId }[scope];
+
+            if (!scopeId) {
+                await context.sendActivity(`❌ Esta conversación no pertenece a un ${ambito === 'chat' ? 'chat grupal' : ambito}.`);
+                return;
+            }
+
+            if (texto) {
+                const adminInfo = await this.getUserInfo(userId);
+                await promptService.setPersona(scope, scopeId, texto === 'default' ? null : texto, adminInfo?.usuario);
+                await context.sendActivity(texto === 'default' ?
+                    `✅ **Persona del ${ambito} eliminada**; se usa la del ámbito general o la default.` :
+                    `✅ **Persona del ${ambito} actualizada**.`);
+                return;
+            }
+
+            const settings = await promptService.getSettings();
+            const persona = settings.personas?.[scope]?.[scopeId];
+            await context.sendActivity(persona ?
+                `🎭 **Persona del ${ambito}** (por ${persona.updatedBy || 'desconocido'})\n\n${persona.text}` :
+                `🎭 El ${ambito} no tiene persona propia.`);
+
+        } catch (error) {
+            console.error(`Error en comando de persona:`, error);
+            await context.sendActivity('❌ Error procesando el comando de persona.');
+        }
+    }
+
+    async isUserAuthenticated(userId, context) {
+        try {
+            const memoryAuth = this.authenticatedUsers.has(userId);
+            const authData = await this.authState.get(context, {});
+            const persistentAuth = authData[userId]?.authenticated === true;
+            
+            if (memoryAuth && !persistentAuth) {
+                await this.syncPersistentAuth(userId, context);
+                return true;
+            } else if (!memoryAuth && persistentAuth) {
+                return await this.syncMemoryAuth(userId, context, authData[userId]);
+            }
+            
+            return memoryAuth && persistentAuth;
+            
+        } catch (error) {
+            console.error(`Error verificando auth:`, error);
+            return false;
+        }
+    }
+
+    async syncPersistentAuth(userId, context) {
+        try {
+            const userInfo = this.authenticatedUsers.get(userId);
+            if (userInfo) {
+                const authData = await this.authState.get(context, {});
+                authData[userId] = {
+                    authenticated: true,
+                    ...encryptionService.encryptFields(userInfo),
+                    lastAuthenticated: new Date().toISOString()
+                };
+                await this.authState.set(context, authData);
+                await this.userState.saveChanges(context);
+            }
+        } catch (error) {
+            console.error(`Error sync persistente:`, error);
+        }
+    }
+
+    async syncMemoryAuth(userId, context, authData) {
+        try {
+            if (authData && authData.authenticated) {
+                // ✅ Token y datos personales se guardan cifrados en AuthState
+                const userInfo = encryptionService.decryptFields(authData);
+
+                if (!userInfo.token) {
+                    console.warn(`⚠️ [${userId}] Token no disponible en AuthState (¿llave de cifrado rotada?)`);
+                    return false;
                 }
-                if (response.card) {
-                    await context.sendActivity({ attachments: [response.card] });
+
+                this.authenticatedUsers.set(userId, {
+                    usuario: userInfo.usuario,
+                    nombre: userInfo.nombre,
+                    paterno: userInfo.paterno,
+                    materno: userInfo.materno,
+                    token: userInfo.token
+                });
+
+                // Conservar la hora del login original (revocaciones, duración máxima) y la última actividad
+                const parsedLoginAt = new Date(authData.lastAuthenticated).getTime();
+                const loginAt = Number.isFinite(parsedLoginAt) ? parsedLoginAt : Date.now();
+                const lastActivity = new Date(authData.lastActivity).getTime();
+                sessionService.startSession(userId, userInfo.token, loginAt, Number.isFinite(lastActivity) ? lastActivity : loginAt);
+                return true;
+            }
+            return false;
+        } catch (error) {
+            console.error(`Error sync memoria:`, error);
+            return false;
+        }
+    }
+
+    async setUserAuthenticated(userId, userInfo, context) {
+        try {
+            this.authenticatedUsers.set(userId, userInfo);
+            sessionService.startSession(userId, userInfo.token);
+
+            const authData = await this.authState.get(context, {});
+            authData[userId] = {
+                authenticated: true,
+                ...encryptionService.encryptFields(userInfo),
+                lastAuthenticated: new Date().toISOString()
+            };
+            await this.authState.set(context, authData);
+            await this.userState.saveChanges(context);
+
+            await userDirectoryService.link(context.activity, userInfo);
+
+            await sessionService.registerSession({
+                teamsUserId: userId,
+                conversationId: context.activity.conversation.id,
+                usuario: userInfo.usuario,
+                channelId: context.activity.channelId,
+                token: userInfo.token
+            });
+
+            console.log(`[${userId}] Autenticación establecida`);
+            return true;
+            
+        } catch (error) {
+            console.error(`Error estableciendo auth:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Verifica la expiración del token Nova y los límites de inactividad/duración de la sesión;
+     * avisa antes de que expire y cierra la sesión cuando ya expiró. Retorna false si la sesión terminó.
+     */
+    async checkSessionExpiry(context, userId) {
+        try {
+            const userInfo = await this.getUserInfo(userId);
+
+            if (await sessionService.isRevoked(userId, userInfo?.usuario)) {
+                await this.handleSessionExpired(context, userId, 'revoked');
+                return false;
+            }
+
+            const status = sessionService.getSessionStatus(userId, userInfo?.token);
+
+            // Inactividad o duración máxima: cierre de sesión normal indicando el motivo
+            if (status.reason === 'idle_timeout' || status.reason === 'absolute_timeout') {
+                await this.handleLogout(context, userId, { reason: status.reason });
+                return false;
+            }
+
+            if (status.state === 'expired') {
+                const text = (context.activity.text || '').trim();
+                await this.handleSessionExpired(context, userId, status.reason,
+                    this.isReplayableRequest(context, text) ? { text, source: status.reason } : null);
+                return false;
+            }
+
+            if (status.state === 'expiring' && sessionService.shouldWarn(userId)) {
+                sessionService.markWarned(userId);
+                await context.sendActivity(
+                    `⏳ **Tu sesión está por expirar**\n\n` +
+                    `Tu token de Nova expira en **${sessionService.formatRemaining(status.remainingMs)}**. ` +
+                    `Cuando expire te pediremos iniciar sesión nuevamente.`
+                );
+            }
+
+            return true;
+
+        } catch (error) {
+            console.error(`Error verificando expiración de sesión:`, error);
+            return true;
+        }
+    }
+
+    /**
+     * Cierra una sesión expirada y vuelve a mostrar la tarjeta de login
+     */
+    async handleSessionExpired(context, userId, reason = 'token_expired', pendingRequest = null) {
+        try {
+            console.log(`⌛ [${userId}] Sesión expirada (${reason}) - solicitando nuevo login`);
+
+            await this.clearUserSession(context, userId);
+
+            if (pendingRequest) {
+                await this.savePendingRequest(context, userId, pendingRequest);
+            }
+
+            const motivos = {
+                nova_401: 'Nova rechazó tu token de acceso.',
+                revoked: 'Tu sesión fue cerrada desde otra conversación o dispositivo (`cerrar sesión en todos`).'
+            };
+            const motivo = motivos[reason] || 'Tu token de acceso a Nova llegó a su fecha de expiración.';
+
+            await context.sendActivity(
+                `⌛ **Sesión expirada**\n\n` +
+                `${motivo}\n\n` +
+                `🔐 Inicia sesión nuevamente para continuar.` +
+                `${pendingRequest ? '\n\n🔄 Tu última solicitud se retomará automáticamente al iniciar sesión.' : ''}`
+            );
+
+            await this.showLoginCard(context, 'sessionExpired');
+
+        } catch (error) {
+            console.error(`Error manejando sesión expirada:`, error);
+        }
+    }
+
+    /**
+     * Solo se retoman mensajes para la IA: ni comandos ni envíos de tarjetas
+     */
+    isReplayableRequest(context, text) {
+        return !!text && !context.activity.value && !this.commandRegistry.match(text);
+    }
+
+    /**
+     * Guarda la solicitud interrumpida ({ text, source, toolName, historySaved }) en el estado de la conversación
+     */
+    async savePendingRequest(context, userId, pendingRequest) {
+        try {
+            const pendingData = await this.pendingRequestState.get(context, {});
+            pendingData[userId] = {
+                ...pendingRequest,
+                createdAt: new Date().toISOString()
+            };
+            await this.pendingRequestState.set(context, pendingData);
+
+            console.log(`📌 [${userId}] Solicitud pendiente guardada (${pendingRequest.source}): "${pendingRequest.text.substring(0, 50)}"`);
+        } catch (error) {
+            console.error(`Error guardando solicitud pendiente:`, error);
+        }
+    }
+
+    async clearPendingRequest(context, userId) {
+        const pendingData = await this.pendingRequestState.get(context, {});
+        const pending = pendingData[userId] || null;
+        if (pending) {
+            delete pendingData[userId];
+            await this.pendingRequestState.set(context, pendingData);
+        }
+        return pending;
+    }
+
+    /**
+     * Retoma la solicitud pendiente después de un login exitoso
+     */
+    async resumePendingRequest(context, userId) {
+        try {
+            const pending = await this.clearPendingRequest(context, userId);
+            if (!pending) {
+                return false;
+            }
+
+            const ageMs = Date.now() - new Date(pending.createdAt).getTime();
+            if (ageMs > this.pendingRequestMaxAgeMs) {
+                console.log(`🗑️ [${userId}] Solicitud pendiente descartada por antigüedad (${Math.round(ageMs / 1000)}s)`);
+                return false;
+            }
+
+            console.log(`🔄 [${userId}] Retomando solicitud pendiente (${pending.source}${pending.toolName ? `: ${pending.toolName}` : ''})`);
+
+            await context.sendActivity(`🔄 **Retomando tu solicitud:** "${pending.text}"`);
+            // Tras un 401 de Nova el mensaje ya está en el historial: no se guarda de nuevo
+            await this.processAuthenticatedMessage(context, pending.text, userId, context.activity.conversation.id, {
+                saveUserMessage: !pending.historySaved
+            });
+            return true;
+
+        } catch (error) {
+            console.error(`Error retomando solicitud pendiente:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Limpia autenticación, cache y protecciones de un usuario
+     */
+    async clearUserSession(context, userId) {
+        const conversationId = context.activity.conversation.id;
+
+        // ✅ LIMPIAR cache local role/content
+        if (this.conversationCache.has(conversationId)) {
+            this.conversationCache.delete(conversationId);
+            console.log(`🗑️ [${userId}] Cache role/content limpiado`);
+        }
+
+        // Limpiar datos de autenticación
+        const userInfo = await this.getUserInfo(userId);
+        this.authenticatedUsers.delete(userId);
+        await sessionService.endSession(userId, userInfo?.usuario);
+        const authData = await this.authState.get(context, {});
+        delete authData[userId];
+        await this.authState.set(context, authData);
+        await this.userState.saveChanges(context);
+
+        // Limpiar protecciones
+        this.loginCardSentUsers.delete(userId);
+        this.welcomeMessageSent.delete(userId);
+    }
+
+    /**
+     * Registra la actividad de la sesión en la conversación actual
+     * (AuthState conserva la última actividad para el límite de inactividad tras un reinicio)
+     */
+    async touchActiveSession(context, userId) {
+        try {
+            sessionService.recordActivity(userId);
+
+            const authData = await this.authState.get(context, {});
+            if (authData[userId]) {
+                authData[userId].lastActivity = new Date().toISOString();
+                await this.authState.set(context, authData);
+            }
+
+            const userInfo = await this.getUserInfo(userId);
+            await sessionService.touchSession({
+                teamsUserId: userId,
+                conversationId: context.activity.conversation.id,
+                usuario: userInfo?.usuario,
+                channelId: context.activity.channelId,
+                token: userInfo?.token
+            });
+        } catch (error) {
+            console.warn(`⚠️ [${userId}] Error actualizando registro de sesión:`, error.message);
+        }
+    }
+
+    /**
+     * Comando `sesiones`: lista las sesiones activas del usuario Nova
+     */
+    async showActiveSessions(context, userId) {
+        try {
+            const userInfo = await this.getUserInfo(userId);
+            const sessions = await sessionService.listSessions(userInfo.usuario);
+            const conversationId = context.activity.conversation.id;
+
+            if (sessions.length === 0) {
+                await context.sendActivity('📋 No hay sesiones activas registradas.');
+                return;
+            }
+
+            const lines = sessions.map((session, index) => {
+                const current = session.teamsUserId === userId && session.conversationId === conversationId;
+                return `${index + 1}. ${current ? '👉 **Esta conversación**' : `Conversación \`${session.conversationId.substring(0, 20)}...\``}` +
+                    ` (${session.channelId || 'desconocido'})\n` +
+                    `   • Inicio: ${new Date(session.loginAt).toLocaleString('es-MX')}\n` +
+                    `   • Última actividad: ${new Date(session.lastActivityAt).toLocaleString('es-MX')}` +
+                    `${session.expiresAt ? `\n   • Expira: ${new Date(session.expiresAt).toLocaleString('es-MX')}` : ''}`;
+            });
+
+            await context.sendActivity(
+                `📋 **Sesiones activas de ${userInfo.usuario}** (${sessions.length})\n\n` +
+                `${lines.join('\n\n')}\n\n` +
+                `💡 Escribe \`cerrar sesión en todos\` para cerrarlas todas.`
+            );
+
+        } catch (error) {
+            console.error(`Error listando sesiones:`, error);
+            await context.sendActivity('❌ Error obteniendo las sesiones activas.');
+        }
+    }
+
+    /**
+     * Comando `cerrar sesión en todos`: revoca todas las sesiones del usuario Nova
+     */
+    async handleRevokeAllSessions(context, userId) {
+        try {
+            const userInfo = await this.getUserInfo(userId);
+            const revoked = await sessionService.revokeAllSessions(userInfo.usuario);
+
+            await this.clearUserSession(context, userId);
+            await this.clearPendingRequest(context, userId);
+
+            await auditService.record(AUDIT_EVENTS.SESSIONS_REVOKED, {
+                userId: userInfo.usuario,
+                teamsUserId: userId,
+                conversationId: context.activity.conversation.id,
+                details: { revoked }
+            });
+
+            await context.sendActivity(
+                `🚫 **Sesiones cerradas**\n\n` +
+                `✅ Se cerraron **${revoked}** sesiones de **${userInfo.usuario}**, incluida esta.\n` +
+                `🔒 Las demás conversaciones pedirán iniciar sesión en su siguiente mensaje.`
+            );
+
+            await this.showLoginCard(context, 'revokeAll');
+
+        } catch (error) {
+            console.error(`Error cerrando todas las sesiones:`, error);
+            await context.sendActivity('❌ Error cerrando las sesiones.');
+        }
+    }
+
+    async sendResponse(context, response) {
+        try {
+            if (response.type === 'card') {
+                const cards = response.cards || (response.card ? [response.card] : []);
+
+                if (response.content) {
+                    await context.sendActivity(response.content);
+                }
+                if (cards.length > 0) {
+                    await context.sendActivity({ attachments: cards });
                 }
             } else {
                 const responseContent = response.content || response;
@@ -963,6 +2233,7 @@ class TeamsBot extends DialogBot {
                              `🏢 **Apellido Paterno**: ${userInfo.paterno || 'N/A'}\n` +
                              `🏢 **Apellido Materno**: ${userInfo.materno || 'N/A'}\n` +
                              `🔑 **Token**: ${userInfo.token.substring(0, 30)}...\n` +
+                             `🛡️ **Roles**: ${permissionService.getUserRoles(userInfo).join(', ')}\n` +
                              `📅 **Última autenticación**: Hace unos momentos\n\n`;
 
             if (cosmosService.isAvailable()) {
@@ -984,7 +2255,17 @@ class TeamsBot extends DialogBot {
     async showHelp(context, userId) {
         try {
             const userInfo = await this.getUserInfo(userId);
-            
+
+            // Secciones generadas del registro de comandos (solo los permitidos para los roles del usuario)
+            const comandos = this.commandRegistry
+                .getHelpSections(command => permissionService.hasAnyRole(userInfo, command.roles))
+                .map(({ category, commands }) =>
+                    `**${category}:**\n` +
+                    commands.map(command => `• \`${this.commandRegistry.getUsage(command)}\` - ${command.description}\n`).join('') +
+                    '\n'
+                )
+                .join('');
+
             await context.sendActivity(
                 `📚 **Ayuda - Nova Bot**\n\n` +
                 `👋 Hola **${userInfo.nombre}**, aquí tienes todo lo que puedo hacer:\n\n` +
@@ -994,18 +2275,7 @@ class TeamsBot extends DialogBot {
                 `• Respuestas contextuales y memoria de conversación\n` +
                 `• Formato role/content (máximo 5 mensajes usuario + 5 asistente)\n\n` +
                 
-                `📚 **Comandos de Historial:**\n` +
-                `• \`historial\` - Ver últimos mensajes en formato role/content\n` +
-                `• \`resumen\` - Resumen inteligente de la conversación\n` +
-                `• \`limpiar historial\` - Eliminar cache de mensajes\n\n` +
-                
-                `🤖 **Comandos OpenAI:**\n` +
-                `• \`limpiar conversacion\` - Limpiar formato OpenAI\n\n` +
-                
-                `👤 **Comandos de Usuario:**\n` +
-                `• \`mi info\` - Ver tu información completa\n` +
-                `• \`logout\` - Cerrar sesión\n` +
-                `• \`ayuda\` - Mostrar esta ayuda\n\n` +
+                `${comandos}` +
                 
                 `🔒 **Persistencia Actual:**\n` +
                 `• ${cosmosService.isAvailable() ? 
@@ -1026,30 +2296,47 @@ class TeamsBot extends DialogBot {
         }
     }
 
-    async handleLogout(context, userId) {
+    /**
+     * Cierra la sesión del usuario. Con `expiration` ({ reason: 'idle_timeout' | 'absolute_timeout' })
+     * se usa para los cierres automáticos e indica al usuario el motivo.
+     */
+    async handleLogout(context, userId, expiration = null) {
         try {
-            console.log(`🚪 [${userId}] Iniciando logout con limpieza completa...`);
+            console.log(`🚪 [${userId}] Iniciando logout con limpieza completa${expiration ? ` (${expiration.reason})` : ''}...`);
             
             const userInfo = await this.getUserInfo(userId);
             const userName = userInfo ? userInfo.nombre : 'Usuario';
-            const conversationId = context.activity.conversation.id;
-            
-            // ✅ LIMPIAR cache local role/content
-            if (this.conversationCache.has(conversationId)) {
-                this.conversationCache.delete(conversationId);
-                console.log(`🗑️ [${userId}] Cache role/content limpiado`);
+
+            await this.clearUserSession(context, userId);
+            await this.clearPendingRequest(context, userId);
+
+            // Logout explícito: cerrar también el token SSO para no volver a entrar en silencio
+            if (!expiration) {
+                await ssoService.signOut(context);
+            }
+
+            await auditService.record(AUDIT_EVENTS.LOGOUT, {
+                userId: userInfo?.usuario,
+                teamsUserId: userId,
+                conversationId: context.activity.conversation.id,
+                outcome: expiration ? 'expired' : 'success',
+                details: expiration ? { reason: expiration.reason } : {}
+            });
+
+            if (expiration) {
+                const motivo = expiration.reason === 'idle_timeout' ?
+                    `No hubo actividad durante **${sessionService.formatRemaining(sessionService.idleTimeoutMs)}**.` :
+                    `Tu sesión alcanzó la duración máxima de **${sessionService.formatRemaining(sessionService.absoluteTimeoutMs)}**.`;
+
+                await context.sendActivity(
+                    `⌛ **Sesión expirada, ${userName}**\n\n` +
+                    `${motivo}\n\n` +
+                    `🔐 Por seguridad cerramos tu sesión. Inicia sesión nuevamente para continuar.`
+                );
+
+                await this.showLoginCard(context, `sessionTimeout-${expiration.reason}`);
+                return;
             }
-            
-            // Limpiar datos de autenticación
-            this.authenticatedUsers.delete(userId);
-            const authData = await this.authState.get(context, {});
-            delete authData[userId];
-            await this.authState.set(context, authData);
-            await this.userState.saveChanges(context);
-            
-            // Limpiar protecciones
-            this.loginCardSentUsers.delete(userId);
-            this.welcomeMessageSent.delete(userId);
             
             await context.sendActivity(
                 `👋 **¡Hasta luego, ${userName}!**\n\n` +
@@ -1108,7 +2395,7 @@ class TeamsBot extends DialogBot {
                 return;
             }
 
-            const conversationMessages = await cosmosService.getConversationMessages(conversationId, userId);
+            const conversationMessages = await cosmosService.getConversationMessages(conversationId, this.getConversationOwnerId(userId));
             
             if (!conversationMessages || conversationMessages.length === 0) {
                 await context.sendActivity(
@@ -1143,7 +2430,7 @@ class TeamsBot extends DialogBot {
                 return;
             }
 
-            const result = await cosmosService.cleanConversationMessages(conversationId, userId);
+            const result = await cosmosService.cleanConversationMessages(conversationId, this.getConversationOwnerId(userId));
 
             if (result) {
                 await context.sendActivity(
@@ -1167,6 +2454,12 @@ class TeamsBot extends DialogBot {
 
         return {
             authenticatedUsers: this.authenticatedUsers.size,
+            sessions: sessionService.getStats(),
+            audit: auditService.getStats(),
+            userDirectory: userDirectoryService.getStats(),
+            sso: ssoService.getStats(),
+            loginThrottle: loginThrottleService.getStats(),
+            encryption: encryptionService.getStats(),
             loginCardsPending: this.loginCardSentUsers.size,
             welcomeMessagesSent: this.welcomeMessageSent.size,
             openaiAvailable: this.openaiService?.openaiAvailable || false,
@@ -1191,26 +2484,20 @@ class TeamsBot extends DialogBot {
         this.loginCardSentUsers.clear();
         this.welcomeMessageSent.clear();
         this.conversationCache.clear(); // ✅ LIMPIAR cache role/content
+        sessionService.cleanup();
+        userDirectoryService.cleanup();
         console.log('✅ TeamsBot limpiado');
     }
 
     // ===== MÉTODOS DE DIAGNÓSTICO (mantener para desarrollo) =====
-    async debugNovaAPI(context, text) {
+    async debugNovaAPI(context, username, password) {
         const userId = context.activity.from.id;
-        const parts = text.split(' ');
-        
-        if (parts.length < 3) {
-            await context.sendActivity('❌ Uso: `debug-api usuario contraseña`');
-            return;
-        }
 
-        const [, username, password] = parts;
-        
         try {
             await context.sendActivity({ type: 'typing' });
             console.log(`🔧 [${userId}] Debug Nova API: ${username}`);
             
-            const result = await this.authenticateWithNova(username, password);
+            const result = await this.authenticateWithThrottle(userId, username, password, context.activity.conversation.id);
             
             await context.sendActivity(
                 `🔧 **Debug Nova API**\n\n` +
@@ -10,6 +10,9 @@ const {
 const { TeamsBot } = require('./bots/teamsBot');
 const cosmosService = require('./services/cosmosService');
 const documentService = require('./services/documentService');
+const sessionService = require('./services/sessionService');
+const loginThrottleService = require('./services/loginThrottleService');
+const userDirectoryService = require('./services/userDirectoryService');
 
 // The Azure Bot Service deprecated support for creating new multi‑tenant bots after
 // July 31 2025.  To comply with the new single‑tenant requirement the adapter
@@ -51,6 +54,12 @@ const conversationState = new ConversationState(storage);
 const userState         = new UserState(storage);
 const bot               = new TeamsBot(conversationState, userState);
 
+// Los bloqueos de login, el registro de sesiones y el directorio de usuarios (sin Cosmos DB)
+// se guardan en el mismo Storage que el estado del bot
+loginThrottleService.setStorage(storage);
+sessionService.setStorage(storage);
+userDirectoryService.setStorage(storage);
+
 const server = restify.createServer();
 server.use(restify.plugins.bodyParser());
 
@@ -260,9 +260,8 @@ class ConversationMigration {
 
             console.log(`   📚 Encontrados ${individualMessages.length} mensajes individuales`);
 
-            // 3. Crear mensaje del sistema
-            const systemMessage = this.createSystemMessage(userId);
-            const conversationMessages = [systemMessage];
+            // 3. Sin mensaje del sistema: el prompt vigente lo arma promptService en cada turno
+            const conversationMessages = [];
 
             // 4. Convertir mensajes individuales a formato OpenAI
             let messagesConverted = 0;
@@ -319,30 +318,6 @@ class ConversationMigration {
         }
     }
 
-    /**
-     * ✅ Crear mensaje del sistema para migración
-     */
-    createSystemMessage(userId) {
-        return {
-            role: 'system',
-            content: `Eres un asistente corporativo inteligente para Nova Corporation.
-
-Esta conversación ha sido migrada desde el formato tradicional al formato OpenAI Chat API.
-
-Usuario: ${userId}
-Migración: ${new Date().toLocaleDateString('es-MX')}
-
-Características:
-• Asistente financiero especializado en productos Nova
-• Consultas sobre tasas de interés y productos bancarios
-• Conversación profesional y contextual
-• Memoria de conversación migrada
-
-Mantén el contexto de la conversación anterior y continúa brindando asistencia profesional.`,
-            timestamp: new Date().toISOString()
-        };
-    }
-
     /**
      * ✅ Convertir mensaje individual a formato OpenAI
      */
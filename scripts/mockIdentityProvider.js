@@ -0,0 +1,174 @@
+// scripts/mockIdentityProvider.js - IdP simulado para probar el login SSO en local
+
+const http = require('http');
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * Servidor local que simula los dos extremos del flujo SSO:
+ *   POST /token              { usuario }  -> { access_token }  (token del IdP, como el de Azure AD)
+ *   POST /nova/sso/exchange  { token }    -> respuesta con el formato de /Auth/login de Nova
+ *
+ * El segundo endpoint documenta el contrato del hook de intercambio que debe implementar Nova:
+ * validar firma, audiencia y expiración del token del IdP y responder info[0] con EsValido = 0 y Token.
+ *
+ * Uso:
+ *   node scripts/mockIdentityProvider.js
+ *   NODE_ENV=development   (el bot ignora SSO_MOCK_IDP_URL en cualquier otro entorno)
+ *   SSO_ENABLED=true
+ *   SSO_MOCK_IDP_URL=http://localhost:3980
+ *   NOVA_SSO_EXCHANGE_URL=http://localhost:3980/nova/sso/exchange
+ */
+class MockIdentityProvider {
+    constructor() {
+        this.port = parseInt(process.env.SSO_MOCK_IDP_PORT, 10) || 3980;
+        this.secret = process.env.SSO_MOCK_IDP_SECRET || 'nova-mock-idp-secret';
+        this.audience = 'nova-bot';
+        this.tokenLifetimeSeconds = 60 * 60;
+    }
+
+    base64Url(value) {
+        return Buffer.from(value).toString('base64').replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+    }
+
+    sign(payload) {
+        const header = this.base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        const body = this.base64Url(JSON.stringify(payload));
+        const signature = crypto.createHmac('sha256', this.secret).update(`${header}.${body}`).digest('base64')
+            .replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+        return `${header}.${body}.${signature}`;
+    }
+
+    /**
+     * Valida un token emitido por este IdP
+     * @returns {Object|null} - Payload si es válido
+     */
+    verify(token) {
+        const [header, body, signature] = (token || '').split('.');
+        if (!header || !body || !signature) {
+            return null;
+        }
+
+        const expected = crypto.createHmac('sha256', this.secret).update(`${header}.${body}`).digest('base64')
+            .replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+        if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            return null;
+        }
+
+        const payload = JSON.parse(Buffer.from(body.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+        if (payload.aud !== this.audience || payload.exp * 1000 <= Date.now()) {
+            return null;
+        }
+
+        return payload;
+    }
+
+    issueIdpToken(usuario) {
+        const now = Math.floor(Date.now() / 1000);
+        return this.sign({
+            iss: 'nova-mock-idp',
+            aud: this.audience,
+            sub: usuario,
+            preferred_username: `${usuario}@nova.mock`,
+            name: `Usuario ${usuario}`,
+            iat: now,
+            exp: now + this.tokenLifetimeSeconds
+        });
+    }
+
+    exchange(idpToken) {
+        const payload = this.verify(idpToken);
+
+        if (!payload) {
+            return { info: [{ EsValido: 1, Mensaje: 'Token SSO inválido o expirado' }] };
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const novaToken = this.sign({
+            CveUsuario: payload.sub,
+            NumRI: '7',
+            iat: now,
+            exp: now + this.tokenLifetimeSeconds
+        });
+
+        return {
+            info: [{
+                EsValido: 0,
+                CveUsuario: payload.sub,
+                Nombre: payload.name,
+                Paterno: 'SSO',
+                Materno: 'Simulado',
+                Token: novaToken,
+                Mensaje: 'Login SSO simulado'
+            }]
+        };
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            req.on('data', chunk => { data += chunk; });
+            req.on('end', () => {
+                try {
+                    resolve(data ? JSON.parse(data) : {});
+                } catch (error) {
+                    reject(error);
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    async handleRequest(req, res) {
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        try {
+            if (req.method !== 'POST') {
+                return send(405, { error: 'Método no permitido' });
+            }
+
+            const body = await this.readBody(req);
+
+            if (req.url === '/token') {
+                if (!body.usuario) {
+                    return send(400, { error: 'usuario requerido' });
+                }
+                console.log(`🪪 Token emitido para ${body.usuario}`);
+                return send(200, { access_token: this.issueIdpToken(body.usuario.toString()), token_type: 'Bearer', expires_in: this.tokenLifetimeSeconds });
+            }
+
+            if (req.url === '/nova/sso/exchange') {
+                const result = this.exchange(body.token);
+                console.log(`🔁 Intercambio SSO: ${result.info[0].EsValido === 0 ? 'válido' : 'rechazado'}`);
+                return send(200, result);
+            }
+
+            return send(404, { error: 'No encontrado' });
+
+        } catch (error) {
+            console.error('❌ Error en IdP simulado:', error.message);
+            return send(400, { error: error.message });
+        }
+    }
+
+    start() {
+        const server = http.createServer((req, res) => this.handleRequest(req, res));
+        server.listen(this.port, () => {
+            console.log(`🪪 IdP simulado escuchando en http://localhost:${this.port}`);
+            console.log(`   POST /token              { usuario }`);
+            console.log(`   POST /nova/sso/exchange  { token }`);
+        });
+        return server;
+    }
+}
+
+// Iniciar servidor si se llama directamente
+if (require.main === module) {
+    new MockIdentityProvider().start();
+}
+
+module.exports = MockIdentityProvider;
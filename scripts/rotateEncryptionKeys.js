@@ -0,0 +1,131 @@
+// scripts/rotateEncryptionKeys.js - Rotación de llaves del cifrado en reposo
+
+const cosmosService = require('../services/cosmosService');
+const encryptionService = require('../services/encryptionService');
+require('dotenv').config();
+
+/**
+ * Vuelve a cifrar con la llave activa (ENCRYPTION_ACTIVE_KEY_ID) las llaves de datos
+ * de los documentos de Cosmos DB cifrados con llaves anteriores.
+ * Las llaves anteriores deben seguir presentes en ENCRYPTION_KEYS mientras corre el script.
+ */
+class EncryptionKeyRotation {
+    constructor() {
+        this.stats = {
+            scanned: 0,
+            rewrapped: 0,
+            errors: 0
+        };
+    }
+
+    validateConfig() {
+        if (!encryptionService.isEnabled()) {
+            throw new Error(`❌ Cifrado no configurado: ${encryptionService.getStats().error}`);
+        }
+        if (!cosmosService.isAvailable()) {
+            throw new Error('❌ Cosmos DB no está disponible');
+        }
+
+        console.log(`🔐 Llave activa: ${encryptionService.activeKeyId}`);
+        console.log(`🔑 Llaves configuradas: ${Array.from(encryptionService.keys.keys()).join(', ')}`);
+    }
+
+    /**
+     * Rota los campos cifrados de un documento
+     */
+    rotateDocument(doc) {
+        let changed = false;
+        const updated = { ...doc };
+
+        if (encryptionService.needsRewrap(updated.userName)) {
+            updated.userName = encryptionService.rewrap(updated.userName);
+            changed = true;
+        }
+
+        if (encryptionService.needsRewrap(updated.message)) {
+            updated.message = encryptionService.rewrap(updated.message);
+            changed = true;
+        }
+
+        if (Array.isArray(updated.messages) && updated.messages.some(msg => encryptionService.needsRewrap(msg.content))) {
+            updated.messages = updated.messages.map(msg => ({ ...msg, content: encryptionService.rewrap(msg.content) }));
+            changed = true;
+        }
+
+        if (updated.documentType === 'conversation_summary') {
+            const result = encryptionService.rewrapFields(updated, ['summary', 'pendingTurns']);
+            Object.assign(updated, result.value);
+            changed = changed || result.changed;
+        }
+
+        if (updated.userInfo) {
+            const result = encryptionService.rewrapFields(updated.userInfo);
+            updated.userInfo = result.value;
+            changed = changed || result.changed;
+        }
+
+        if (updated.perfil) {
+            const result = encryptionService.rewrapFields(updated.perfil);
+            updated.perfil = result.value;
+            changed = changed || result.changed;
+        }
+
+        return { updated, changed };
+    }
+
+    async run() {
+        try {
+            console.log('🔄 ===== ROTACIÓN DE LLAVES DE CIFRADO =====');
+            this.validateConfig();
+
+            const query = {
+                query: `
+                    SELECT * FROM c
+                    WHERE c.documentType IN ('conversation_info', 'conversation_message', 'conversation_messages_format', 'conversation_summary', 'user_directory')
+                `
+            };
+
+            const { resources: docs } = await cosmosService.container.items.query(query).fetchAll();
+
+            for (const doc of docs) {
+                this.stats.scanned++;
+                try {
+                    const { updated, changed } = this.rotateDocument(doc);
+                    if (changed) {
+                        await cosmosService.container.items.upsert(updated);
+                        this.stats.rewrapped++;
+                    }
+                } catch (error) {
+                    this.stats.errors++;
+                    console.warn(`⚠️ Error rotando documento ${doc.id}:`, error.message);
+                }
+            }
+
+            console.log('\n✅ ===== ROTACIÓN COMPLETADA =====');
+            console.log(`📄 Documentos revisados: ${this.stats.scanned}`);
+            console.log(`🔁 Documentos rotados: ${this.stats.rewrapped}`);
+            console.log(`❌ Errores: ${this.stats.errors}`);
+
+            return this.stats.errors === 0;
+
+        } catch (error) {
+            console.error('\n❌ ===== ERROR EN ROTACIÓN =====');
+            console.error('💥 Error:', error.message);
+            return false;
+        }
+    }
+}
+
+// Ejecutar rotación si se llama directamente
+if (require.main === module) {
+    const rotation = new EncryptionKeyRotation();
+
+    rotation.run().then(success => {
+        process.exit(success ? 0 : 1);
+    }).catch(error => {
+        console.error('💥 Error crítico:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = EncryptionKeyRotation;
@@ -0,0 +1,223 @@
+// services/auditService.js - Bitácora de auditoría de seguridad (solo inserción)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const cosmosService = require('./cosmosService');
+require('dotenv').config();
+
+const AUDIT_EVENTS = {
+    LOGIN_SUCCESS: 'login_success',
+    LOGIN_FAILURE: 'login_failure',
+    LOGOUT: 'logout',
+    LOCKOUT: 'lockout',
+    UNLOCK: 'unlock',
+    SESSIONS_REVOKED: 'sessions_revoked',
+    TOOL_EXECUTION: 'tool_execution',
+    NOVA_API_CALL: 'nova_api_call',
+    PII_REDACTION: 'pii_redaction'
+};
+
+const SENSITIVE_KEYS = /token|password|contrase|secret|authorization/i;
+
+/**
+ * AuditService - Registro de eventos de seguridad consultable por cumplimiento
+ * - Cada evento es un documento independiente en Cosmos DB (documentType: 'audit_event')
+ * - Si Cosmos DB no está disponible (o falla la escritura) se agrega al archivo local AUDIT_LOG_FILE (JSON por línea)
+ * - Nunca se registran contraseñas ni tokens
+ */
+class AuditService {
+    constructor() {
+        this.logFile = process.env.AUDIT_LOG_FILE || path.join(__dirname, '..', 'logs', 'audit.log');
+        this.retentionDays = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 365;
+        this.fileQueue = Promise.resolve();
+        this.stats = { cosmos: 0, file: 0, errors: 0 };
+
+        console.log(`📜 AuditService inicializado - Cosmos DB: ${cosmosService.isAvailable() ? 'sí' : 'no'}, archivo: ${this.logFile}`);
+    }
+
+    /**
+     * Registra un evento; nunca lanza excepción para no interrumpir el flujo del bot
+     * @param {string} eventType - Uno de AUDIT_EVENTS
+     * @param {Object} entry - { userId, teamsUserId, conversationId, outcome, details }
+     */
+    async record(eventType, { userId, teamsUserId = null, conversationId = null, outcome = 'success', details = {} } = {}) {
+        const auditUserId = (userId || teamsUserId || 'unknown').toString();
+        const event = {
+            id: `audit_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`,
+            documentType: 'audit_event',
+            eventType,
+            userId: auditUserId,
+            teamsUserId,
+            conversationId,
+            outcome,
+            details: this.sanitize(details),
+            timestamp: new Date().toISOString(),
+            partitionKey: auditUserId,
+            ttl: 60 * 60 * 24 * this.retentionDays
+        };
+
+        try {
+            if (cosmosService.isAvailable()) {
+                try {
+                    // create (no upsert): las entradas no se sobrescriben
+                    await cosmosService.container.items.create(event);
+                    this.stats.cosmos++;
+                    return event;
+                } catch (error) {
+                    console.warn(`⚠️ Error guardando auditoría en Cosmos DB, usando archivo local:`, error.message);
+                }
+            }
+
+            await this.appendToFile(event);
+            this.stats.file++;
+            return event;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error(`❌ Error registrando evento de auditoría ${eventType}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Registra una llamada saliente a la API de Nova
+     */
+    async recordNovaCall({ userId, teamsUserId, conversationId, method, url, status = null, durationMs, error = null }) {
+        return this.record(AUDIT_EVENTS.NOVA_API_CALL, {
+            userId,
+            teamsUserId,
+            conversationId,
+            outcome: status >= 200 && status < 300 && !error ? 'success' : 'failure',
+            details: {
+                method: (method || 'GET').toUpperCase(),
+                url,
+                status,
+                durationMs,
+                error
+            }
+        });
+    }
+
+    async appendToFile(event) {
+        const { documentType, partitionKey, ttl, ...entry } = event;
+
+        // Escrituras en serie para conservar el orden de las líneas
+        this.fileQueue = this.fileQueue.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(this.logFile), { recursive: true });
+            await fs.promises.appendFile(this.logFile, `${JSON.stringify(entry)}\n`, 'utf8');
+        });
+
+        return this.fileQueue;
+    }
+
+    /**
+     * Elimina valores sensibles de los detalles del evento
+     */
+    sanitize(details) {
+        if (Array.isArray(details)) {
+            return details.map(item => this.sanitize(item));
+        }
+
+        if (!details || typeof details !== 'object') {
+            return details;
+        }
+
+        const clean = {};
+        Object.entries(details).forEach(([key, value]) => {
+            clean[key] = SENSITIVE_KEYS.test(key) ? '[omitido]' : this.sanitize(value);
+        });
+        return clean;
+    }
+
+    /**
+     * Consulta eventos por usuario y rango de fechas (Cosmos DB + archivo local)
+     * @param {Object} filters - { userId, from, to, eventType, limit }
+     */
+    async query({ userId, from, to, eventType = null, limit = 50 }) {
+        const fromIso = new Date(from).toISOString();
+        const toIso = new Date(to).toISOString();
+        let entries = [];
+
+        if (cosmosService.isAvailable()) {
+            try {
+                const query = {
+                    query: `
+                        SELECT * FROM c
+                        WHERE c.documentType = 'audit_event'
+                          AND c.userId = @userId
+                          AND c.timestamp >= @from
+                          AND c.timestamp <= @to
+                          ${eventType ? 'AND c.eventType = @eventType' : ''}
+                        ORDER BY c.timestamp DESC
+                    `,
+                    parameters: [
+                        { name: '@userId', value: userId.toString() },
+                        { name: '@from', value: fromIso },
+                        { name: '@to', value: toIso }
+                    ]
+                };
+
+                if (eventType) {
+                    query.parameters.push({ name: '@eventType', value: eventType });
+                }
+
+                const { resources } = await cosmosService.container.items
+                    .query(query, { partitionKey: userId.toString() })
+                    .fetchAll();
+
+                entries = resources.map(({ documentType, partitionKey, ttl, _rid, _self, _etag, _attachments, _ts, ...entry }) => entry);
+            } catch (error) {
+                console.warn('⚠️ Error consultando auditoría en Cosmos DB:', error.message);
+            }
+        }
+
+        const fileEntries = (await this.readFileEntries()).filter(entry =>
+            entry.userId === userId.toString() &&
+            entry.timestamp >= fromIso &&
+            entry.timestamp <= toIso &&
+            (!eventType || entry.eventType === eventType)
+        );
+
+        return entries
+            .concat(fileEntries)
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+            .slice(0, limit);
+    }
+
+    async readFileEntries() {
+        try {
+            await this.fileQueue.catch(() => {});
+            const content = await fs.promises.readFile(this.logFile, 'utf8');
+
+            return content.split('\n').filter(Boolean).reduce((entries, line) => {
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (parseError) {
+                    console.warn('⚠️ Línea de auditoría inválida ignorada');
+                }
+                return entries;
+            }, []);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('⚠️ Error leyendo archivo de auditoría:', error.message);
+            }
+            return [];
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            cosmosAvailable: cosmosService.isAvailable(),
+            logFile: this.logFile,
+            retentionDays: this.retentionDays
+        };
+    }
+}
+
+// Crear instancia singleton
+const auditService = new AuditService();
+
+module.exports = auditService;
+module.exports.AUDIT_EVENTS = AUDIT_EVENTS;
@@ -55,7 +55,7 @@ class ConversationService {
      * @param {string} userId - ID del usuario ('bot' para mensajes del bot)
      * @returns {Object} - Mensaje guardado
      */
-    async saveMessage(message, conversationId, userId = null) {
+    async saveMessage(message, conversationId, userId = null, responseMetadata = null) {
         try {
             const messageObj = {
                 id: this.generateMessageId(),
@@ -63,7 +63,8 @@ class ConversationService {
                 conversationId: conversationId,
                 userId: userId,
                 timestamp: DateTime.now().setZone('America/Mexico_City').toISO(),
-                type: userId === 'bot' ? 'assistant' : 'user'
+                type: userId === 'bot' ? 'assistant' : 'user',
+                ...(responseMetadata ? { promptVersion: responseMetadata.promptVersion || null, modelUsed: responseMetadata.modelUsed || null } : {})
             };
 
             // Obtener array de mensajes de la conversación
@@ -0,0 +1,181 @@
+// services/conversationSummaryService.js - Resumen acumulado de cada conversación (memoria de largo plazo)
+
+const cosmosService = require('./cosmosService');
+const llmProvider = require('./llmProvider');
+require('dotenv').config();
+
+/**
+ * ConversationSummaryService - Mantiene un resumen generado por el modelo para cada conversación
+ * - Los turnos (usuario + asistente) se acumulan en `pendingTurns` y cada N turnos se integran al resumen
+ * - Persistencia: Cosmos DB (documentType: 'conversation_summary', junto a 'conversation_messages_format',
+ *   con `summary` y `pendingTurns` cifrados);
+ *   en memoria si Cosmos DB no está disponible
+ * - El resumen se envía al modelo como mensaje de sistema (ver openaiService.procesarMensaje)
+ */
+class ConversationSummaryService {
+    constructor() {
+        // Máximo 10: el formato de conversación de Cosmos conserva 20 mensajes (10 turnos)
+        this.refreshEveryTurns = Math.min(parseInt(process.env.CONVERSATION_SUMMARY_EVERY_TURNS, 10) || 5, 10);
+        this.model = process.env.CONVERSATION_SUMMARY_MODEL || llmProvider.chatModel;
+        this.maxWords = 200;
+        this.maxTurnChars = 1000;
+        this.memory = new Map(); // `${userId}|${conversationId}` -> documento (sin Cosmos DB)
+        this.stats = { refreshes: 0, errors: 0 };
+
+        console.log(`🧾 ConversationSummaryService inicializado - Resumen cada ${this.refreshEveryTurns} turnos`);
+    }
+
+    buildMemoryKey(conversationId, userId) {
+        return `${userId}|${conversationId}`;
+    }
+
+    async getSummary(conversationId, userId) {
+        if (!conversationId || !userId) {
+            return null;
+        }
+
+        if (cosmosService.isAvailable()) {
+            return await cosmosService.getConversationSummary(conversationId, userId);
+        }
+
+        return this.memory.get(this.buildMemoryKey(conversationId, userId)) || null;
+    }
+
+    async saveSummary(conversationId, userId, summaryDoc) {
+        if (cosmosService.isAvailable()) {
+            return await cosmosService.saveConversationSummary(conversationId, userId, summaryDoc);
+        }
+
+        this.memory.set(this.buildMemoryKey(conversationId, userId), summaryDoc);
+        return summaryDoc;
+    }
+
+    /**
+     * Mensaje de sistema con el resumen acumulado (null si aún no hay resumen)
+     */
+    async getSummaryMessage(conversationId, userId) {
+        try {
+            const summaryDoc = await this.getSummary(conversationId, userId);
+
+            if (!summaryDoc?.summary) {
+                return null;
+            }
+
+            return {
+                role: 'system',
+                content: `Resumen de la conversación anterior con este usuario (${summaryDoc.turnsSummarized} turnos):\n${summaryDoc.summary}`
+            };
+        } catch (error) {
+            console.warn(`⚠️ [${userId}] Error obteniendo resumen de conversación:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Registra un turno y actualiza el resumen cuando se acumulan N turnos
+     * @param {Object} turno - { conversationId, userId, userMessage, assistantMessage, client }
+     */
+    async recordTurn({ conversationId, userId, userMessage, assistantMessage, client }) {
+        try {
+            const summaryDoc = await this.getSummary(conversationId, userId) || {
+                summary: '',
+                turnsSummarized: 0,
+                pendingTurns: [],
+                createdAt: new Date().toISOString()
+            };
+
+            summaryDoc.pendingTurns = [
+                ...(summaryDoc.pendingTurns || []),
+                {
+                    user: (userMessage || '').substring(0, this.maxTurnChars),
+                    assistant: (assistantMessage || '').substring(0, this.maxTurnChars),
+                    timestamp: new Date().toISOString()
+                }
+            ];
+
+            if (summaryDoc.pendingTurns.length >= this.refreshEveryTurns && client) {
+                try {
+                    await this.refresh(summaryDoc, client, userId);
+                } catch (error) {
+                    // Los turnos quedan pendientes y se guardan; se reintenta en el siguiente turno
+                    this.stats.errors++;
+                    console.warn(`⚠️ [${userId}] Error generando resumen de conversación:`, error.message);
+                }
+            }
+
+            await this.saveSummary(conversationId, userId, summaryDoc);
+            return summaryDoc;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.warn(`⚠️ [${userId}] Error actualizando resumen de conversación:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Integra los turnos pendientes al resumen (si el modelo falla, se reintenta en el siguiente turno)
+     */
+    async refresh(summaryDoc, client, userId) {
+        const turnos = summaryDoc.pendingTurns
+            .map((turno, index) => `Turno ${index + 1}\nUsuario: ${turno.user}\nAsistente: ${turno.assistant}`)
+            .join('\n\n');
+
+        console.log(`🧾 [${userId}] Actualizando resumen con ${summaryDoc.pendingTurns.length} turnos...`);
+
+        const response = await client.chat.completions.create({
+            model: this.model,
+            messages: [
+                {
+                    role: 'system',
+                    content: `Mantienes la memoria de una conversación entre un usuario y Nova Bot (asistente financiero). ` +
+                        `Actualiza el resumen con los turnos nuevos en máximo ${this.maxWords} palabras, en español. ` +
+                        `Conserva cifras, fechas, decisiones, preferencias y temas pendientes; omite saludos. ` +
+                        `No incluyas contraseñas ni tokens. Responde solo con el resumen.`
+                },
+                {
+                    role: 'user',
+                    content: `Resumen actual:\n${summaryDoc.summary || '(sin resumen)'}\n\nTurnos nuevos:\n${turnos}`
+                }
+            ],
+            temperature: 0.2,
+            max_tokens: 400
+        });
+
+        const summary = response.choices?.[0]?.message?.content?.trim();
+        if (!summary) {
+            throw new Error('Respuesta vacía al generar el resumen');
+        }
+
+        summaryDoc.summary = summary;
+        summaryDoc.turnsSummarized += summaryDoc.pendingTurns.length;
+        summaryDoc.pendingTurns = [];
+        summaryDoc.refreshedAt = new Date().toISOString();
+        this.stats.refreshes++;
+
+        console.log(`✅ [${userId}] Resumen actualizado (${summaryDoc.turnsSummarized} turnos)`);
+    }
+
+    async clear(conversationId, userId) {
+        this.memory.delete(this.buildMemoryKey(conversationId, userId));
+
+        if (cosmosService.isAvailable()) {
+            return await cosmosService.deleteConversationSummary(conversationId, userId);
+        }
+        return true;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            refreshEveryTurns: this.refreshEveryTurns,
+            model: this.model,
+            memorySummaries: this.memory.size
+        };
+    }
+}
+
+// Crear instancia singleton
+const conversationSummaryService = new ConversationSummaryService();
+
+module.exports = conversationSummaryService;
@@ -1,8 +1,12 @@
 // services/cosmosService.js - MEJORADO: Historial + Formato de Conversación
 const { CosmosClient } = require('@azure/cosmos');
 const { DateTime } = require('luxon');
+const encryptionService = require('./encryptionService');
 require('dotenv').config();
 
+// Campos cifrados del documento de resumen de conversación
+const SUMMARY_FIELDS = ['summary', 'pendingTurns'];
+
 /**
  * Servicio de Cosmos DB MEJORADO - Historial funcionando + Formato de conversación
  */
@@ -87,9 +91,9 @@ class CosmosService {
                 id: conversationDocId,
                 conversationId: conversationId,
                 userId: userId,
-                userName: userInfo?.nombre || 'Usuario',
+                userName: encryptionService.encrypt(userInfo?.nombre || 'Usuario'),
                 documentType: 'conversation_messages_format',
-                messages: messages, // Array en el formato solicitado
+                messages: this.encryptMessageContents(messages), // Array en el formato solicitado (contenido cifrado)
                 messageCount: messages.length,
                 lastUpdated: timestamp,
                 createdAt: timestamp,
@@ -139,7 +143,7 @@ class CosmosService {
 
             if (conversationDoc && conversationDoc.messages) {
                 console.log(`✅ [${userId}] Conversación en formato de mensajes obtenida: ${conversationDoc.messages.length} mensajes`);
-                return conversationDoc.messages;
+                return this.decryptMessageContents(conversationDoc.messages);
             } else {
                 console.log(`ℹ️ [${userId}] No se encontró conversación en formato de mensajes`);
                 return [];
@@ -159,7 +163,7 @@ class CosmosService {
     /**
      * ✅ NUEVO: Agregar mensaje a conversación en formato de roles
      */
-    async addMessageToConversation(conversationId, userId, role, content, userInfo = null) {
+    async addMessageToConversation(conversationId, userId, role, content, userInfo = null, responseMetadata = null) {
         try {
             if (!this.cosmosAvailable) {
                 console.warn('⚠️ Cosmos DB no disponible - mensaje no agregado a conversación');
@@ -182,7 +186,8 @@ class CosmosService {
             const newMessage = {
                 role: role,
                 content: content,
-                timestamp: DateTime.now().setZone('America/Mexico_City').toISO()
+                timestamp: DateTime.now().setZone('America/Mexico_City').toISO(),
+                ...this.buildResponseMetadata(responseMetadata)
             };
 
             currentMessages.push(newMessage);
@@ -238,7 +243,7 @@ class CosmosService {
     /**
      * ✅ MEJORADO: saveMessage ahora también actualiza la conversación en formato de mensajes
      */
-    async saveMessage(message, conversationId, userId, userName = null, messageType = 'user') {
+    async saveMessage(message, conversationId, userId, userName = null, messageType = 'user', responseMetadata = null) {
         try {
             if (!this.cosmosAvailable) {
                 console.warn('⚠️ Cosmos DB no disponible - mensaje no guardado');
@@ -264,9 +269,10 @@ class CosmosService {
                 messageId: messageId,
                 conversationId: conversationId,
                 userId: userId,
-                userName: userName || 'Usuario',
-                message: message.substring(0, 4000),
+                userName: encryptionService.encrypt(userName || 'Usuario'),
+                message: encryptionService.encrypt(message.substring(0, 4000)),
                 messageType: messageType, // 'user' | 'bot' | 'system'
+                ...this.buildResponseMetadata(responseMetadata),
                 timestamp: timestamp,
                 dateCreated: timestamp,
                 partitionKey: userId,
@@ -293,7 +299,8 @@ class CosmosService {
                     userId, 
                     role, 
                     message,
-                    { nombre: userName }
+                    { nombre: userName },
+                    responseMetadata
                 );
                 
                 console.log(`🔄 [${userId}] Mensaje también agregado a conversación en formato de roles`);
@@ -337,6 +344,7 @@ class CosmosService {
 
             console.log(`🗑️ [${userId}] Limpiando conversación en formato de mensajes: ${conversationDocId}`);
 
+            await this.deleteConversationSummary(conversationId, userId);
             await this.container.item(conversationDocId, userId).delete();
             
             console.log(`✅ [${userId}] Conversación en formato de mensajes eliminada`);
@@ -353,6 +361,77 @@ class CosmosService {
         }
     }
 
+    /**
+     * Resumen acumulado de la conversación (ver conversationSummaryService)
+     * - `summary` y `pendingTurns` contienen cifras y decisiones del usuario: se guardan cifrados
+     */
+    async getConversationSummary(conversationId, userId) {
+        try {
+            if (!this.cosmosAvailable) {
+                return null;
+            }
+
+            const { resource } = await this.container
+                .item(`conversation_summary_${conversationId}`, userId)
+                .read();
+
+            return resource ? encryptionService.decryptFields(resource, SUMMARY_FIELDS) : null;
+
+        } catch (error) {
+            if (error.code === 404) {
+                return null;
+            }
+
+            console.error(`❌ Error obteniendo resumen de conversación:`, error);
+            return null;
+        }
+    }
+
+    async saveConversationSummary(conversationId, userId, summaryDoc) {
+        try {
+            if (!this.cosmosAvailable) {
+                return null;
+            }
+
+            const { resource: savedDoc } = await this.container.items.upsert({
+                ...encryptionService.encryptFields(summaryDoc, SUMMARY_FIELDS),
+                id: `conversation_summary_${conversationId}`,
+                conversationId: conversationId,
+                userId: userId,
+                documentType: 'conversation_summary',
+                lastUpdated: DateTime.now().setZone('America/Mexico_City').toISO(),
+                partitionKey: userId,
+                ttl: 60 * 60 * 24 * 90 // TTL: 90 días (igual que la conversación)
+            });
+
+            return savedDoc;
+
+        } catch (error) {
+            console.error(`❌ Error guardando resumen de conversación:`, error.message);
+            return null;
+        }
+    }
+
+    async deleteConversationSummary(conversationId, userId) {
+        try {
+            if (!this.cosmosAvailable) {
+                return false;
+            }
+
+            await this.container.item(`conversation_summary_${conversationId}`, userId).delete();
+            console.log(`🗑️ [${userId}] Resumen de conversación eliminado`);
+            return true;
+
+        } catch (error) {
+            if (error.code === 404) {
+                return true;
+            }
+
+            console.error(`❌ Error eliminando resumen de conversación:`, error);
+            return false;
+        }
+    }
+
     /**
      * ✅ NUEVO: Obtener estadísticas de conversaciones en formato de mensajes
      */
@@ -494,13 +573,14 @@ class CosmosService {
                 .map((msg, index) => {
                     const formattedMessage = {
                         id: msg.messageId || msg.id,
-                        message: msg.message || 'Mensaje vacío',
+                        message: this.decryptMessageContent(msg.message) || 'Mensaje vacío',
                         conversationId: msg.conversationId,
                         userId: msg.userId,
-                        userName: msg.userName || 'Usuario',
+                        userName: this.decryptUserName(msg.userName),
                         timestamp: msg.timestamp,
                         type: msg.messageType === 'bot' ? 'assistant' : 'user', // ✅ Mapear correctamente
-                        messageType: msg.messageType
+                        messageType: msg.messageType,
+                        ...this.buildResponseMetadata(msg)
                     };
                     
                     console.log(`📝 [${userId}] ${index + 1}. Mensaje formateado: ${formattedMessage.type} - "${formattedMessage.message.substring(0, 30)}..." (${formattedMessage.timestamp})`);
@@ -546,7 +626,7 @@ class CosmosService {
                 id: conversationDocId,
                 conversationId: conversationId,
                 userId: userId,
-                userName: userName || 'Usuario',
+                userName: encryptionService.encrypt(userName || 'Usuario'),
                 documentType: 'conversation_info',
                 createdAt: timestamp,
                 lastActivity: timestamp,
@@ -558,6 +638,11 @@ class CosmosService {
                 ...additionalData
             };
 
+            // ✅ CIFRADO: token y datos personales nunca se guardan en claro
+            if (additionalData.userInfo) {
+                conversationDoc.userInfo = encryptionService.encryptFields(additionalData.userInfo);
+            }
+
             console.log(`💾 [${userId}] Guardando info de conversación: ${conversationDocId}`);
 
             // ✅ USAR UPSERT: Siempre funciona, sea crear o actualizar
@@ -594,7 +679,17 @@ class CosmosService {
                 .item(conversationDocId, userId)
                 .read();
 
-            return conversationDoc;
+            if (!conversationDoc) {
+                return conversationDoc;
+            }
+
+            return {
+                ...conversationDoc,
+                userName: this.decryptUserName(conversationDoc.userName),
+                userInfo: conversationDoc.userInfo ?
+                    encryptionService.decryptFields(conversationDoc.userInfo) :
+                    conversationDoc.userInfo
+            };
 
         } catch (error) {
             if (error.code === 404) {
@@ -713,6 +808,7 @@ class CosmosService {
                     AND c.userId = @userId
                     AND c.documentType != 'conversation_info'
                     AND c.documentType != 'conversation_messages_format'
+                    AND c.documentType != 'conversation_summary'
                     ORDER BY c.timestamp DESC
                 `,
                 parameters: [
@@ -822,7 +918,8 @@ class CosmosService {
                 userMessages: 0,
                 botMessages: 0,
                 systemMessages: 0,
-                conversationMessagesFormat: 0
+                conversationMessagesFormat: 0,
+                conversationSummaries: 0
             };
 
             // ✅ CONSULTAS MEJORADAS: Incluyendo conversaciones en formato de mensajes
@@ -850,6 +947,10 @@ class CosmosService {
                 {
                     label: 'conversationMessagesFormat',
                     query: "SELECT VALUE COUNT(1) FROM c WHERE c.documentType = 'conversation_messages_format'"
+                },
+                {
+                    label: 'conversationSummaries',
+                    query: "SELECT VALUE COUNT(1) FROM c WHERE c.documentType = 'conversation_summary'"
                 }
             ];
 
@@ -921,6 +1022,57 @@ class CosmosService {
         }
     }
 
+    /**
+     * Descifra el nombre de usuario guardado en un documento
+     */
+    decryptUserName(userName) {
+        try {
+            return encryptionService.decrypt(userName) || 'Usuario';
+        } catch (error) {
+            console.warn('⚠️ No se pudo descifrar userName:', error.message);
+            return 'Usuario';
+        }
+    }
+
+    /**
+     * Versión del prompt y modelo con que se generó una respuesta del bot (vacío para mensajes del usuario)
+     */
+    buildResponseMetadata(metadata) {
+        if (!metadata?.promptVersion && !metadata?.modelUsed) {
+            return {};
+        }
+
+        return {
+            promptVersion: metadata.promptVersion || null,
+            modelUsed: metadata.modelUsed || null
+        };
+    }
+
+    /**
+     * Cifra el contenido de los mensajes role/content (datos financieros en reposo)
+     */
+    encryptMessageContents(messages) {
+        return messages.map(msg => ({ ...msg, content: encryptionService.encrypt(msg.content) }));
+    }
+
+    /**
+     * Descifra el contenido de los mensajes; los que no se pueden descifrar se omiten
+     */
+    decryptMessageContents(messages) {
+        return messages
+            .map(msg => ({ ...msg, content: this.decryptMessageContent(msg.content) }))
+            .filter(msg => msg.content !== null);
+    }
+
+    decryptMessageContent(content) {
+        try {
+            return encryptionService.decrypt(content);
+        } catch (error) {
+            console.warn('⚠️ No se pudo descifrar un mensaje:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Genera un ID único para mensaje
      */
@@ -1,7 +1,7 @@
 // services/documentService.js - Servicio de Azure Search con embeddings vectoriales
 
 const { SearchClient, AzureKeyCredential } = require('@azure/search-documents');
-const OpenAI = require('openai');
+const llmProvider = require('./llmProvider');
 require('dotenv').config();
 
 /**
@@ -29,29 +29,17 @@ class DocumentService {
     }
 
     /**
-     * Inicializa el cliente de OpenAI para embeddings
+     * Usa el proveedor LLM compartido para embeddings (ver services/llmProvider.js)
      */
     initializeOpenAI() {
-        try {
-            const apiKey = process.env.OPENAI_API_KEY;
-            
-            if (!apiKey) {
-                console.warn('⚠️ OpenAI no configurado para embeddings en DocumentService');
-                this.openaiAvailable = false;
-                return;
-            }
-            
-            this.openai = new OpenAI({ 
-                apiKey,
-                timeout: 30000 // 30 segundos para embeddings
-            });
-            this.openaiAvailable = true;
-            console.log('✅ OpenAI configurado para embeddings en DocumentService');
-            
-        } catch (error) {
-            console.error('❌ Error inicializando OpenAI para DocumentService:', error);
-            this.openaiAvailable = false;
-            this.initializationError = error.message;
+        this.openai = llmProvider.client;
+        this.embeddingModel = llmProvider.embeddingModel;
+        this.openaiAvailable = llmProvider.isAvailable();
+
+        if (this.openaiAvailable) {
+            console.log(`✅ Embeddings configurados en DocumentService (${llmProvider.providerName}: ${llmProvider.resolveModel(this.embeddingModel)})`);
+        } else {
+            console.warn('⚠️ Proveedor LLM no configurado para embeddings en DocumentService');
         }
     }
 
@@ -145,10 +133,10 @@ class DocumentService {
                     console.log(`🧠 [${userId}] Creando embedding para búsqueda vectorial...`);
                     
                     const embedding = await this.openai.embeddings.create({
-                        model: 'text-embedding-3-large',
+                        model: this.embeddingModel,
                         input: consulta,
                         dimensions: 1024
-                    });
+                    }, { timeout: 30000 }); // 30 segundos para embeddings
                     
                     console.log(`✅ [${userId}] Embedding creado con ${embedding.data[0].embedding.length} dimensiones`);
                     
@@ -0,0 +1,262 @@
+// services/encryptionService.js - Cifrado por sobre (envelope) para tokens y datos personales
+
+const crypto = require('crypto');
+require('dotenv').config();
+
+const ENVELOPE_VERSION = 'nova-env-v1';
+const ALGORITHM = 'aes-256-gcm';
+
+// Entornos donde se permite guardar sin cifrar cuando no hay llaves configuradas
+const PLAINTEXT_ENVIRONMENTS = ['development', 'test'];
+
+/**
+ * EncryptionService - Cifrado por sobre con AES-256-GCM
+ * - Cada valor se cifra con una llave de datos (DEK) aleatoria
+ * - La DEK se cifra con la llave maestra (KEK) activa, configurada localmente
+ * - Rotación: se pueden configurar varias KEK; se cifra con la activa y se descifra con cualquiera
+ * - Sin llaves válidas falla cerrado: `encrypt` lanza error salvo con NODE_ENV=development|test
+ *
+ * Configuración:
+ *   ENCRYPTION_KEYS          – "id:base64,id2:base64" (llaves de 32 bytes en base64)
+ *   ENCRYPTION_ACTIVE_KEY_ID – id de la llave con la que se cifra (default: la primera)
+ *   ENCRYPTION_PII_FIELDS    – campos a cifrar (default: token,nombre,paterno,materno)
+ */
+class EncryptionService {
+    constructor() {
+        this.keys = new Map(); // keyId -> Buffer(32)
+        this.activeKeyId = null;
+        this.enabled = false;
+        this.initializationError = null;
+        this.allowPlaintext = PLAINTEXT_ENVIRONMENTS.includes(process.env.NODE_ENV);
+        this.piiFields = (process.env.ENCRYPTION_PII_FIELDS || 'token,nombre,paterno,materno')
+            .split(',')
+            .map(field => field.trim())
+            .filter(Boolean);
+
+        this.loadKeys();
+    }
+
+    /**
+     * Carga las llaves maestras desde variables de entorno
+     */
+    loadKeys() {
+        try {
+            const rawKeys = (process.env.ENCRYPTION_KEYS || '').trim();
+
+            if (!rawKeys) {
+                this.initializationError = 'ENCRYPTION_KEYS no configurada';
+                if (this.allowPlaintext) {
+                    console.warn(`⚠️ Cifrado en reposo DESHABILITADO (NODE_ENV=${process.env.NODE_ENV}) - ENCRYPTION_KEYS no configurada`);
+                    console.warn('   Los tokens y datos personales se guardarán sin cifrar');
+                } else {
+                    console.error('❌ ENCRYPTION_KEYS no configurada - no se guardarán tokens, datos personales ni mensajes');
+                }
+                return;
+            }
+
+            rawKeys.split(',').forEach(entry => {
+                const separator = entry.indexOf(':');
+                if (separator <= 0) {
+                    throw new Error(`Formato de llave inválido (se espera id:base64): "${entry.substring(0, 10)}..."`);
+                }
+
+                const keyId = entry.substring(0, separator).trim();
+                const key = Buffer.from(entry.substring(separator + 1).trim(), 'base64');
+
+                if (key.length !== 32) {
+                    throw new Error(`La llave "${keyId}" debe tener 32 bytes (tiene ${key.length})`);
+                }
+
+                this.keys.set(keyId, key);
+            });
+
+            this.activeKeyId = process.env.ENCRYPTION_ACTIVE_KEY_ID || this.keys.keys().next().value;
+
+            if (!this.keys.has(this.activeKeyId)) {
+                throw new Error(`ENCRYPTION_ACTIVE_KEY_ID "${this.activeKeyId}" no existe en ENCRYPTION_KEYS`);
+            }
+
+            this.enabled = true;
+            console.log(`🔐 EncryptionService inicializado - Llave activa: ${this.activeKeyId} (${this.keys.size} llaves)`);
+
+        } catch (error) {
+            this.keys.clear();
+            this.activeKeyId = null;
+            this.enabled = false;
+            this.initializationError = error.message;
+            console.error('❌ Error configurando cifrado en reposo:', error.message);
+        }
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    isEnvelope(value) {
+        return !!value && typeof value === 'object' && value.v === ENVELOPE_VERSION;
+    }
+
+    /**
+     * Cifra un valor (cualquier tipo serializable a JSON)
+     */
+    encrypt(value) {
+        if (value === null || value === undefined || this.isEnvelope(value)) {
+            return value;
+        }
+
+        if (!this.enabled) {
+            if (this.allowPlaintext) {
+                return value;
+            }
+            throw new Error(`Cifrado en reposo no disponible: ${this.initializationError || 'sin llaves'}`);
+        }
+
+        const dataKey = crypto.randomBytes(32);
+        const data = this.seal(dataKey, Buffer.from(JSON.stringify(value), 'utf8'));
+
+        return {
+            v: ENVELOPE_VERSION,
+            kid: this.activeKeyId,
+            dek: this.seal(this.keys.get(this.activeKeyId), dataKey),
+            data
+        };
+    }
+
+    /**
+     * Descifra un sobre; los valores sin cifrar se regresan tal cual (compatibilidad)
+     */
+    decrypt(value) {
+        if (!this.isEnvelope(value)) {
+            return value;
+        }
+
+        const masterKey = this.keys.get(value.kid);
+        if (!masterKey) {
+            throw new Error(`Llave de cifrado "${value.kid}" no disponible`);
+        }
+
+        const dataKey = this.open(masterKey, value.dek);
+        return JSON.parse(this.open(dataKey, value.data).toString('utf8'));
+    }
+
+    /**
+     * Rotación: vuelve a cifrar la DEK con la llave activa sin tocar los datos
+     */
+    rewrap(value) {
+        if (!this.enabled || !this.isEnvelope(value) || value.kid === this.activeKeyId) {
+            return value;
+        }
+
+        const masterKey = this.keys.get(value.kid);
+        if (!masterKey) {
+            throw new Error(`Llave de cifrado "${value.kid}" no disponible`);
+        }
+
+        const dataKey = this.open(masterKey, value.dek);
+
+        return {
+            ...value,
+            kid: this.activeKeyId,
+            dek: this.seal(this.keys.get(this.activeKeyId), dataKey)
+        };
+    }
+
+    needsRewrap(value) {
+        return this.enabled && this.isEnvelope(value) && value.kid !== this.activeKeyId;
+    }
+
+    /**
+     * Cifra los campos indicados de un objeto (por defecto, los campos PII)
+     */
+    encryptFields(obj, fields = this.piiFields) {
+        if (!obj || typeof obj !== 'object') {
+            return obj;
+        }
+
+        const result = { ...obj };
+        fields.forEach(field => {
+            if (result[field] !== undefined) {
+                result[field] = this.encrypt(result[field]);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Descifra los campos indicados; si un campo no se puede descifrar se elimina
+     */
+    decryptFields(obj, fields = this.piiFields) {
+        if (!obj || typeof obj !== 'object') {
+            return obj;
+        }
+
+        const result = { ...obj };
+        fields.forEach(field => {
+            if (result[field] === undefined) {
+                return;
+            }
+            try {
+                result[field] = this.decrypt(result[field]);
+            } catch (error) {
+                console.warn(`⚠️ No se pudo descifrar el campo "${field}":`, error.message);
+                delete result[field];
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Rotación de los campos indicados de un objeto
+     * @returns {{ value: Object, changed: boolean }}
+     */
+    rewrapFields(obj, fields = this.piiFields) {
+        if (!obj || typeof obj !== 'object') {
+            return { value: obj, changed: false };
+        }
+
+        const value = { ...obj };
+        let changed = false;
+        fields.forEach(field => {
+            if (this.needsRewrap(value[field])) {
+                value[field] = this.rewrap(value[field]);
+                changed = true;
+            }
+        });
+        return { value, changed };
+    }
+
+    // AES-256-GCM: { iv, tag, ct } en base64
+    seal(key, plaintext) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+        const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+        return {
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            ct: ct.toString('base64')
+        };
+    }
+
+    open(key, sealed) {
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(sealed.ct, 'base64')), decipher.final()]);
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            allowPlaintext: this.allowPlaintext,
+            activeKeyId: this.activeKeyId,
+            keysConfigured: this.keys.size,
+            piiFields: this.piiFields,
+            error: this.initializationError
+        };
+    }
+}
+
+// Crear instancia singleton
+const encryptionService = new EncryptionService();
+
+module.exports = encryptionService;
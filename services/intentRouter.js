@@ -0,0 +1,136 @@
+// services/intentRouter.js - Ruteo por intención: qué herramientas se envían al modelo en cada turno
+
+const toolRegistry = require('./toolRegistry');
+const llmProvider = require('./llmProvider');
+require('dotenv').config();
+
+// Intenciones que el clasificador puede asignar (las herramientas declaran las suyas en `intents`)
+const INTENTS = {
+    saldo: 'Saldo, dinero disponible o retenido, estado de sus cuentas, si le alcanza para un gasto o compra',
+    tasas: 'Tasas de interés, rendimientos, ahorro, inversión, depósitos a plazo, préstamos o créditos de Nova',
+    perfil: 'Datos personales del usuario autenticado (nombre, usuario, quién es)',
+    fecha_hora: 'Fecha, hora o día actual',
+    conversacion: 'Resumir o analizar la conversación actual con el bot',
+    api_nova: 'Consultas técnicas a endpoints de la API de Nova',
+    general: 'Conversación general, dudas o temas que no requieren datos del usuario ni de Nova'
+};
+
+/**
+ * IntentRouter - Clasifica la intención del mensaje con una llamada barata al modelo
+ * y selecciona el subconjunto de herramientas relevantes para el turno.
+ * - Multi-etiqueta: "compara mi saldo con las tasas" -> saldo + tasas
+ * - Usa los últimos mensajes como contexto para seguimientos ("¿y en 2024?")
+ * - Si el clasificador falla, envía todas las herramientas permitidas y el modelo decide
+ */
+class IntentRouter {
+    constructor() {
+        this.model = process.env.INTENT_ROUTER_MODEL || llmProvider.chatModel;
+        this.timeoutMs = parseInt(process.env.INTENT_ROUTER_TIMEOUT_MS, 10) || 5000;
+        this.contextMessages = 4;
+        this.stats = { model: 0, fallback: 0, withTools: 0, withoutTools: 0 };
+
+        console.log(`🧭 IntentRouter inicializado - Modelo: ${this.model}, ${Object.keys(INTENTS).length} intenciones`);
+    }
+
+    buildPrompt() {
+        const lista = Object.entries(INTENTS)
+            .map(([intent, descripcion]) => `- ${intent}: ${descripcion}`)
+            .join('\n');
+
+        return `Clasifica la intención del último mensaje del usuario de un bot financiero (Nova).\n` +
+            `Intenciones posibles (puede haber varias):\n${lista}\n\n` +
+            `Responde solo JSON: {"intents": ["..."], "razon": "explicación breve"}`;
+    }
+
+    /**
+     * Decide las herramientas del turno
+     * @param {string} mensaje - Mensaje actual del usuario
+     * @param {Object} opciones - { client, mensajesPrevios, userId }
+     * @returns {{ intents: string[], tools: string[], reason: string, source: 'model'|'fallback', durationMs: number }}
+     */
+    async route(mensaje, { client, mensajesPrevios = [], userId = 'unknown' } = {}) {
+        const inicio = Date.now();
+        let decision;
+
+        try {
+            const clasificacion = await this.classify(client, mensaje, mensajesPrevios);
+            decision = {
+                intents: clasificacion.intents,
+                tools: this.getToolsForIntents(clasificacion.intents),
+                reason: clasificacion.razon,
+                source: 'model'
+            };
+            this.stats.model++;
+        } catch (error) {
+            console.warn(`⚠️ [${userId}] Clasificador de intención no disponible:`, error.message);
+            decision = {
+                intents: [],
+                tools: toolRegistry.getNames(),
+                reason: `Clasificador no disponible (${error.message}); se envían todas las herramientas`,
+                source: 'fallback'
+            };
+            this.stats.fallback++;
+        }
+
+        decision.durationMs = Date.now() - inicio;
+        this.stats[decision.tools.length > 0 ? 'withTools' : 'withoutTools']++;
+
+        console.log(`🧭 [${userId}] Ruteo (${decision.source}, ${decision.durationMs}ms): ` +
+            `intenciones=[${decision.intents.join(', ')}] herramientas=[${decision.tools.join(', ')}] - ${decision.reason}`);
+
+        return decision;
+    }
+
+    async classify(client, mensaje, mensajesPrevios) {
+        if (!client) {
+            throw new Error('cliente OpenAI no inicializado');
+        }
+
+        const contexto = mensajesPrevios
+            .filter(msg => (msg.role === 'user' || msg.role === 'assistant') && typeof msg.content === 'string')
+            .slice(-this.contextMessages)
+            .map(msg => ({ role: msg.role, content: msg.content.substring(0, 500) }));
+
+        const response = await client.chat.completions.create({
+            model: this.model,
+            messages: [
+                { role: 'system', content: this.buildPrompt() },
+                ...contexto,
+                { role: 'user', content: mensaje }
+            ],
+            temperature: 0,
+            max_tokens: 100,
+            response_format: { type: 'json_object' }
+        }, { timeout: this.timeoutMs });
+
+        const resultado = JSON.parse(response.choices?.[0]?.message?.content || '{}');
+        const intents = (Array.isArray(resultado.intents) ? resultado.intents : [])
+            .filter(intent => Object.prototype.hasOwnProperty.call(INTENTS, intent));
+
+        if (intents.length === 0) {
+            throw new Error(`respuesta sin intenciones válidas: ${JSON.stringify(resultado.intents)}`);
+        }
+
+        return { intents, razon: resultado.razon || 'sin explicación' };
+    }
+
+    getToolsForIntents(intents) {
+        return toolRegistry.getNames().filter(nombre =>
+            (toolRegistry.get(nombre).intents || []).some(intent => intents.includes(intent))
+        );
+    }
+
+    getStats() {
+        return {
+            model: this.model,
+            intents: Object.keys(INTENTS),
+            decisions: { ...this.stats }
+        };
+    }
+}
+
+// Crear instancia singleton
+const intentRouter = new IntentRouter();
+
+module.exports = intentRouter;
+module.exports.INTENTS = INTENTS;
@@ -0,0 +1,60 @@
+// services/llm/azureOpenAIProvider.js - Deployments de Azure OpenAI
+
+const OpenAI = require('openai');
+
+/**
+ * AzureOpenAIProvider - Cada modelo se atiende en su deployment:
+ *   {AZURE_OPENAI_ENDPOINT}/openai/deployments/{deployment}?api-version={AZURE_OPENAI_API_VERSION}
+ * El nombre del deployment llega ya resuelto en `params.model` (ver LLM_MODEL_MAP en llmProvider)
+ */
+class AzureOpenAIProvider {
+    constructor() {
+        this.name = 'azure';
+        this.endpoint = (process.env.AZURE_OPENAI_ENDPOINT || '').replace(/\/+$/, '');
+        this.apiKey = process.env.AZURE_OPENAI_API_KEY;
+        this.apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+        this.clients = new Map(); // deployment -> cliente
+        this.initializationError = null;
+
+        if (!this.endpoint || !this.apiKey) {
+            this.initializationError = 'AZURE_OPENAI_ENDPOINT y AZURE_OPENAI_API_KEY son requeridas para Azure OpenAI';
+        }
+    }
+
+    isAvailable() {
+        return !this.initializationError;
+    }
+
+    getClient(deployment) {
+        if (!this.clients.has(deployment)) {
+            this.clients.set(deployment, new OpenAI({
+                apiKey: this.apiKey,
+                baseURL: `${this.endpoint}/openai/deployments/${encodeURIComponent(deployment)}`,
+                defaultQuery: { 'api-version': this.apiVersion },
+                defaultHeaders: { 'api-key': this.apiKey },
+                timeout: 45000,
+                maxRetries: 0 // los reintentos los hace llmProvider (backoff + circuit breaker)
+            }));
+        }
+        return this.clients.get(deployment);
+    }
+
+    async createChatCompletion(params, options) {
+        return await this.getClient(params.model).chat.completions.create(params, options);
+    }
+
+    async createEmbedding(params, options) {
+        return await this.getClient(params.model).embeddings.create(params, options);
+    }
+
+    describe() {
+        return {
+            provider: this.name,
+            endpoint: this.endpoint || null,
+            apiVersion: this.apiVersion,
+            deployments: Array.from(this.clients.keys())
+        };
+    }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,97 @@
+// services/llm/fakeProvider.js - Proveedor determinista para pruebas (sin red)
+
+const crypto = require('crypto');
+
+/**
+ * FakeProvider - Respuestas reproducibles con la misma forma que el SDK de OpenAI
+ * - Chat: responde `[fake:<modelo>] <último mensaje del usuario>`; con response_format json_object responde `{}`
+ * - Respuestas programadas: enqueue({ content } | { tool_calls }) para simular al modelo en pruebas
+ * - Embeddings: vector derivado del hash del texto (mismo texto = mismo vector)
+ */
+class FakeProvider {
+    constructor() {
+        this.name = 'fake';
+        this.initializationError = null;
+        this.queue = [];
+        this.calls = [];
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    enqueue(message) {
+        this.queue.push(message);
+        return this;
+    }
+
+    async createChatCompletion(params) {
+        this.calls.push(params);
+
+        const ultimoUsuario = [...(params.messages || [])].reverse().find(message => message.role === 'user');
+        const programada = this.queue.shift();
+        const message = programada ?
+            { role: 'assistant', content: null, ...programada } :
+            {
+                role: 'assistant',
+                content: params.response_format?.type === 'json_object' ?
+                    '{}' :
+                    `[fake:${params.model}] ${ultimoUsuario?.content || ''}`.trim()
+            };
+
+        const promptText = JSON.stringify(params.messages || []);
+        const completionText = message.content || JSON.stringify(message.tool_calls || []);
+
+        return {
+            id: `fake-${this.calls.length}`,
+            object: 'chat.completion',
+            model: params.model,
+            choices: [{
+                index: 0,
+                message,
+                finish_reason: message.tool_calls ? 'tool_calls' : 'stop'
+            }],
+            usage: {
+                prompt_tokens: Math.ceil(promptText.length / 4),
+                completion_tokens: Math.ceil(completionText.length / 4),
+                total_tokens: Math.ceil(promptText.length / 4) + Math.ceil(completionText.length / 4)
+            }
+        };
+    }
+
+    async createEmbedding(params) {
+        const inputs = Array.isArray(params.input) ? params.input : [params.input];
+        const dimensions = params.dimensions || 1536;
+
+        return {
+            object: 'list',
+            model: params.model,
+            data: inputs.map((input, index) => ({
+                object: 'embedding',
+                index,
+                embedding: this.hashVector(String(input), dimensions)
+            }))
+        };
+    }
+
+    hashVector(text, dimensions) {
+        const vector = [];
+        let counter = 0;
+
+        while (vector.length < dimensions) {
+            const hash = crypto.createHash('sha256').update(`${counter++}:${text}`).digest();
+            for (let i = 0; i < hash.length && vector.length < dimensions; i++) {
+                vector.push(hash[i] / 127.5 - 1);
+            }
+        }
+
+        const norm = Math.sqrt(vector.reduce((total, value) => total + value * value, 0));
+        return vector.map(value => value / norm);
+    }
+
+    describe() {
+        return { provider: this.name, scriptedResponses: this.queue.length, calls: this.calls.length };
+    }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,66 @@
+// services/llm/openaiProvider.js - API de OpenAI y servidores compatibles (vLLM, Ollama, LM Studio...)
+
+const OpenAI = require('openai');
+
+/**
+ * OpenAIProvider - Cliente del SDK de OpenAI
+ * - `openai`: API oficial (OPENAI_API_KEY, OPENAI_ORGANIZATION, OPENAI_BASE_URL opcional)
+ * - `compatible`: cualquier servidor con la API de OpenAI en LLM_BASE_URL (LLM_API_KEY opcional)
+ */
+class OpenAIProvider {
+    constructor({ compatible = false } = {}) {
+        this.name = compatible ? 'compatible' : 'openai';
+        this.client = null;
+        this.initializationError = null;
+
+        const apiKey = compatible ? (process.env.LLM_API_KEY || 'sin-api-key') : process.env.OPENAI_API_KEY;
+        this.baseURL = compatible ? process.env.LLM_BASE_URL : (process.env.OPENAI_BASE_URL || undefined);
+
+        if (compatible && !this.baseURL) {
+            this.initializationError = 'LLM_BASE_URL no está configurada para el proveedor compatible';
+            return;
+        }
+
+        if (!compatible) {
+            if (!apiKey) {
+                this.initializationError = 'OPENAI_API_KEY no está configurada en las variables de entorno';
+                return;
+            }
+
+            // Validar formato de la API key
+            if (!apiKey.startsWith('sk-') || apiKey.length < 40) {
+                this.initializationError = 'OPENAI_API_KEY tiene un formato inválido';
+                return;
+            }
+        }
+
+        this.client = new OpenAI({
+            apiKey,
+            baseURL: this.baseURL,
+            organization: compatible ? undefined : (process.env.OPENAI_ORGANIZATION || undefined),
+            timeout: 45000, // 45 segundos para respuestas complejas
+            maxRetries: 0    // los reintentos los hace llmProvider (backoff + circuit breaker)
+        });
+    }
+
+    isAvailable() {
+        return !!this.client;
+    }
+
+    async createChatCompletion(params, options) {
+        return await this.client.chat.completions.create(params, options);
+    }
+
+    async createEmbedding(params, options) {
+        return await this.client.embeddings.create(params, options);
+    }
+
+    describe() {
+        return {
+            provider: this.name,
+            baseURL: this.baseURL || 'https://api.openai.com/v1'
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,176 @@
+// services/llmProvider.js - Capa de proveedor LLM compartida (OpenAI, Azure OpenAI, compatibles, fake)
+
+const OpenAIProvider = require('./llm/openaiProvider');
+const AzureOpenAIProvider = require('./llm/azureOpenAIProvider');
+const FakeProvider = require('./llm/fakeProvider');
+const { CircuitBreaker, retryWithBackoff } = require('../utilities/resilience');
+const { parseKeyValueList } = require('../utilities/keyValueList');
+require('dotenv').config();
+
+const PROVIDERS = {
+    openai: () => new OpenAIProvider(),
+    azure: () => new AzureOpenAIProvider(),
+    compatible: () => new OpenAIProvider({ compatible: true }),
+    fake: () => new FakeProvider()
+};
+
+/**
+ * LLMProvider - Punto único de acceso al LLM para todos los servicios
+ * - LLM_PROVIDER: openai (default) | azure | compatible | fake
+ * - El código usa nombres lógicos de modelo (LLM_CHAT_MODEL, LLM_EMBEDDING_MODEL);
+ *   LLM_MODEL_MAP los traduce al deployment de Azure o al modelo del servidor compatible
+ * - `client` expone la misma forma que el SDK de OpenAI (chat.completions.create, embeddings.create)
+ * - Resiliencia: reintentos de 429/5xx/timeouts con backoff y jitter (respeta Retry-After) y un circuit breaker
+ *   que deja de llamar al proveedor tras caídas seguidas (LLM_MAX_RETRIES, LLM_BREAKER_*)
+ */
+class LLMProvider {
+    constructor() {
+        this.chatModel = process.env.LLM_CHAT_MODEL || 'gpt-4o-mini';
+        this.embeddingModel = process.env.LLM_EMBEDDING_MODEL || 'text-embedding-3-large';
+        // "gpt-4o-mini:nova-mini,text-embedding-3-large:nova-embeddings" -> modelo lógico: nombre real
+        this.modelMap = parseKeyValueList(process.env.LLM_MODEL_MAP);
+        this.stats = { chatCompletions: 0, embeddings: 0, errors: 0, retries: 0 };
+        this.retryConfig = {
+            maxRetries: parseInt(process.env.LLM_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.LLM_MAX_RETRIES, 10) : 2,
+            baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_MS, 10) || 500,
+            maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS, 10) || 10000
+        };
+        this.breaker = new CircuitBreaker({
+            name: 'LLM',
+            failureThreshold: parseInt(process.env.LLM_BREAKER_FAILURES, 10) || 5,
+            resetTimeoutMs: (parseInt(process.env.LLM_BREAKER_RESET_SECONDS, 10) || 30) * 1000
+        });
+
+        this.client = {
+            chat: {
+                completions: {
+                    create: (params, options) => this.createChatCompletion(params, options)
+                }
+            },
+            embeddings: {
+                create: (params, options) => this.createEmbedding(params, options)
+            }
+        };
+
+        this.initialize();
+    }
+
+    /**
+     * (Re)crea el proveedor según las variables de entorno
+     */
+    initialize() {
+        this.providerName = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+        this.provider = null;
+        this.initializationError = null;
+
+        const crearProveedor = PROVIDERS[this.providerName];
+        if (!crearProveedor) {
+            this.initializationError = `LLM_PROVIDER inválido: ${this.providerName} (opciones: ${Object.keys(PROVIDERS).join(', ')})`;
+            console.error(`❌ LLMProvider: ${this.initializationError}`);
+            return false;
+        }
+
+        try {
+            this.provider = crearProveedor();
+            this.initializationError = this.provider.initializationError;
+        } catch (error) {
+            this.initializationError = `Error creando proveedor ${this.providerName}: ${error.message}`;
+        }
+
+        if (this.isAvailable()) {
+            console.log(`🔌 LLMProvider inicializado - Proveedor: ${this.providerName}, chat: ${this.resolveModel(this.chatModel)}, embeddings: ${this.resolveModel(this.embeddingModel)}`);
+        } else {
+            console.warn(`⚠️ LLMProvider (${this.providerName}) no disponible: ${this.initializationError}`);
+        }
+
+        return this.isAvailable();
+    }
+
+    isAvailable() {
+        return !!this.provider && !this.initializationError && this.provider.isAvailable();
+    }
+
+    /**
+     * Nombre real del modelo en el proveedor (deployment de Azure, modelo local, etc.)
+     */
+    resolveModel(modelo) {
+        return this.modelMap.get(modelo) || modelo;
+    }
+
+    async createChatCompletion(params, options) {
+        this.stats.chatCompletions++;
+        return await this.call(() => this.provider.createChatCompletion({
+            ...params,
+            model: this.resolveModel(params.model || this.chatModel)
+        }, options), options, params.model || this.chatModel);
+    }
+
+    async createEmbedding(params, options) {
+        this.stats.embeddings++;
+        return await this.call(() => this.provider.createEmbedding({
+            ...params,
+            model: this.resolveModel(params.model || this.embeddingModel)
+        }, options), options, params.model || this.embeddingModel);
+    }
+
+    /**
+     * Llamada al proveedor con circuit breaker y reintentos (sin rebasar options.timeout)
+     */
+    async call(fn, options = {}, modelo) {
+        this.ensureAvailable();
+        const deadline = options?.timeout ? Date.now() + options.timeout : null;
+
+        try {
+            return await this.breaker.exec(() => retryWithBackoff(fn, {
+                ...this.retryConfig,
+                deadline,
+                onRetry: ({ attempt, delayMs, classification }) => {
+                    this.stats.retries++;
+                    console.warn(`🔁 LLM ${modelo}: ${classification.category} (${classification.status || 'sin respuesta'}), ` +
+                        `reintento ${attempt}/${this.retryConfig.maxRetries} en ${delayMs}ms`);
+                }
+            }));
+        } catch (error) {
+            this.stats.errors++;
+            throw error;
+        }
+    }
+
+    /**
+     * false mientras el circuit breaker está abierto (modo degradado)
+     */
+    isHealthy() {
+        return this.breaker.getState().state !== 'open' || this.breaker.getRetryInMs() === 0;
+    }
+
+    getBreakerState() {
+        return this.breaker.getState();
+    }
+
+    ensureAvailable() {
+        if (!this.isAvailable()) {
+            throw new Error(`Proveedor LLM no disponible: ${this.initializationError || 'no inicializado'}`);
+        }
+    }
+
+    getStats() {
+        return {
+            provider: this.providerName,
+            available: this.isAvailable(),
+            error: this.initializationError,
+            chatModel: this.chatModel,
+            embeddingModel: this.embeddingModel,
+            modelMap: Object.fromEntries(this.modelMap),
+            details: this.provider?.describe() || null,
+            retry: { ...this.retryConfig },
+            circuitBreaker: this.breaker.getState(),
+            calls: { ...this.stats }
+        };
+    }
+}
+
+// Crear instancia singleton
+const llmProvider = new LLMProvider();
+
+module.exports = llmProvider;
+module.exports.PROVIDERS = Object.keys(PROVIDERS);
@@ -0,0 +1,276 @@
+// services/loginThrottleService.js - Protección contra fuerza bruta en el login de Nova
+
+const { MemoryStorage } = require('botbuilder');
+const { readRecord, updateRecord } = require('../utilities/storageRecords');
+require('dotenv').config();
+
+// Un registro por clave (teams:<id>, usuario:<cve>): novabot/loginThrottle/<clave>
+const STORAGE_PREFIX = 'novabot/loginThrottle/';
+const LOCKOUT_INDEX_KEY = 'novabot/loginThrottleLockouts';
+
+/**
+ * LoginThrottleService - Limita los intentos de login por usuario de Teams y por cveUsuario
+ * - Backoff exponencial entre intentos fallidos
+ * - Bloqueo temporal después de N fallos consecutivos
+ * - Persistencia en el Storage del bot (el mismo que usan ConversationState/UserState): un registro por clave,
+ *   escrito con su eTag para que los fallos de varias instancias se sumen; los registros vencidos se eliminan
+ */
+class LoginThrottleService {
+    constructor() {
+        // MemoryStorage hasta que index.js conecta el Storage del bot
+        this.storage = new MemoryStorage();
+        this.persistent = false;
+        this.stats = { failures: 0, lockouts: 0, unlocks: 0 };
+
+        this.maxFailures = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+        this.lockoutMs = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+        this.backoffBaseMs = (parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS, 10) || 2) * 1000;
+        this.backoffMaxMs = 5 * 60 * 1000;
+
+        console.log(`🛡️ LoginThrottleService inicializado - Máx. fallos: ${this.maxFailures}, bloqueo: ${this.lockoutMs / 60000} min`);
+    }
+
+    /**
+     * Conecta el servicio al Storage del bot (MemoryStorage, CosmosDbPartitionedStorage, etc.)
+     */
+    setStorage(storage) {
+        this.storage = storage;
+        this.persistent = true;
+    }
+
+    buildKeys(teamsUserId, cveUsuario) {
+        const keys = [`teams:${teamsUserId}`];
+        if (cveUsuario) {
+            keys.push(`usuario:${cveUsuario.toString().trim().toLowerCase()}`);
+        }
+        return keys;
+    }
+
+    buildStorageKey(key) {
+        return `${STORAGE_PREFIX}${key}`;
+    }
+
+    /**
+     * Un registro vence cuando terminó su bloqueo, o cuando no está bloqueado y su último fallo
+     * tiene más de LOGIN_LOCKOUT_MINUTES (los fallos antiguos dejan de contar)
+     */
+    isExpired(record, now = Date.now()) {
+        if (record.lockedUntil) {
+            return record.lockedUntil <= now;
+        }
+        return !record.lastFailureAt || now - record.lastFailureAt >= this.lockoutMs;
+    }
+
+    /**
+     * Registro vigente de una clave; los vencidos se eliminan del Storage
+     */
+    async readActiveRecord(key, now = Date.now()) {
+        const storageKey = this.buildStorageKey(key);
+        const record = await readRecord(this.storage, storageKey);
+
+        if (record && this.isExpired(record, now)) {
+            await this.storage.delete([storageKey]);
+            return null;
+        }
+
+        return record;
+    }
+
+    /**
+     * Verifica si se permite un intento de login
+     * @returns {{ allowed: boolean, reason: string|null, retryAfterMs: number, key: string|null }}
+     */
+    async checkAttempt(teamsUserId, cveUsuario) {
+        const now = Date.now();
+        let blocking = null;
+
+        for (const key of this.buildKeys(teamsUserId, cveUsuario)) {
+            let record;
+            try {
+                record = await this.readActiveRecord(key, now);
+            } catch (error) {
+                console.warn(`⚠️ Error leyendo bloqueo de login (${key}) desde Storage:`, error.message);
+                continue;
+            }
+
+            if (!record) {
+                continue;
+            }
+
+            if (record.lockedUntil && record.lockedUntil > now) {
+                const retryAfterMs = record.lockedUntil - now;
+                if (!blocking || blocking.reason !== 'locked' || retryAfterMs > blocking.retryAfterMs) {
+                    blocking = { allowed: false, reason: 'locked', retryAfterMs, key };
+                }
+            } else if (record.nextAttemptAt && record.nextAttemptAt > now && (!blocking || blocking.reason !== 'locked')) {
+                const retryAfterMs = record.nextAttemptAt - now;
+                if (!blocking || retryAfterMs > blocking.retryAfterMs) {
+                    blocking = { allowed: false, reason: 'backoff', retryAfterMs, key };
+                }
+            }
+        }
+
+        return blocking || { allowed: true, reason: null, retryAfterMs: 0, key: null };
+    }
+
+    /**
+     * Registra un intento fallido (credenciales inválidas); cada clave se actualiza con su eTag
+     * @returns {{ locked: boolean, failures: number, retryAfterMs: number }}
+     */
+    async registerFailure(teamsUserId, cveUsuario) {
+        const now = Date.now();
+        const result = { locked: false, failures: 0, retryAfterMs: 0 };
+        this.stats.failures++;
+
+        for (const key of this.buildKeys(teamsUserId, cveUsuario)) {
+            try {
+                const { record } = await updateRecord(this.storage, this.buildStorageKey(key), stored => {
+                    const updated = stored && !this.isExpired(stored, now) ? stored : { failures: 0 };
+
+                    updated.failures += 1;
+                    updated.lastFailureAt = now;
+
+                    if (updated.failures >= this.maxFailures) {
+                        updated.lockedUntil = now + this.lockoutMs;
+                        updated.nextAttemptAt = null;
+                    } else {
+                        const backoffMs = Math.min(this.backoffBaseMs * Math.pow(2, updated.failures - 1), this.backoffMaxMs);
+                        updated.nextAttemptAt = now + backoffMs;
+                        updated.lockedUntil = null;
+                    }
+
+                    return updated;
+                });
+
+                if (record.lockedUntil) {
+                    result.locked = true;
+                    this.stats.lockouts++;
+                    await this.updateLockoutIndex(lockouts => {
+                        lockouts[key] = record.lockedUntil;
+                    });
+                    console.warn(`🔒 Login bloqueado para ${key} durante ${this.lockoutMs / 60000} min (${record.failures} fallos)`);
+                }
+
+                result.failures = Math.max(result.failures, record.failures);
+                result.retryAfterMs = Math.max(result.retryAfterMs, (record.lockedUntil || record.nextAttemptAt) - now);
+
+            } catch (error) {
+                console.warn(`⚠️ Error guardando bloqueo de login (${key}) en Storage:`, error.message);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Reinicia los contadores después de un login exitoso
+     */
+    async registerSuccess(teamsUserId, cveUsuario) {
+        const keys = this.buildKeys(teamsUserId, cveUsuario);
+
+        try {
+            await this.storage.delete(keys.map(key => this.buildStorageKey(key)));
+        } catch (error) {
+            console.warn('⚠️ Error eliminando bloqueos de login en Storage:', error.message);
+        }
+    }
+
+    /**
+     * Desbloqueo administrativo por cveUsuario o id de Teams
+     * @returns {string[]} - Claves desbloqueadas
+     */
+    async unlock(identifier) {
+        const normalized = identifier.toString().trim();
+        const candidates = [`usuario:${normalized.toLowerCase()}`, `teams:${normalized}`];
+        const storageKeys = candidates.map(key => this.buildStorageKey(key));
+
+        const items = await this.storage.read(storageKeys);
+        const unlocked = candidates.filter(key => items[this.buildStorageKey(key)]);
+
+        if (unlocked.length > 0) {
+            await this.storage.delete(unlocked.map(key => this.buildStorageKey(key)));
+            await this.updateLockoutIndex(lockouts => {
+                unlocked.forEach(key => delete lockouts[key]);
+            });
+            this.stats.unlocks += unlocked.length;
+            console.log(`🔓 Desbloqueo administrativo: ${unlocked.join(', ')}`);
+        }
+
+        return unlocked;
+    }
+
+    /**
+     * Índice de bloqueos vigentes (clave -> lockedUntil) para `listLockouts`: el Storage no permite listar llaves.
+     * Solo cambia al bloquear o desbloquear, y se depura en cada escritura.
+     */
+    async updateLockoutIndex(mutate) {
+        try {
+            await updateRecord(this.storage, LOCKOUT_INDEX_KEY, stored => {
+                const lockouts = { ...(stored?.lockouts || {}) };
+                mutate(lockouts);
+                return this.pruneLockoutIndex(lockouts);
+            });
+        } catch (error) {
+            console.warn('⚠️ Error actualizando índice de bloqueos de login:', error.message);
+        }
+    }
+
+    pruneLockoutIndex(lockouts, now = Date.now()) {
+        Object.keys(lockouts).forEach(key => {
+            if (lockouts[key] <= now) {
+                delete lockouts[key];
+            }
+        });
+        return Object.keys(lockouts).length > 0 ? { lockouts } : null;
+    }
+
+    /**
+     * Lista los bloqueos vigentes
+     */
+    async listLockouts() {
+        const now = Date.now();
+        const index = await readRecord(this.storage, LOCKOUT_INDEX_KEY);
+        const keys = Object.keys(this.pruneLockoutIndex({ ...(index?.lockouts || {}) }, now)?.lockouts || {});
+        const lockouts = [];
+
+        for (const key of keys) {
+            const record = await this.readActiveRecord(key, now);
+            if (record?.lockedUntil && record.lockedUntil > now) {
+                lockouts.push({
+                    key,
+                    failures: record.failures,
+                    lockedUntil: new Date(record.lockedUntil).toISOString(),
+                    retryAfterMs: record.lockedUntil - now
+                });
+            }
+        }
+
+        return lockouts;
+    }
+
+    /**
+     * Texto legible para el tiempo de espera
+     */
+    formatWaitTime(ms) {
+        const seconds = Math.max(1, Math.ceil(ms / 1000));
+        if (seconds < 60) {
+            return `${seconds} segundo${seconds === 1 ? '' : 's'}`;
+        }
+        const minutes = Math.ceil(seconds / 60);
+        return `${minutes} minuto${minutes === 1 ? '' : 's'}`;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            maxFailures: this.maxFailures,
+            lockoutMinutes: this.lockoutMs / 60000,
+            persistent: this.persistent
+        };
+    }
+}
+
+// Crear instancia singleton
+const loginThrottleService = new LoginThrottleService();
+
+module.exports = loginThrottleService;
@@ -0,0 +1,120 @@
+// services/modelRouter.js - Política de modelos: modelo por intención/herramienta y cadena de respaldo
+
+const llmProvider = require('./llmProvider');
+const { classifyError } = require('../utilities/resilience');
+const { parseKeyValueList } = require('../utilities/keyValueList');
+require('dotenv').config();
+
+// Categorías de error (ver utilities/resilience) que justifican probar el siguiente modelo
+const FALLBACK_CATEGORIES = new Set(['quota', 'rate_limit', 'model_not_found', 'server', 'timeout', 'connection']);
+
+/**
+ * ModelRouter - Decide el modelo de cada turno y aplica la cadena de respaldo
+ * - LLM_TOOL_MODELS=consultar_api_nova:gpt-4o -> modelo si la herramienta se envía en el turno (prioridad)
+ * - LLM_INTENT_MODELS=saldo:gpt-4o,tasas:gpt-4o -> modelo según la intención (ver intentRouter)
+ * - Sin coincidencias: LLM_CHAT_MODEL
+ * - LLM_FALLBACK_MODELS=gpt-4o-mini,gpt-35-turbo -> modelos secundarios, en orden, ante cuota,
+ *   límite de velocidad, modelo no encontrado o caída del proveedor
+ * Los nombres son lógicos; llmProvider los traduce con LLM_MODEL_MAP.
+ */
+class ModelRouter {
+    constructor() {
+        this.toolModels = parseKeyValueList(process.env.LLM_TOOL_MODELS);
+        this.intentModels = parseKeyValueList(process.env.LLM_INTENT_MODELS);
+        this.fallbackModels = (process.env.LLM_FALLBACK_MODELS || '')
+            .split(',')
+            .map(model => model.trim())
+            .filter(Boolean);
+        this.stats = { selections: {}, used: {}, fallbacks: 0, exhausted: 0 };
+
+        console.log(`🎛️ ModelRouter inicializado - Default: ${llmProvider.chatModel}, ` +
+            `respaldo: [${this.fallbackModels.join(', ') || 'ninguno'}]`);
+    }
+
+    /**
+     * Modelo del turno según las herramientas y las intenciones del ruteo
+     * @param {Object} ruteo - { intents: string[], tools: string[] }
+     * @returns {{ model: string, reason: string }}
+     */
+    selectModel({ intents = [], tools = [] } = {}) {
+        const herramienta = tools.find(tool => this.toolModels.has(tool));
+        const intencion = intents.find(intent => this.intentModels.has(intent));
+        let seleccion;
+
+        if (herramienta) {
+            seleccion = { model: this.toolModels.get(herramienta), reason: `herramienta:${herramienta}` };
+        } else if (intencion) {
+            seleccion = { model: this.intentModels.get(intencion), reason: `intencion:${intencion}` };
+        } else {
+            seleccion = { model: llmProvider.chatModel, reason: 'default' };
+        }
+
+        this.stats.selections[seleccion.reason] = (this.stats.selections[seleccion.reason] || 0) + 1;
+        return seleccion;
+    }
+
+    /**
+     * Modelo solicitado seguido de los de respaldo (sin repetir)
+     */
+    getChain(model) {
+        return [...new Set([model || llmProvider.chatModel, ...this.fallbackModels])];
+    }
+
+    isFallbackError(error) {
+        return FALLBACK_CATEGORIES.has(classifyError(error).category);
+    }
+
+    /**
+     * chat.completions.create con la cadena de respaldo
+     * @returns {{ response: Object, model: string, attempts: Array<{ model: string, status: number|null, error: string }> }}
+     */
+    async createChatCompletion(client, params, options, userId = 'unknown') {
+        const chain = this.getChain(params.model);
+        const attempts = [];
+
+        for (const model of chain) {
+            try {
+                const response = await client.chat.completions.create({ ...params, model }, options);
+
+                if (attempts.length > 0) {
+                    this.stats.fallbacks++;
+                    console.warn(`🔀 [${userId}] Respuesta con modelo de respaldo ${model} (falló: ${attempts.map(attempt => attempt.model).join(', ')})`);
+                }
+                this.stats.used[model] = (this.stats.used[model] || 0) + 1;
+
+                return { response, model, attempts };
+            } catch (error) {
+                attempts.push({ model, status: error.status || null, error: error.code || error.message });
+
+                const ultimo = model === chain[chain.length - 1];
+                if (!this.isFallbackError(error) || ultimo) {
+                    if (ultimo && chain.length > 1 && this.isFallbackError(error)) {
+                        this.stats.exhausted++;
+                    }
+                    error.modelAttempts = attempts;
+                    throw error;
+                }
+
+                console.warn(`⚠️ [${userId}] Modelo ${model} no disponible (${error.status || 'sin respuesta'}: ${error.code || error.message}), probando respaldo...`);
+            }
+        }
+    }
+
+    getStats() {
+        return {
+            defaultModel: llmProvider.chatModel,
+            toolModels: Object.fromEntries(this.toolModels),
+            intentModels: Object.fromEntries(this.intentModels),
+            fallbackModels: this.fallbackModels,
+            selections: { ...this.stats.selections },
+            used: { ...this.stats.used },
+            fallbacks: this.stats.fallbacks,
+            exhausted: this.stats.exhausted
+        };
+    }
+}
+
+// Crear instancia singleton
+const modelRouter = new ModelRouter();
+
+module.exports = modelRouter;
@@ -1,9 +1,21 @@
 // services/openaiService.js - MEJORADO: Con soporte para formato de conversación Y consulta de saldos
-const OpenAI = require('openai');
 const { DateTime } = require('luxon');
 const axios = require('axios');
 const { CardFactory } = require('botbuilder');
 const cosmosService = require('./cosmosService');
+const { createSessionExpiredError, isSessionExpiredError } = require('../utilities/http_utils');
+const auditService = require('./auditService');
+const { AUDIT_EVENTS } = require('./auditService');
+const toolRegistry = require('./toolRegistry');
+const intentRouter = require('./intentRouter');
+const conversationSummaryService = require('./conversationSummaryService');
+const llmProvider = require('./llmProvider');
+const modelRouter = require('./modelRouter');
+const usageService = require('./usageService');
+const promptService = require('./promptService');
+const piiService = require('./piiService');
+const { buildContextWindow } = require('../utilities/contextWindow');
+const { classifyError } = require('../utilities/resilience');
 require('dotenv').config();
 
 /**
@@ -21,7 +33,26 @@ class OpenAIService {
         console.log('🚀 Inicializando OpenAI Service con soporte para formato de conversación...');
         this.diagnoseConfiguration();
         this.initializeOpenAI();
-        this.tools = this.defineTools();
+
+        // ✅ Ciclo de herramientas: rondas máximas y tiempo máximo por turno
+        this.toolLoopMaxIterations = parseInt(process.env.OPENAI_TOOL_MAX_ITERATIONS, 10) || 5;
+        this.toolLoopTimeBudgetMs = (parseInt(process.env.OPENAI_TOOL_TIME_BUDGET_SECONDS, 10) || 60) * 1000;
+        // Respuesta final tras detener el ciclo: el tiempo restante del turno, o este mínimo si ya se agotó
+        this.toolLoopFinalReplyTimeoutMs = (parseInt(process.env.OPENAI_TOOL_FINAL_REPLY_SECONDS, 10) || 20) * 1000;
+        // ✅ Ventana de contexto: tokens por modelo (OPENAI_CONTEXT_MAX_TOKENS limita todos los modelos)
+        this.modelContextTokens = {
+            'gpt-4o-mini': 128000,
+            'gpt-4o': 128000,
+            'gpt-4-turbo': 128000,
+            'gpt-4': 8192,
+            'gpt-35-turbo': 16385,
+            'gpt-3.5-turbo': 16385
+        };
+        this.contextMaxTokens = parseInt(process.env.OPENAI_CONTEXT_MAX_TOKENS, 10) || null;
+
+        // ✅ Tiempo máximo por herramienta (default + excepciones "herramienta:segundos,...")
+        this.toolTimeoutMs = (parseInt(process.env.OPENAI_TOOL_TIMEOUT_SECONDS, 10) || 20) * 1000;
+        this.toolTimeouts = this.parseToolTimeouts(process.env.OPENAI_TOOL_TIMEOUTS);
         
         console.log(`✅ OpenAI Service inicializado - Disponible: ${this.openaiAvailable}`);
         console.log(`🔗 Formato de conversación: ${cosmosService.isAvailable() ? 'Disponible' : 'No disponible'}`);
@@ -31,64 +62,50 @@ class OpenAIService {
      * ✅ Diagnóstico de configuración
      */
     diagnoseConfiguration() {
-        console.log('🔍 Diagnosticando configuración OpenAI...');
-        
-        const config = {
-            apiKey: process.env.OPENAI_API_KEY,
-            organization: process.env.OPENAI_ORGANIZATION || null,
-            baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
-        };
+        console.log('🔍 Diagnosticando configuración del proveedor LLM...');
+
+        const config = llmProvider.getStats();
 
         console.log('📊 Estado de configuración:');
-        console.log(`   API Key: ${config.apiKey ? '✅ Configurada' : '❌ Faltante'}`);
-        console.log(`   Organization: ${config.organization ? '✅ Configurada' : '⚠️ Opcional'}`);
-        console.log(`   Base URL: ${config.baseURL}`);
-        
-        if (config.apiKey) {
-            console.log(`   Key Preview: ${config.apiKey.substring(0, 10)}...${config.apiKey.slice(-4)}`);
+        console.log(`   Proveedor: ${config.provider}`);
+        console.log(`   Disponible: ${config.available ? '✅ Sí' : `❌ No (${config.error})`}`);
+        console.log(`   Modelo de chat: ${config.chatModel} -> ${llmProvider.resolveModel(config.chatModel)}`);
+
+        if (config.details?.baseURL || config.details?.endpoint) {
+            console.log(`   Base URL: ${config.details.baseURL || config.details.endpoint}`);
         }
     }
 
     /**
-     * ✅ Inicialización del cliente OpenAI
+     * ✅ Inicialización del cliente (proveedor compartido, ver services/llmProvider.js)
      */
     initializeOpenAI() {
         try {
-            const apiKey = process.env.OPENAI_API_KEY;
-            
-            if (!apiKey) {
-                this.initializationError = 'OPENAI_API_KEY no está configurada en las variables de entorno';
-                console.error('❌ OpenAI Error:', this.initializationError);
-                this.openaiAvailable = false;
-                return;
+            if (this.openai && !llmProvider.isAvailable()) {
+                llmProvider.initialize();
             }
 
-            // Validar formato de la API key
-            if (!apiKey.startsWith('sk-') || apiKey.length < 40) {
-                this.initializationError = 'OPENAI_API_KEY tiene un formato inválido';
+            this.openai = llmProvider.client;
+            this.defaultModel = llmProvider.chatModel;
+
+            if (!llmProvider.isAvailable()) {
+                this.initializationError = llmProvider.initializationError;
                 console.error('❌ OpenAI Error:', this.initializationError);
                 this.openaiAvailable = false;
                 return;
             }
-            
-            console.log('🔑 Configurando cliente OpenAI...');
-            this.openai = new OpenAI({ 
-                apiKey: apiKey,
-                organization: process.env.OPENAI_ORGANIZATION || undefined,
-                timeout: 45000, // 45 segundos para respuestas complejas
-                maxRetries: 3   // 3 reintentos
-            });
-            
+
+            this.initializationError = null;
             this.openaiAvailable = true;
             this.initialized = true;
-            
-            console.log('✅ Cliente OpenAI configurado exitosamente');
-            
+
+            console.log(`✅ Cliente LLM configurado exitosamente (${llmProvider.providerName})`);
+
             // Test básico de conectividad (opcional)
             if (process.env.NODE_ENV !== 'production') {
                 this.testConnection();
             }
-            
+
         } catch (error) {
             this.initializationError = `Error inicializando OpenAI: ${error.message}`;
             console.error('❌ Error inicializando OpenAI:', error);
@@ -104,7 +121,7 @@ class OpenAIService {
             console.log('🧪 Probando conectividad con OpenAI...');
             
             const testResponse = await this.openai.chat.completions.create({
-                model: "gpt-4o-mini",
+                model: this.defaultModel,
                 messages: [{ role: "user", content: "Test" }],
                 max_tokens: 5,
                 temperature: 0
@@ -125,166 +142,60 @@ class OpenAIService {
     }
 
     /**
-     * ✅ Definir herramientas disponibles
+     * ✅ Herramientas permitidas para el usuario según sus roles (formato OpenAI, ver services/tools)
      */
-    defineTools() {
-        const tools = [
-            {
-                type: "function",
-                function: {
-                    name: "obtener_fecha_hora_actual",
-                    description: "Obtiene la fecha y hora actual en zona horaria de México",
-                    parameters: { 
-                        type: "object", 
-                        properties: {
-                            formato: {
-                                type: "string",
-                                enum: ["completo", "fecha", "hora", "timestamp"],
-                                description: "Formato de la fecha/hora a devolver"
-                            }
-                        }
-                    }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "obtener_informacion_usuario",
-                    description: "Obtiene información completa del usuario autenticado",
-                    parameters: { 
-                        type: "object", 
-                        properties: {
-                            incluir_token: {
-                                type: "boolean",
-                                description: "Si incluir información del token (solo preview)"
-                            }
-                        }
-                    }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "consultar_tasas_interes",
-                    description: "Consulta las tasas de interés de Nova para un año específico. Muestra tasas vista, fijo (1,3,6 meses), FAP, Nov y Préstamos por mes.",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            anio: {
-                                type: "integer",
-                                description: "Año para consultar las tasas (ej: 2025)",
-                                minimum: 2020,
-                                maximum: 2030
-                            }
-                        },
-                        required: ["anio"]
-                    }
-                }
-            },
-            // ✅ NUEVA HERRAMIENTA: Consultar saldos del usuario
-            {
-                type: "function",
-                function: {
-                    name: "consultar_saldo_usuario",
-                    description: "Consulta el saldo actual del usuario en Nova. Muestra saldo disponible, retenido y total por tipo de cuenta.",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            tipo_sistema: {
-                                type: "string",
-                                description: "Tipo de sistema a consultar (opcional, se puede dejar vacío para consultar todos)",
-                                default: ""
-                            },
-                            incluir_detalles: {
-                                type: "boolean",
-                                description: "Si incluir detalles adicionales del saldo",
-                                default: true
-                            }
-                        }
-                    }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "generar_resumen_conversacion",
-                    description: "Genera un resumen inteligente de la conversación usando el historial en formato OpenAI cuando esté disponible",
-                    parameters: { 
-                        type: "object", 
-                        properties: {
-                            incluir_estadisticas: {
-                                type: "boolean",
-                                description: "Si incluir estadísticas detalladas"
-                            },
-                            usar_formato_openai: {
-                                type: "boolean",
-                                description: "Si usar el formato de conversación OpenAI para mejor análisis"
-                            }
-                        }
-                    }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "consultar_api_nova",
-                    description: "Realiza consultas a APIs de Nova usando el token del usuario",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            endpoint: {
-                                type: "string",
-                                description: "Endpoint de la API a consultar"
-                            },
-                            metodo: {
-                                type: "string",
-                                enum: ["GET", "POST"],
-                                description: "Método HTTP a usar"
-                            },
-                            parametros: {
-                                type: "object",
-                                description: "Parámetros adicionales para la consulta"
-                            }
-                        },
-                        required: ["endpoint"]
-                    }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "analizar_conversacion_openai",
-                    description: "Analiza la conversación completa usando el formato OpenAI para obtener insights detallados",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            tipo_analisis: {
-                                type: "string",
-                                enum: ["resumen", "sentimientos", "temas", "patrones", "recomendaciones"],
-                                description: "Tipo de análisis a realizar"
-                            },
-                            incluir_sistema: {
-                                type: "boolean",
-                                description: "Si incluir el mensaje del sistema en el análisis"
-                            }
-                        },
-                        required: ["tipo_analisis"]
-                    }
-                }
+    getToolsForUser(userInfo) {
+        return toolRegistry.getDefinitionsForUser(userInfo);
+    }
+
+    canUseTool(nombre, userInfo) {
+        return toolRegistry.canUse(nombre, userInfo);
+    }
+
+    /**
+     * Tamaño del contexto del modelo (modelos desconocidos: 8192)
+     */
+    getContextTokens(model) {
+        const tokens = this.modelContextTokens[model] || 8192;
+        return this.contextMaxTokens ? Math.min(tokens, this.contextMaxTokens) : tokens;
+    }
+
+    /**
+     * OPENAI_TOOL_TIMEOUTS=consultar_saldo_usuario:20,consultar_tasas_interes:20 -> Map(nombre -> ms)
+     */
+    parseToolTimeouts(value) {
+        const timeouts = new Map();
+
+        (value || '').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+            const [nombre, segundos] = item.split(':').map(part => part.trim());
+            const ms = parseInt(segundos, 10) * 1000;
+            if (nombre && ms > 0) {
+                timeouts.set(nombre, ms);
             }
-        ];
+        });
+
+        return timeouts;
+    }
 
-        console.log(`🛠️ ${tools.length} herramientas definidas para OpenAI (incluyendo consulta de saldos)`);
-        return tools;
+    getToolTimeoutMs(nombre) {
+        return this.toolTimeouts.get(nombre) || this.toolTimeoutMs;
     }
 
     /**
      * ✅ MÉTODO PRINCIPAL MEJORADO: Procesar mensaje con soporte para formato de conversación
+     * @param {Object} promptScope - { tenantId, channelId, chatId } para la persona del prompt
      */
-    async procesarMensaje(mensaje, historial = [], userToken = null, userInfo = null, conversationId = null) {
+    async procesarMensaje(mensaje, historial = [], userToken = null, userInfo = null, conversationId = null, promptScope = {}) {
+        const inicioTurno = Date.now();
+        const medidor = usageService.createMeter(userInfo?.usuario, conversationId);
+        // Nombres, números de socio y cuentas viajan al modelo como marcadores ([NOMBRE_1]...)
+        const pii = piiService.createSession(userInfo, conversationId);
+        // Toda respuesta (también cuota, modo degradado y errores) registra la versión del prompt vigente
+        let promptVersion = await promptService.getActiveVersion();
+
         try {
             if (!this.openaiAvailable) {
-                return this.createUnavailableResponse();
+                return this.conVersionPrompt(this.createUnavailableResponse(), promptVersion);
             }
 
             if (!this.initialized) {
@@ -292,7 +203,21 @@ class OpenAIService {
                 this.initializeOpenAI();
                 
                 if (!this.openaiAvailable) {
-                    return this.createUnavailableResponse();
+                    return this.conVersionPrompt(this.createUnavailableResponse(), promptVersion);
+                }
+            }
+
+            // Circuit breaker abierto: no se llama al proveedor hasta la siguiente prueba
+            if (!llmProvider.isHealthy()) {
+                return this.conVersionPrompt(this.createDegradedResponse(), promptVersion);
+            }
+
+            // Cuota de tokens del usuario (diaria/mensual)
+            if (userInfo?.usuario) {
+                const cuota = await usageService.checkQuota(userInfo.usuario);
+                if (!cuota.allowed) {
+                    console.warn(`🚫 [${userInfo.usuario}] Cuota ${cuota.period === 'daily' ? 'diaria' : 'mensual'} alcanzada: ${cuota.used}/${cuota.limit} tokens`);
+                    return this.conVersionPrompt(this.createQuotaExceededResponse(cuota), promptVersion);
                 }
             }
 
@@ -300,23 +225,24 @@ class OpenAIService {
             console.log(`📚 [${userInfo?.usuario || 'unknown'}] Historial recibido: ${historial.length} mensajes`);
 
             // ✅ DECISIÓN INTELIGENTE: Usar formato de conversación OpenAI si está disponible
-            let mensajesParaIA = [];
+            let historialParaIA = [];
             let usingOpenAIFormat = false;
 
             if (cosmosService.isAvailable() && conversationId) {
                 try {
                     console.log(`🤖 [${userInfo?.usuario || 'unknown'}] Intentando usar formato de conversación OpenAI...`);
                     
+                    // Sin los mensajes de sistema guardados: el prompt vigente lo arma promptService
                     const openaiConversation = await cosmosService.getConversationForOpenAI(
                         conversationId,
                         userInfo?.usuario || 'unknown',
-                        true // incluir mensaje del sistema
+                        false
                     );
 
                     if (openaiConversation && openaiConversation.length > 0) {
-                        mensajesParaIA = [...openaiConversation];
+                        historialParaIA = [...openaiConversation];
                         usingOpenAIFormat = true;
-                        console.log(`✅ [${userInfo?.usuario || 'unknown'}] Usando formato de conversación OpenAI: ${mensajesParaIA.length} mensajes`);
+                        console.log(`✅ [${userInfo?.usuario || 'unknown'}] Usando formato de conversación OpenAI: ${historialParaIA.length} mensajes`);
                     } else {
                         console.log(`⚠️ [${userInfo?.usuario || 'unknown'}] Formato OpenAI vacío, fallback a historial tradicional`);
                     }
@@ -328,7 +254,26 @@ class OpenAIService {
             // ✅ FALLBACK: Usar historial tradicional si formato OpenAI no está disponible
             if (!usingOpenAIFormat) {
                 console.log(`📋 [${userInfo?.usuario || 'unknown'}] Usando historial tradicional formateado`);
-                mensajesParaIA = this.formatearHistorialTradicional(historial, userInfo);
+                historialParaIA = this.formatearHistorialTradicional(historial);
+            }
+
+            // ✅ PROMPT: versión activa y persona del tenant/canal/chat
+            const prompt = await promptService.buildSystemMessage({
+                userInfo,
+                tools: this.getToolsForUser(userInfo),
+                historyLength: historialParaIA.length,
+                scope: promptScope
+            });
+            promptVersion = prompt.version;
+            const mensajesParaIA = [prompt.message, ...historialParaIA];
+            console.log(`📝 [${userInfo?.usuario || 'unknown'}] Prompt ${prompt.version} (${prompt.source})${prompt.persona ? `, persona de ${prompt.persona}` : ''}`);
+
+            // ✅ MEMORIA: Resumen acumulado de la conversación después de los mensajes de sistema
+            const resumenConversacion = await conversationSummaryService.getSummaryMessage(conversationId, userInfo?.usuario);
+            if (resumenConversacion) {
+                const inicioHistorial = mensajesParaIA.findIndex(msg => msg.role !== 'system');
+                mensajesParaIA.splice(inicioHistorial === -1 ? mensajesParaIA.length : inicioHistorial, 0, resumenConversacion);
+                console.log(`🧾 [${userInfo?.usuario || 'unknown'}] Resumen de conversación agregado al contexto`);
             }
 
             // ✅ AGREGAR: Mensaje actual del usuario
@@ -336,24 +281,63 @@ class OpenAIService {
 
             // ✅ Configuración inteligente del modelo
             const requestConfig = {
-                model: this.selectBestModel(mensaje, userInfo),
-                messages: mensajesParaIA,
                 temperature: this.calculateTemperature(mensaje),
-                max_tokens: this.calculateMaxTokens(mensaje),
                 presence_penalty: 0.1,
                 frequency_penalty: 0.1
             };
 
-            // ✅ Usar herramientas solo cuando sea apropiado
-            if (this.shouldUseTools(mensaje)) {
-                requestConfig.tools = this.tools;
+            // ✅ Herramientas según la intención del mensaje (filtradas por roles del usuario)
+            const ruteo = await intentRouter.route(mensaje, {
+                client: pii.wrap(medidor.wrap(this.openai)),
+                mensajesPrevios: mensajesParaIA.slice(0, -1),
+                userId: userInfo?.usuario || 'unknown'
+            });
+            const toolsPermitidas = this.getToolsForUser(userInfo)
+                .filter(tool => ruteo.tools.includes(tool.function.name));
+
+            if (toolsPermitidas.length > 0) {
+                requestConfig.tools = toolsPermitidas;
                 requestConfig.tool_choice = "auto";
-                console.log(`🛠️ [${userInfo?.usuario || 'unknown'}] Habilitando herramientas para esta consulta`);
+                console.log(`🛠️ [${userInfo?.usuario || 'unknown'}] Habilitando ${toolsPermitidas.length}/${toolRegistry.getNames().length} herramientas para esta consulta`);
+            }
+
+            // ✅ Modelo según la política (herramientas e intenciones); ante fallas se usa la cadena de respaldo
+            const seleccionModelo = modelRouter.selectModel({
+                intents: ruteo.intents,
+                tools: toolsPermitidas.map(tool => tool.function.name)
+            });
+            requestConfig.model = seleccionModelo.model;
+            const turnoModelo = {
+                requested: seleccionModelo.model,
+                reason: seleccionModelo.reason,
+                model: seleccionModelo.model,
+                attempts: [],
+                meter: medidor,
+                pii
+            };
+
+            // ✅ Ventana de contexto: sistema + herramientas + mensaje actual + respuesta; el historial ocupa el resto
+            const ventana = buildContextWindow({
+                messages: mensajesParaIA,
+                tools: requestConfig.tools || [],
+                model: requestConfig.model,
+                contextTokens: this.getContextTokens(requestConfig.model),
+                replyTokens: this.calculateMaxTokens(mensaje)
+            });
+            requestConfig.messages = ventana.messages;
+            requestConfig.max_tokens = ventana.maxTokens;
+
+            console.log(`📏 [${userInfo?.usuario || 'unknown'}] Contexto: ${ventana.stats.promptTokens}/${ventana.stats.contextTokens} tokens, ` +
+                `historial ${ventana.stats.keptMessages}/${ventana.stats.historyMessages} mensajes` +
+                `${ventana.stats.omittedMessages > 0 ? ` (${ventana.stats.omittedMessages} recortados, ${ventana.stats.compressedTurns} turnos comprimidos)` : ''}`);
+
+            if (ventana.stats.overflow) {
+                console.warn(`⚠️ [${userInfo?.usuario || 'unknown'}] El mensaje y el sistema exceden el contexto de ${requestConfig.model}`);
             }
 
             console.log(`🤖 [${userInfo?.usuario || 'unknown'}] Enviando a OpenAI (${requestConfig.model}, formato: ${usingOpenAIFormat ? 'OpenAI' : 'tradicional'})...`);
-            const response = await this.openai.chat.completions.create(requestConfig);
-            
+            const response = await this.completarConRespaldo(requestConfig, undefined, turnoModelo, userInfo?.usuario);
+
             if (!response?.choices?.length) {
                 throw new Error('Respuesta vacía de OpenAI');
             }
@@ -365,10 +349,11 @@ class OpenAIService {
                 console.log(`🛠️ [${userInfo?.usuario || 'unknown'}] Ejecutando ${messageResponse.tool_calls.length} herramientas...`);
                 finalResponse = await this.procesarHerramientas(
                     messageResponse, 
-                    mensajesParaIA, 
+                    requestConfig.messages, 
                     userToken, 
                     userInfo,
-                    conversationId
+                    conversationId,
+                    { requestConfig, inicioTurno, turnoModelo, replyTokens: this.calculateMaxTokens(mensaje) }
                 );
             } else {
                 finalResponse = {
@@ -382,130 +367,77 @@ class OpenAIService {
             // ✅ METADATA: Agregar información sobre el formato usado
             finalResponse.metadata = {
                 formatUsed: usingOpenAIFormat ? 'openai-conversation' : 'traditional-history',
-                messagesProcessed: mensajesParaIA.length,
-                modelUsed: requestConfig.model,
-                toolsUsed: !!messageResponse.tool_calls
+                promptVersion: prompt.version,
+                promptSource: prompt.source,
+                promptPersona: prompt.persona,
+                messagesProcessed: requestConfig.messages.length,
+                contextWindow: ventana.stats,
+                modelUsed: turnoModelo.model,
+                modelRequested: turnoModelo.requested,
+                modelSelectionReason: turnoModelo.reason,
+                modelFallbacks: turnoModelo.attempts,
+                toolsUsed: !!messageResponse.tool_calls,
+                conversationSummaryUsed: !!resumenConversacion,
+                usage: medidor.getTotals(),
+                piiRedaction: pii.getSummary(),
+                routing: {
+                    intents: ruteo.intents,
+                    tools: toolsPermitidas.map(tool => tool.function.name),
+                    reason: ruteo.reason,
+                    source: ruteo.source
+                },
+                toolIterations: finalResponse.toolLoop?.iterations || 0,
+                toolStopReason: finalResponse.toolLoop?.stopReason || null,
+                toolTrace: finalResponse.toolLoop?.trace || []
             };
+            delete finalResponse.toolLoop;
             
             return finalResponse;
 
         } catch (error) {
+            // La sesión expirada la maneja TeamsBot (nuevo login)
+            if (isSessionExpiredError(error)) {
+                throw error;
+            }
+
             console.error('❌ Error en procesarMensaje:', error);
-            return this.manejarErrorOpenAI(error, userInfo);
+            return this.conVersionPrompt(this.manejarErrorOpenAI(error, userInfo), promptVersion);
+        } finally {
+            await medidor.save();
+            await pii.audit();
         }
     }
 
     /**
-     * ✅ NUEVO: Formatear historial tradicional cuando no hay formato OpenAI
+     * Registra el turno en el resumen acumulado de la conversación (se actualiza cada N turnos)
      */
-    formatearHistorialTradicional(historial, userInfo) {
-        const fechaActual = DateTime.now().setZone('America/Mexico_City');
-        
-        const userContext = userInfo ? 
-            `Usuario autenticado: ${userInfo.nombre} (${userInfo.usuario})` : 
-            'Usuario no autenticado';
-
-        const mensajes = [{
-            role: "system",
-            content: `
-        // ✅ AQUÍ VAN LAS INSTRUCCIONES DEL PROMPT ✅
-        
-        Tu nombre es Nova-AI, y eres un Asistente virtual inteligente para la institución financiera Nova.
-        
-        DIRECTRICES GENERALES:
-        - Responde únicamente en español
-        - Si te dan las gracias, responde que es un gusto ayudar y si hay algo más en lo que puedas asistirlos
-        - Utiliza el historial de la conversación como referencia
-        - Utiliza sólo la información de referencia brindada
-        - Si tu respuesta incluye algo que no se encuentre en la información de referencia brindada, añade en negritas 'Esta información no proviene de los documentos internos de Nova'
-        - No respondas preguntas que no sean de Nova y sus servicios financieros
-        - Nunca te disculpes por confusiones en la conversación
-        - Si no conoces la respuesta menciona que no cuentas con esa información
-        - Utiliza de manera preferente la información de referencia con más exactitud y apego a la pregunta
-        - Responde con mucho detalle, busca hacer listados y presentar la información de una manera útil y accesible
-        - Siempre que puedas haz listados para organizar tu respuesta, usando bullets, negritas, dando respuestas largas y estructuradas
-
-        ALCANCE DE CONOCIMIENTOS:
-        Si te preguntan acerca de tu alcance, información que conoces, qué sabes hacer o tu base de conocimientos, responde que conoces los servicios financieros de Nova así como los procedimientos principales.
-
-        Algunos ejemplos de la información que conoces son: consultas de saldos, procedimientos de retiro de ahorros, transferencias entre tipos de ahorro, tasas de interés para ahorros y préstamos, gestión de cuotas de ahorro, tipos de ahorro disponibles, horarios de operaciones, tipos de préstamos disponibles, lineamientos para préstamos, procedimientos para solicitar préstamos, préstamos hipotecarios, pagos de préstamos, guías de uso de APP y portal web, recuperación de facturas en garantía, liberación de hipotecas, préstamos con garantía de inversión, entre muchos otros servicios financieros.
-
-        CASOS DE USO ESPECÍFICOS:
-        
-        Para consultas de saldo: Cuando el usuario pregunte "¿Cuánto dinero tengo?" o similares, muestra saldo actual dividido en disponible y retenido.
-        
-        Para retiros de ahorros: Cuando el usuario pregunte "¿Qué necesito para retirar mi dinero?" o similares, proporciona el procedimiento completo para retiro de ahorros.
-        
-        Para transferencias entre tipos de ahorro: Cuando el usuario solicite "Quiero mover dinero de mi cuenta de ahorros a la cuenta a plazo fijo" o similares, muestra el procedimiento para transferencia entre ahorros.
-        
-        Para consultas de tasas de interés para ahorros: Cuando el usuario pregunte "¿Cuál es la tasa de interés para la cuenta de ahorro los diferentes plazo?" o similares, muestra tabla de tasas de interés vigente del mes.
-        
-        Para consultas de tasas de interés para préstamos: Cuando el usuario pregunte "¿Cuál es la tasa de interés para los préstamos?" o similares, muestra tabla de tasas de interés vigente del mes para préstamos y recuerda que es tasa revisable cada mes.
-        
-        Para gestión de cuotas de ahorros: Cuando el usuario pregunte "¿Cómo puedo cambiar el monto de mi cuota de ahorro programado?" o "¿Puedo reducir la cuota que estoy ahorrando cada mes?" o similares, muestra procedimiento de asignación de cuotas de ahorro.
-        
-        Para pago de préstamos con ahorro vista: Cuando el usuario pregunte "¿Puedo pagar mi préstamo con el saldo de mi cuenta de ahorro vista?" o similares, muestra procedimiento de transferencia de ahorros para pago a préstamo.
-        
-        Para tipos de ahorro disponibles: Cuando el usuario pregunte "¿Qué opciones de ahorro tengo disponibles?" o similares, muestra tabla de tipos de ahorro con plazos de vencimiento y tasas de interés vigente.
-        
-        Para horario de operaciones: Cuando el usuario pregunte "¿En qué horario puedo ver mis movimientos de retiro?" o "¿Los retiros se reflejan al instante o en cierto horario?" o similares, muestra tabla de horarios disponibles hábiles y en días festivos para disposición de ahorros por retiro y pago de préstamos.
-        
-        Para tipos de préstamos disponibles: Cuando el usuario pregunte "¿Qué opciones de préstamos tengo disponibles?" o similares, muestra tipos de préstamos.
-        
-        Para lineamientos generales para préstamos: Cuando el usuario pregunte "¿Cuáles son los requisitos para solicitar un préstamo?" o similares, muestra lineamiento para otorgar préstamo, con detalle de cálculo.
-        
-        Para procedimiento para solicitar un préstamo: Cuando el usuario pregunte "¿Cuáles son los pasos para solicitar un préstamo?" o similares, muestra los pasos para solicitar un préstamo, con detalle de cálculo.
-        
-        Para procedimiento para solicitar un préstamo hipotecario: Cuando el usuario pregunte "¿Cuáles son los pasos para solicitar un préstamo hipotecario?" o similares, muestra los pasos para solicitar un préstamo hipotecario, con detalle de cálculo.
-        
-        Para procedimiento para pagar un préstamo: Cuando el usuario pregunte "¿Puedo pagar el préstamo directamente desde mi cuenta bancaria? ¿Cómo se hace?" o similares, muestra los pasos para realizar pagos desde la cuenta bancaria relacionada al socio y proporciona cuenta y referencia bancaria.
-        
-        Para guía para uso de APP: Cuando el usuario pregunte "¿Tienen un manual o guía para usar la app?" o "Soy nuevo, ¿hay algún tutorial para aprender a usar la app?" o similares, muestra tutorial para uso de APP.
-        
-        Para guía para uso de página: Cuando el usuario pregunte "¿Tienen un manual o guía para usar la página de Nova?" o "Soy nuevo, ¿hay algún tutorial para aprender a usar la página de Nova?" o similares, muestra tutorial para uso de página web – portal.
-        
-        Para recuperación de factura por garantía de préstamos: Cuando el usuario pregunte "¿Qué necesito para recuperar una factura que dejé como garantía de mi préstamo?" o similares, muestra pasos a seguir para recuperar una factura en garantía.
-        
-        Para procedimiento para liberación de hipoteca: Cuando el usuario pregunte "¿Cuáles son los requisitos para liberar mi hipoteca?" o similares, muestra pasos a seguir la liberación de una hipoteca.
-        
-        Para procedimiento para préstamos con garantía de inversión: Cuando el usuario pregunte "¿Qué debo hacer si necesito retirar un ahorro antes de su vencimiento?" o "¿Puedo retirar mi ahorro antes de que se cumpla el plazo?" o "¿Qué pasa si quiero sacar mi dinero antes del vencimiento del ahorro?" o "¿Hay forma de hacer un retiro anticipado de mi ahorro a plazo?" o similares, muestra procedimiento de préstamos con garantía de inversión, formato para solicitud.
+    async actualizarResumenConversacion(conversationId, userInfo, mensajeUsuario, respuesta) {
+        if (!this.openaiAvailable || !conversationId || !userInfo?.usuario) {
+            return null;
+        }
 
-🔷 **Contexto del Usuario:**
-${userContext}
+        const medidor = usageService.createMeter(userInfo.usuario, conversationId);
+        const pii = piiService.createSession(userInfo, conversationId);
+        const resultado = await conversationSummaryService.recordTurn({
+            conversationId,
+            userId: userInfo.usuario,
+            userMessage: mensajeUsuario,
+            assistantMessage: respuesta,
+            client: pii.wrap(medidor.wrap(this.openai))
+        });
 
-🔷 **Fecha y Hora Actual:**
-${fechaActual.toFormat('dd/MM/yyyy HH:mm:ss')} (${fechaActual.zoneName})
+        await medidor.save();
+        await pii.audit();
+        return resultado;
+    }
 
-🔷 **Historial de Conversación:**
-${historial.length > 0 ? 
-  `Tienes acceso a los últimos ${historial.length} mensajes de esta conversación.` : 
-  'Esta es una conversación nueva.'
-}
+    /**
+     * ✅ NUEVO: Formatear historial tradicional cuando no hay formato OpenAI
+     * (el mensaje de sistema lo arma promptService)
+     */
+    formatearHistorialTradicional(historial) {
+        const mensajes = [];
 
-🔷 **Tus Capacidades:**
-• Conversación natural e inteligente con memoria contextual
-• Consulta de saldos del usuario autenticado
-• Consulta de tasas de interés de Nova (herramienta especializada)
-• Información del usuario autenticado
-• Consultas a APIs internas de Nova
-• Análisis y explicaciones detalladas
-• Generación de resúmenes de conversación
-
-🔷 **Personalidad:**
-• Profesional pero amigable
-• Útil y proactivo para temas financieros y corporativos
-• Claro y conciso en respuestas
-• Usa la memoria de conversación para dar respuestas más contextuales
-• Enfocado en productividad corporativa y servicios financieros
-
-🔷 **Importante:**
-• Siempre mantén la información del usuario segura
-• Para consultas de saldos, usa la herramienta especializada
-• Para consultas de tasas, usa la herramienta especializada
-• Usa el historial de conversación para dar respuestas más personalizadas
-• Si el usuario se refiere a algo anterior, busca en el historial proporcionado`
-        }];
-        
         // ✅ Procesar historial tradicional
         if (historial && historial.length > 0) {
             console.log(`📚 Formateando ${historial.length} mensajes del historial tradicional...`);
@@ -525,135 +457,341 @@ ${historial.length > 0 ?
     }
 
     /**
-     * ✅ Procesamiento de herramientas con mejoras para análisis de conversación
+     * chat.completions.create con la cadena de respaldo de modelRouter.
+     * Tras una falla, las siguientes llamadas del turno empiezan con el modelo que respondió.
+     * @param {Object} turnoModelo - { model, attempts, meter, pii } del turno (se actualiza)
      */
-    async procesarHerramientas(messageResponse, mensajes, userToken, userInfo, conversationId) {
-        const resultados = [];
+    async completarConRespaldo(params, options, turnoModelo, userId = 'unknown') {
+        const { response, model, attempts } = await modelRouter.createChatCompletion(
+            turnoModelo.pii ? turnoModelo.pii.wrap(this.openai) : this.openai,
+            { ...params, model: turnoModelo.model },
+            options,
+            userId
+        );
 
-        for (const call of messageResponse.tool_calls) {
-            const { function: fnCall, id } = call;
-            const { name, arguments: args } = fnCall;
-            
-            try {
-                console.log(`🔧 [${userInfo?.usuario || 'unknown'}] Ejecutando herramienta: ${name}`);
-                
-                const parametros = JSON.parse(args || '{}');
-                const resultado = await this.ejecutarHerramienta(
-                    name, 
-                    parametros, 
-                    userToken, 
-                    userInfo, 
-                    conversationId
-                );
-                
-                resultados.push({
-                    tool_call_id: id,
-                    content: typeof resultado === 'object' ? 
-                        JSON.stringify(resultado, null, 2) : String(resultado)
-                });
-                
-                console.log(`✅ [${userInfo?.usuario || 'unknown'}] Herramienta ${name} ejecutada exitosamente`);
-                
-            } catch (error) {
-                console.error(`❌ Error ejecutando herramienta ${name}:`, error);
-                resultados.push({
-                    tool_call_id: id,
-                    content: `Error ejecutando ${name}: ${error.message}`
-                });
+        turnoModelo.model = model;
+        turnoModelo.attempts.push(...attempts);
+        turnoModelo.meter?.track(model, response?.usage);
+        return response;
+    }
+
+    /**
+     * ✅ Ciclo de herramientas: ejecuta las llamadas del modelo y le devuelve los resultados
+     * hasta que responda sin herramientas (p. ej. saldo -> tasas -> comparación).
+     * Las llamadas de una misma ronda son independientes y se ejecutan en paralelo.
+     * Límites: OPENAI_TOOL_MAX_ITERATIONS rondas, OPENAI_TOOL_TIME_BUDGET_SECONDS por turno
+     * y detección de ciclos (la misma herramienta con los mismos argumentos dos veces).
+     * Al llegar a un límite se pide la respuesta final sin herramientas.
+     * Antes de cada llamada se recalcula la ventana de contexto: los resultados de herramientas
+     * desplazan al historial y reducen max_tokens.
+     */
+    async procesarHerramientas(messageResponse, mensajes, userToken, userInfo, conversationId, opciones = {}) {
+        const userId = userInfo?.usuario || 'unknown';
+        const { requestConfig = {}, inicioTurno = Date.now(), replyTokens = 3000 } = opciones;
+        const turnoModelo = opciones.turnoModelo || { model: requestConfig.model || this.defaultModel, attempts: [] };
+        const conversacion = [...mensajes];
+        const llamadasPrevias = new Set();
+        const trace = [];
+        const tarjetas = [];
+        let respuestaModelo = messageResponse;
+        let iteraciones = 0;
+        let stopReason = null;
+
+        while (respuestaModelo.tool_calls?.length) {
+            iteraciones++;
+            conversacion.push(respuestaModelo);
+            console.log(`🔁 [${userId}] Ronda de herramientas ${iteraciones}/${this.toolLoopMaxIterations}: ${respuestaModelo.tool_calls.map(call => call.function.name).join(', ')}`);
+
+            // Las llamadas repetidas se detectan antes de ejecutar la ronda en paralelo
+            const llamadas = respuestaModelo.tool_calls.map(call => {
+                const firma = `${call.function.name}:${call.function.arguments || '{}'}`;
+                const repetida = llamadasPrevias.has(firma);
+                llamadasPrevias.add(firma);
+                return { call, repetida };
+            });
+
+            if (llamadas.some(({ repetida }) => repetida)) {
+                stopReason = 'loop_detected';
             }
+
+            const resultados = await Promise.all(llamadas.map(({ call, repetida }) =>
+                this.ejecutarLlamadaHerramienta(call, {
+                    iteracion: iteraciones,
+                    repetida,
+                    userToken,
+                    userInfo,
+                    conversationId,
+                    restanteMs: this.toolLoopTimeBudgetMs - (Date.now() - inicioTurno),
+                    pii: turnoModelo.pii
+                })
+            ));
+
+            resultados.forEach(({ paso, mensaje, tarjeta }) => {
+                trace.push(paso);
+                conversacion.push(mensaje);
+                if (tarjeta) {
+                    tarjetas.push(tarjeta);
+                }
+            });
+
+            if (!stopReason && iteraciones >= this.toolLoopMaxIterations) {
+                stopReason = 'max_iterations';
+            }
+
+            const restanteMs = this.toolLoopTimeBudgetMs - (Date.now() - inicioTurno);
+            if (!stopReason && restanteMs <= 0) {
+                stopReason = 'time_budget';
+            }
+
+            if (stopReason) {
+                break;
+            }
+
+            // ✅ Siguiente ronda: el modelo puede pedir más herramientas o responder
+            console.log(`🔄 [${userId}] Enviando resultados de herramientas al modelo...`);
+            const ventana = this.ventanaHerramientas(conversacion, requestConfig.tools, replyTokens, turnoModelo.model, userId);
+            const siguiente = await this.completarConRespaldo({
+                messages: ventana.messages,
+                tools: requestConfig.tools,
+                tool_choice: "auto",
+                temperature: 0.7,
+                max_tokens: ventana.maxTokens
+            }, { timeout: restanteMs }, turnoModelo, userId);
+
+            respuestaModelo = siguiente.choices[0].message;
         }
 
-        // ✅ Generar respuesta final con mejor contexto
-        const finalMessages = [
-            ...mensajes,
-            messageResponse,
-            ...resultados.map(result => ({
-                role: "tool",
-                tool_call_id: result.tool_call_id,
-                content: result.content
-            }))
-        ];
-
-        console.log(`🔄 [${userInfo?.usuario || 'unknown'}] Generando respuesta final con resultados de herramientas...`);
-        
-        const finalResponse = await this.openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: finalMessages,
-            temperature: 0.7,
-            max_tokens: 3000
-        });
+        let content = respuestaModelo.content;
+
+        if (stopReason) {
+            console.warn(`⏹️ [${userId}] Ciclo de herramientas detenido (${stopReason}) tras ${iteraciones} rondas`);
+
+            const ventana = this.ventanaHerramientas([
+                ...conversacion,
+                {
+                    role: "system",
+                    content: "No hay más herramientas disponibles en este turno. Responde al usuario con la información ya obtenida e indica si algo quedó pendiente."
+                }
+            ], [], replyTokens, turnoModelo.model, userId);
+            const restanteMs = this.toolLoopTimeBudgetMs - (Date.now() - inicioTurno);
+
+            const finalResponse = await this.completarConRespaldo({
+                messages: ventana.messages,
+                temperature: 0.7,
+                max_tokens: ventana.maxTokens
+            }, { timeout: Math.max(restanteMs, this.toolLoopFinalReplyTimeoutMs) }, turnoModelo, userId);
 
+            content = finalResponse.choices[0].message.content;
+        }
+
+        // Las herramientas con tarjeta (saldo, tasas) se muestran como Adaptive Cards junto al texto del modelo
         return {
-            type: 'text',
-            content: finalResponse.choices[0].message.content || 'No se pudo generar respuesta final'
+            type: tarjetas.length > 0 ? 'card' : 'text',
+            content: content || 'No se pudo generar respuesta final',
+            ...(tarjetas.length > 0 ? { cards: tarjetas } : {}),
+            toolLoop: {
+                iterations: iteraciones,
+                stopReason: stopReason || 'completed',
+                durationMs: Date.now() - inicioTurno,
+                trace
+            }
         };
     }
 
+    /**
+     * Ventana de contexto de una ronda del ciclo de herramientas (el turno en curso no se recorta)
+     */
+    ventanaHerramientas(conversacion, tools = [], replyTokens, model, userId) {
+        const ventana = buildContextWindow({
+            messages: conversacion,
+            tools: tools || [],
+            model,
+            contextTokens: this.getContextTokens(model),
+            replyTokens
+        });
+
+        if (ventana.stats.overflow) {
+            console.warn(`⚠️ [${userId}] Los resultados de herramientas exceden el contexto de ${model} (${ventana.stats.promptTokens} tokens)`);
+        } else if (ventana.stats.omittedMessages > 0) {
+            console.log(`📏 [${userId}] Ronda de herramientas: ${ventana.stats.omittedMessages} mensajes del historial recortados`);
+        }
+
+        return ventana;
+    }
+
+    /**
+     * Ejecuta una llamada de herramienta de la ronda con su tiempo máximo.
+     * Al agotarse (tiempo de la herramienta o del turno) se cancela con AbortController
+     * y el modelo recibe un resultado parcial marcado como timeout.
+     * @returns {{ paso: Object, mensaje: Object, tarjeta: Object|null }} - Entrada del trace, mensaje `tool` y tarjeta para el usuario
+     */
+    async ejecutarLlamadaHerramienta(call, { iteracion, repetida, userToken, userInfo, conversationId, restanteMs, pii = null }) {
+        const userId = userInfo?.usuario || 'unknown';
+        const { function: fnCall, id } = call;
+        const { name, arguments: args } = fnCall;
+        const inicio = Date.now();
+        const paso = { iteration: iteracion, toolCallId: id, tool: name, arguments: null, status: 'success', durationMs: 0 };
+        const limiteMs = Math.max(0, Math.min(this.getToolTimeoutMs(name), restanteMs));
+        const controller = new AbortController();
+        let timer = null;
+        let content;
+        let tarjeta = null;
+
+        try {
+            const parametros = this.parsearArgumentosHerramienta(name, args);
+            paso.arguments = auditService.sanitize(parametros);
+
+            if (repetida) {
+                console.warn(`🔂 [${userId}] Llamada repetida detectada: ${name}`);
+                paso.status = 'repeated';
+                content = `La herramienta ${name} ya se ejecutó con los mismos parámetros en este turno; usa ese resultado.`;
+            } else {
+                console.log(`🔧 [${userId}] Ejecutando herramienta: ${name} (máx. ${Math.round(limiteMs / 1000)}s)`);
+
+                const tiempoAgotado = new Promise((resolve, reject) => {
+                    timer = setTimeout(() => {
+                        controller.abort();
+                        reject(Object.assign(new Error(`Tiempo agotado después de ${limiteMs} ms`), { code: 'TOOL_TIMEOUT' }));
+                    }, limiteMs);
+                });
+
+                const resultado = await Promise.race([
+                    this.ejecutarHerramienta(name, parametros, userToken, userInfo, conversationId, controller.signal),
+                    tiempoAgotado
+                ]);
+
+                // La tarjeta lleva los datos reales; para el modelo se enmascaran (p. ej. numeroCuenta)
+                pii?.learn(resultado);
+                content = toolRegistry.render(name, resultado);
+                tarjeta = toolRegistry.renderCard(name, resultado);
+
+                console.log(`✅ [${userId}] Herramienta ${name} ejecutada exitosamente`);
+            }
+        } catch (error) {
+            if (isSessionExpiredError(error)) {
+                throw error;
+            }
+
+            if (error.code === 'TOOL_INVALID_ARGUMENTS') {
+                // Error estructurado: el modelo puede corregir los argumentos en la siguiente ronda
+                console.warn(`📐 [${userId}] Argumentos inválidos para ${name}:`, error.validationErrors);
+                paso.status = 'invalid_arguments';
+                paso.error = error.message;
+                content = JSON.stringify({
+                    error: 'argumentos_invalidos',
+                    herramienta: name,
+                    errores: error.validationErrors,
+                    instruccion: 'Corrige los argumentos según el esquema de la herramienta y vuelve a llamarla.'
+                }, null, 2);
+            } else if (error.code === 'TOOL_TIMEOUT') {
+                console.warn(`⏱️ [${userId}] Herramienta ${name} cancelada: ${error.message}`);
+                paso.status = 'timeout';
+                paso.error = error.message;
+                content = `La herramienta ${name} no respondió a tiempo (${Math.round(limiteMs / 1000)}s) y se canceló. ` +
+                    `Resultado no disponible: indícalo al usuario si es relevante.`;
+            } else {
+                console.error(`❌ Error ejecutando herramienta ${name}:`, error);
+                paso.status = 'error';
+                paso.error = error.message;
+                content = `Error ejecutando ${name}: ${error.message}`;
+            }
+        } finally {
+            clearTimeout(timer);
+        }
+
+        paso.durationMs = Date.now() - inicio;
+        return { paso, mensaje: { role: "tool", tool_call_id: id, content }, tarjeta };
+    }
+
     /**
      * ✅ MEJORADO: Ejecutar herramientas con nueva funcionalidad de saldos
      */
-    async ejecutarHerramienta(nombre, parametros, userToken, userInfo, conversationId) {
+    async ejecutarHerramienta(nombre, parametros, userToken, userInfo, conversationId, signal = null) {
         const userId = userInfo?.usuario || 'unknown';
         console.log(`🔧 [${userId}] Ejecutando herramienta: ${nombre}`);
-        console.log(`📋 [${userId}] Parámetros:`, parametros);
+        console.log(`📋 [${userId}] Parámetros:`, auditService.sanitize(parametros));
 
-        switch (nombre) {
-            case 'obtener_fecha_hora_actual':
-                return this.obtenerFechaHora(parametros.formato || 'completo');
-
-            case 'obtener_informacion_usuario':
-                return this.obtenerInfoUsuario(userInfo, parametros.incluir_token);
+        const herramienta = toolRegistry.get(nombre);
+        if (!herramienta) {
+            throw new Error(`Herramienta desconocida: ${nombre}`);
+        }
 
-            case 'consultar_tasas_interes':
-                console.log(`💰 [${userId}] Consultando tasas para año: ${parametros.anio}`);
-                return await this.consultarTasasInteres(parametros.anio, userToken, userInfo);
+        if (!this.canUseTool(nombre, userInfo)) {
+            console.warn(`⛔ [${userId}] Herramienta no permitida para los roles del usuario: ${nombre}`);
+            await auditService.record(AUDIT_EVENTS.TOOL_EXECUTION, {
+                userId,
+                conversationId,
+                outcome: 'denied',
+                details: { tool: nombre, parametros }
+            });
+            throw new Error(`Permiso denegado para la herramienta ${nombre}`);
+        }
 
-            // ✅ NUEVA HERRAMIENTA: Consultar saldo del usuario
-            case 'consultar_saldo_usuario':
-                console.log(`💳 [${userId}] Consultando saldo del usuario`);
-                return await this.consultarSaldoUsuario(
-                    userToken, 
-                    userInfo, 
-                    parametros.tipo_sistema || "",
-                    parametros.incluir_detalles !== false
-                );
+        const validacion = toolRegistry.validateArguments(nombre, parametros);
+        if (!validacion.valid) {
+            await auditService.record(AUDIT_EVENTS.TOOL_EXECUTION, {
+                userId,
+                conversationId,
+                outcome: 'invalid_arguments',
+                details: { tool: nombre, parametros, errors: validacion.errors }
+            });
+            throw this.createToolArgumentsError(nombre, validacion.errors);
+        }
 
-            case 'generar_resumen_conversacion':
-                console.log(`📊 [${userId}] Generando resumen de conversación`);
-                return await this.generarResumenConversacion(
-                    conversationId, 
-                    userInfo, 
-                    parametros.incluir_estadisticas,
-                    parametros.usar_formato_openai
-                );
+        const inicio = Date.now();
+        try {
+            const resultado = await herramienta.handler(validacion.value, {
+                service: this,
+                userToken,
+                userInfo,
+                conversationId,
+                signal
+            });
 
-            case 'consultar_api_nova':
-                console.log(`🌐 [${userId}] Consultando API Nova: ${parametros.endpoint}`);
-                return await this.consultarApiNova(
-                    parametros.endpoint, 
-                    userToken, 
-                    parametros.metodo || 'GET',
-                    parametros.parametros
-                );
+            await auditService.record(AUDIT_EVENTS.TOOL_EXECUTION, {
+                userId,
+                conversationId,
+                outcome: signal?.aborted ? 'timeout' : 'success',
+                details: { tool: nombre, parametros, durationMs: Date.now() - inicio }
+            });
+            return resultado;
 
-            case 'analizar_conversacion_openai':
-                console.log(`🔍 [${userId}] Analizando conversación OpenAI: ${parametros.tipo_analisis}`);
-                return await this.analizarConversacionOpenAI(
-                    conversationId,
-                    userInfo,
-                    parametros.tipo_analisis,
-                    parametros.incluir_sistema
-                );
+        } catch (error) {
+            await auditService.record(AUDIT_EVENTS.TOOL_EXECUTION, {
+                userId,
+                conversationId,
+                outcome: isSessionExpiredError(error) ? 'session_expired' : (signal?.aborted ? 'timeout' : 'failure'),
+                details: { tool: nombre, parametros, durationMs: Date.now() - inicio, error: error.message }
+            });
+            throw error;
+        }
+    }
 
-            default:
-                throw new Error(`Herramienta desconocida: ${nombre}`);
+    /**
+     * Argumentos de la llamada del modelo (JSON); un JSON inválido se reporta como error de argumentos
+     */
+    parsearArgumentosHerramienta(nombre, args) {
+        try {
+            return JSON.parse(args || '{}');
+        } catch (error) {
+            throw this.createToolArgumentsError(nombre, [{ path: '$', message: `JSON inválido: ${error.message}` }]);
         }
     }
 
+    createToolArgumentsError(nombre, errors) {
+        const error = new Error(`Argumentos inválidos para ${nombre}: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+        error.code = 'TOOL_INVALID_ARGUMENTS';
+        error.validationErrors = errors;
+        return error;
+    }
+
     /**
      * ✅ NUEVA HERRAMIENTA: Consultar saldo del usuario
      */
-    async consultarSaldoUsuario(userToken, userInfo, tipoSist = "", incluirDetalles = true) {
+    async consultarSaldoUsuario(userToken, userInfo, tipoSist = "", incluirDetalles = true, conversationId = null, signal = null) {
+        const url = process.env.NOVA_API_URL_SALDO || 'https://pruebas.nova.com.mx/ApiRestNova/api/ConsultaSaldo/ObtSaldo';
+        const inicio = Date.now();
+
         try {
             if (!userToken || !userInfo) {
                 return "❌ **Error**: Usuario no autenticado para consultar saldo";
@@ -673,7 +811,6 @@ ${historial.length > 0 ?
             };
 
             console.log('📡 Request body para saldo:', JSON.stringify(requestBody, null, 2));
-            const url = process.env.NOVA_API_URL_SALDO || 'https://pruebas.nova.com.mx/ApiRestNova/api/ConsultaSaldo/ObtSaldo';
             
             const response = await axios.post(
                 url,
@@ -684,23 +821,41 @@ ${historial.length > 0 ?
                         'Authorization': `Bearer ${userToken}`,
                         'Accept': 'application/json'
                     },
-                    timeout: 15000
+                    timeout: 15000,
+                    signal
                 }
             );
 
             console.log(`📊 Respuesta saldo (${response.status}):`, JSON.stringify(response.data, null, 2));
+            await auditService.recordNovaCall({
+                userId: cveUsuario,
+                conversationId,
+                method: 'POST',
+                url,
+                status: response.status,
+                durationMs: Date.now() - inicio
+            });
 
             if (response.status === 200 && response.data) {
-                return this.formatearSaldoUsuario(response.data, userInfo, incluirDetalles);
+                return this.normalizarSaldoUsuario(response.data, userInfo, incluirDetalles);
             } else {
                 return `⚠️ **Respuesta inesperada al consultar saldo**: Status ${response.status}`;
             }
 
         } catch (error) {
             console.error('❌ Error consultando saldo del usuario:', error.message);
+            await auditService.recordNovaCall({
+                userId: userInfo?.usuario,
+                conversationId,
+                method: 'POST',
+                url,
+                status: error.response?.status || null,
+                durationMs: Date.now() - inicio,
+                error: error.message
+            });
             
             if (error.response?.status === 401) {
-                return "🔒 **Error de autorización**: Tu token puede haber expirado. Intenta cerrar sesión e iniciar nuevamente.";
+                throw createSessionExpiredError('consultar_saldo_usuario');
             } else if (error.response?.status === 404) {
                 return "❌ **Servicio no encontrado**: El servicio de consulta de saldos no está disponible.";
             } else if (error.response?.status === 400) {
@@ -712,116 +867,75 @@ ${historial.length > 0 ?
     }
 
     /**
-     * ✅ NUEVO: Formatear información de saldo del usuario
+     * Normaliza la respuesta de saldo de Nova (adaptable a diferentes estructuras) a datos estructurados;
+     * la tarjeta y el texto para el modelo se generan en services/tools/consultarSaldoUsuario.js
+     * @returns {{ usuario, nombre, consultadoEn, totales: { disponible, retenido, total }, cuentas: Array, detalle: boolean, aviso: string|null }}
      */
-    formatearSaldoUsuario(saldoData, userInfo, incluirDetalles = true) {
-        try {
-            const hoyMX = new Date().toLocaleDateString('es-MX');
-            const horaMX = new Date().toLocaleTimeString('es-MX');
-
-            let resultado = `💳 **CONSULTA DE SALDO - NOVA CORPORATION**\n\n`;
-            resultado += `👤 **Usuario**: ${userInfo.nombre || userInfo.usuario}\n`;
-            resultado += `🆔 **Número de Socio**: ${userInfo.usuario}\n`;
-            resultado += `📅 **Consulta**: ${hoyMX} ${horaMX}\n\n`;
-
-            // ✅ Verificar si hay datos de saldo
-            if (!saldoData || (!saldoData.info && !saldoData.data && !saldoData.saldos)) {
-                resultado += `⚠️ **Sin información de saldo disponible**\n`;
-                resultado += `Esto puede suceder por:\n`;
-                resultado += `• No tienes cuentas de ahorro activas\n`;
-                resultado += `• El sistema está en mantenimiento\n`;
-                resultado += `• Error temporal en la consulta\n\n`;
-                resultado += `💡 Intenta consultar nuevamente en unos minutos o contacta a soporte.`;
-                return resultado;
-            }
-
-            // ✅ Procesar datos de saldo (adaptable a diferentes estructuras de respuesta)
-            let saldos = [];
-            
-            if (saldoData.info && Array.isArray(saldoData.info)) {
-                saldos = saldoData.info;
-            } else if (saldoData.data && Array.isArray(saldoData.data)) {
-                saldos = saldoData.data;
-            } else if (saldoData.saldos && Array.isArray(saldoData.saldos)) {
-                saldos = saldoData.saldos;
-            } else if (Array.isArray(saldoData)) {
-                saldos = saldoData;
-            }
+    normalizarSaldoUsuario(saldoData, userInfo, incluirDetalles = true) {
+        const saldo = {
+            usuario: userInfo.usuario,
+            nombre: userInfo.nombre || userInfo.usuario,
+            consultadoEn: new Date().toISOString(),
+            totales: { disponible: 0, retenido: 0, total: 0 },
+            cuentas: [],
+            detalle: incluirDetalles,
+            aviso: null
+        };
 
-            if (saldos.length === 0) {
-                resultado += `⚠️ **No se encontraron cuentas de ahorro**\n`;
-                resultado += `• Verifica que tengas productos de ahorro activos en Nova\n`;
-                resultado += `• Si acabas de abrir una cuenta, puede tardar unos minutos en aparecer`;
-                return resultado;
-            }
+        // ✅ Verificar si hay datos de saldo
+        if (!saldoData || (!saldoData.info && !saldoData.data && !saldoData.saldos && !Array.isArray(saldoData))) {
+            saldo.aviso = 'Sin información de saldo disponible: no hay cuentas de ahorro activas, el sistema está en mantenimiento o hubo un error temporal.';
+            return saldo;
+        }
 
-            // ✅ Calcular totales
-            let totalDisponible = 0;
-            let totalRetenido = 0;
-            let totalGeneral = 0;
+        let cuentas = [];
 
-            saldos.forEach(cuenta => {
-                const disponible = parseFloat(cuenta.saldoDisponible || cuenta.disponible || cuenta.SaldoDisponible || 0);
-                const retenido = parseFloat(cuenta.saldoRetenido || cuenta.retenido || cuenta.SaldoRetenido || 0);
-                
-                totalDisponible += disponible;
-                totalRetenido += retenido;
-                totalGeneral += disponible + retenido;
-            });
+        if (Array.isArray(saldoData.info)) {
+            cuentas = saldoData.info;
+        } else if (Array.isArray(saldoData.data)) {
+            cuentas = saldoData.data;
+        } else if (Array.isArray(saldoData.saldos)) {
+            cuentas = saldoData.saldos;
+        } else if (Array.isArray(saldoData)) {
+            cuentas = saldoData;
+        }
 
-            // ✅ Resumen de saldos
-            resultado += `📊 **RESUMEN DE SALDOS**\n`;
-            resultado += `💰 **Total Disponible**: $${totalDisponible.toLocaleString('es-MX', {minimumFractionDigits: 2})}\n`;
-            resultado += `🔒 **Total Retenido**: $${totalRetenido.toLocaleString('es-MX', {minimumFractionDigits: 2})}\n`;
-            resultado += `💎 **Total General**: $${totalGeneral.toLocaleString('es-MX', {minimumFractionDigits: 2})}\n\n`;
-
-            // ✅ Detalle por cuenta (si se solicita)
-            if (incluirDetalles && saldos.length > 0) {
-                resultado += `📋 **DETALLE POR CUENTA**\n\n`;
-
-                saldos.forEach((cuenta, index) => {
-                    const tipoCuenta = cuenta.tipoCuenta || cuenta.tipo || cuenta.TipoCuenta || `Cuenta ${index + 1}`;
-                    const disponible = parseFloat(cuenta.saldoDisponible || cuenta.disponible || cuenta.SaldoDisponible || 0);
-                    const retenido = parseFloat(cuenta.saldoRetenido || cuenta.retenido || cuenta.SaldoRetenido || 0);
-                    const total = disponible + retenido;
-
-                    resultado += `🏦 **${tipoCuenta}**\n`;
-                    resultado += `   💰 Disponible: $${disponible.toLocaleString('es-MX', {minimumFractionDigits: 2})}\n`;
-                    resultado += `   🔒 Retenido: $${retenido.toLocaleString('es-MX', {minimumFractionDigits: 2})}\n`;
-                    resultado += `   💎 Total: $${total.toLocaleString('es-MX', {minimumFractionDigits: 2})}\n`;
-
-                    // Información adicional si está disponible
-                    if (cuenta.numeroCuenta || cuenta.numero || cuenta.NumeroCuenta) {
-                        resultado += `   🔢 Número: ${cuenta.numeroCuenta || cuenta.numero || cuenta.NumeroCuenta}\n`;
-                    }
-                    if (cuenta.fechaUltimoMovimiento || cuenta.ultimoMovimiento) {
-                        resultado += `   📅 Último mov.: ${cuenta.fechaUltimoMovimiento || cuenta.ultimoMovimiento}\n`;
-                    }
+        if (cuentas.length === 0) {
+            saldo.aviso = 'No se encontraron cuentas de ahorro; si acabas de abrir una cuenta, puede tardar unos minutos en aparecer.';
+            return saldo;
+        }
 
-                    resultado += `\n`;
-                });
-            }
+        saldo.cuentas = cuentas.map((cuenta, index) => {
+            const disponible = parseFloat(cuenta.saldoDisponible || cuenta.disponible || cuenta.SaldoDisponible || 0);
+            const retenido = parseFloat(cuenta.saldoRetenido || cuenta.retenido || cuenta.SaldoRetenido || 0);
 
-            // ✅ Información adicional
-            resultado += `💡 **Información Importante**\n`;
-            resultado += `• **Saldo Disponible**: Dinero que puedes retirar inmediatamente\n`;
-            resultado += `• **Saldo Retenido**: Fondos en proceso o con restricciones temporales\n`;
-            resultado += `• Los saldos se actualizan en tiempo real durante horario bancario\n`;
-            resultado += `• Para movimientos, consulta el historial en tu app Nova\n\n`;
-            resultado += `🕐 **Horarios de disposición**: Lunes a viernes 8:00 - 18:00 hrs`;
+            return {
+                tipoCuenta: cuenta.tipoCuenta || cuenta.tipo || cuenta.TipoCuenta || `Cuenta ${index + 1}`,
+                numeroCuenta: cuenta.numeroCuenta || cuenta.numero || cuenta.NumeroCuenta || null,
+                disponible,
+                retenido,
+                total: disponible + retenido,
+                ultimoMovimiento: cuenta.fechaUltimoMovimiento || cuenta.ultimoMovimiento || null
+            };
+        });
 
-            return resultado;
+        saldo.cuentas.forEach(cuenta => {
+            saldo.totales.disponible += cuenta.disponible;
+            saldo.totales.retenido += cuenta.retenido;
+            saldo.totales.total += cuenta.total;
+        });
 
-        } catch (error) {
-            console.error('❌ Error formateando saldo:', error);
-            return `❌ **Error formateando información de saldo**: ${error.message}`;
-        }
+        return saldo;
     }
 
     /**
      * ✅ NUEVA HERRAMIENTA: Analizar conversación en formato OpenAI
      */
     async analizarConversacionOpenAI(conversationId, userInfo, tipoAnalisis, incluirSistema = true) {
+        const medidor = usageService.createMeter(userInfo?.usuario, conversationId);
+        // Los datos personales viajan al modelo como marcadores
+        const pii = piiService.createSession(userInfo, conversationId);
+
         try {
             if (!cosmosService.isAvailable() || !conversationId) {
                 return "❌ **Error**: Análisis no disponible. Se requiere Cosmos DB y conversación activa.";
@@ -846,9 +960,16 @@ ${historial.length > 0 ?
             // Crear prompt específico para el tipo de análisis
             const promptAnalisis = this.crearPromptAnalisis(tipoAnalisis, conversacion, userInfo);
 
-            // Usar OpenAI para analizar la conversación
-            const analisisResponse = await this.openai.chat.completions.create({
-                model: "gpt-4o-mini",
+            // Misma cadena de respaldo, resiliencia y medición de consumo que procesarMensaje
+            const turnoModelo = {
+                requested: this.defaultModel,
+                reason: 'analisis_conversacion',
+                model: this.defaultModel,
+                attempts: [],
+                meter: medidor,
+                pii
+            };
+            const analisisResponse = await this.completarConRespaldo({
                 messages: [
                     {
                         role: "system",
@@ -861,7 +982,7 @@ ${historial.length > 0 ?
                 ],
                 temperature: 0.3,
                 max_tokens: 2000
-            });
+            }, undefined, turnoModelo, userId);
 
             const analisis = analisisResponse.choices[0].message.content;
 
@@ -878,6 +999,9 @@ ${historial.length > 0 ?
         } catch (error) {
             console.error(`❌ Error en análisis de conversación:`, error);
             return `❌ **Error en análisis**: ${error.message}`;
+        } finally {
+            await medidor.save();
+            await pii.audit();
         }
     }
 
@@ -1102,7 +1226,10 @@ Enfoque: Estratégico y orientado a resultados comerciales.`
     /**
      * ✅ Consulta tasas de interés de Nova
      */
-    async consultarTasasInteres(anio, userToken, userInfo) {
+    async consultarTasasInteres(anio, userToken, userInfo, conversationId = null, signal = null) {
+        const url = process.env.NOVA_API_URL_TASA || 'https://pruebas.nova.com.mx/ApiRestNova/api/ConsultaTasa/consultaTasa';
+        const inicio = Date.now();
+
         try {
             if (!userToken || !userInfo) {
                 return "❌ **Error**: Usuario no autenticado para consultar tasas";
@@ -1124,7 +1251,6 @@ Enfoque: Estratégico y orientado a resultados comerciales.`
             };
 
             console.log('📡 Request body para tasas:', JSON.stringify(requestBody, null, 2));
-            const url = process.env.NOVA_API_URL_TASA || 'https://pruebas.nova.com.mx/ApiRestNova/api/ConsultaTasa/consultaTasa';
             
             const response = await axios.post(
                 url,
@@ -1135,23 +1261,41 @@ Enfoque: Estratégico y orientado a resultados comerciales.`
                         'Authorization': `Bearer ${userToken}`,
                         'Accept': 'application/json'
                     },
-                    timeout: 15000
+                    timeout: 15000,
+                    signal
                 }
             );
 
             console.log(`📊 Respuesta tasas (${response.status}):`, JSON.stringify(response.data, null, 2));
+            await auditService.recordNovaCall({
+                userId: cveUsuario,
+                conversationId,
+                method: 'POST',
+                url,
+                status: response.status,
+                durationMs: Date.now() - inicio
+            });
 
             if (response.status === 200 && response.data?.info) {
-                return this.formatearTablaTasas(response.data.info, anio, cveUsuario);
+                return this.normalizarTasas(response.data.info, anio, cveUsuario);
             } else {
                 return `⚠️ **Respuesta inesperada al consultar tasas**: Status ${response.status}`;
             }
 
         } catch (error) {
             console.error('❌ Error consultando tasas de interés:', error.message);
+            await auditService.recordNovaCall({
+                userId: userInfo?.usuario,
+                conversationId,
+                method: 'POST',
+                url,
+                status: error.response?.status || null,
+                durationMs: Date.now() - inicio,
+                error: error.message
+            });
             
             if (error.response?.status === 401) {
-                return "🔒 **Error de autorización**: Tu token puede haber expirado. Intenta cerrar sesión e iniciar nuevamente.";
+                throw createSessionExpiredError('consultar_tasas_interes');
             } else if (error.response?.status === 404) {
                 return "❌ **Servicio no encontrado**: El servicio de consulta de tasas no está disponible.";
             } else if (error.response?.status === 400) {
@@ -1228,16 +1372,15 @@ Enfoque: Estratégico y orientado a resultados comerciales.`
     }
 
     /**
-     * ✅ Formatea tabla de tasas de interés
+     * Normaliza las tasas de Nova a una fila por mes (Ene..Dic; null = sin dato);
+     * la tarjeta y el texto para el modelo se generan en services/tools/consultarTasasInteres.js
+     * @returns {{ anio, usuario, actualizado, meses: Array<{ mes, vista, fijo1, fijo3, fijo6, fap, nov, prestamos }> }|string}
      */
-    formatearTablaTasas(tasasData, anio, usuario) {
-    try {
-        if (!tasasData || !Array.isArray(tasasData) || tasasData.length === 0) {
+    normalizarTasas(tasasData, anio, usuario) {
+        if (!Array.isArray(tasasData) || tasasData.length === 0) {
             return "❌ **Error**: Datos de tasas inválidos o vacíos";
         }
 
-        const hoyMX = new Date().toLocaleDateString('es-MX');
-
         // Normaliza texto y ordena meses Ene..Dic (tolera acentos/casos)
         const norm = (s) => (s ?? '').toString().toLowerCase()
             .normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
@@ -1246,78 +1389,49 @@ Enfoque: Estratégico y orientado a resultados comerciales.`
             'julio':7,'agosto':8,'septiembre':9,'setiembre':9,'octubre':10,'noviembre':11,'diciembre':12
         };
 
-        const pct = (v) => {
-            if (v === undefined || v === null || v === '') return '—';
+        const tasa = (v) => {
+            if (v === undefined || v === null || v === '') return null;
             const n = Number(v);
-            return Number.isFinite(n) ? `${n}%` : String(v);
+            return Number.isFinite(n) ? n : null;
         };
 
-        // Ordenar por mes
-        const filas = [...tasasData].sort((a, b) => {
+        const meses = [...tasasData].sort((a, b) => {
             const ai = monthIdx[norm(a.Mes)] ?? 99;
             const bi = monthIdx[norm(b.Mes)] ?? 99;
             return ai - bi;
         }).map(m => ({
-            Mes: (m.Mes || '').toString(),
-            Vista: pct(m.vista),
-            Fijo1m: pct(m.fijo1),
-            Fijo3m: pct(m.fijo3),
-            Fijo6m: pct(m.fijo6),
-            FAP: pct(m.FAP),
-            Nov: pct(m.Nov),
-            Prestamos: pct(m.Prestamos)
+            mes: (m.Mes || '').toString(),
+            vista: tasa(m.vista),
+            fijo1: tasa(m.fijo1),
+            fijo3: tasa(m.fijo3),
+            fijo6: tasa(m.fijo6),
+            fap: tasa(m.FAP),
+            nov: tasa(m.Nov),
+            prestamos: tasa(m.Prestamos)
         }));
 
-        // Calcular anchos de columnas para tabla monoespaciada
-        const headers = ['Mes','Vista','Fijo 1m','Fijo 3m','Fijo 6m','FAP','Nov','Préstamos'];
-        const allRows = [headers, ...filas.map(f => [
-            f.Mes, f.Vista, f.Fijo1m, f.Fijo3m, f.Fijo6m, f.FAP, f.Nov, f.Prestamos
-        ])];
-
-        const widths = headers.map((_, col) =>
-            Math.max(...allRows.map(r => (r[col] ?? '').toString().length))
-        );
-
-        const pad = (txt, i) => (txt ?? '').toString().padEnd(widths[i], ' ');
-        const sep = ' | ';
-
-        const headerLine = headers.map((h, i) => pad(h, i)).join(sep);
-        const divider = widths.map(w => ''.padEnd(w, '─')).join('─┼─');
-
-        const bodyLines = filas.map(r =>
-            [r.Mes, r.Vista, r.Fijo1m, r.Fijo3m, r.Fijo6m, r.FAP, r.Nov, r.Prestamos]
-            .map((c, i) => pad(c, i)).join(sep)
-        );
-
-        let out = `💰 **TASAS DE INTERÉS NOVA CORPORATION ${anio}**\n\n`;
-        out += `👤 **Usuario**: ${usuario}   📅 **Año**: ${anio}   🕐 **Actualizado**: ${hoyMX}\n\n`;
-        out += `📊 **Detalle mes por mes**\n`;
-        out += '```text\n';
-        out += headerLine + '\n';
-        out += divider + '\n';
-        out += bodyLines.join('\n') + '\n';
-        out += '```\n';
-        out += `\nLeyenda: **—** sin dato.\n`;
-
-        return out;
-
-    } catch (error) {
-        console.error('❌ Error formateando tabla de tasas:', error);
-        return `❌ **Error formateando tasas**: ${error.message}`;
+        return {
+            anio,
+            usuario,
+            actualizado: new Date().toISOString(),
+            meses
+        };
     }
-}
 
     /**
      * ✅ Consulta API Nova genérica
      */
-    async consultarApiNova(endpoint, userToken, metodo = 'GET', parametros = {}) {
+    async consultarApiNova(endpoint, userToken, metodo = 'GET', parametros = {}, userInfo = null, conversationId = null, signal = null) {
+        const inicio = Date.now();
+        let url = endpoint;
+
         try {
             if (!userToken) {
                 return '❌ Token de usuario requerido para consultar API Nova';
             }
 
             const baseUrl = 'https://pruebas.nova.com.mx/ApiRestNova/api';
-            const url = endpoint.startsWith('http') ? endpoint : `${baseUrl}/${endpoint.replace(/^\//, '')}`;
+            url = endpoint.startsWith('http') ? endpoint : `${baseUrl}/${endpoint.replace(/^\//, '')}`;
 
             console.log(`🌐 Consultando API Nova: ${metodo} ${url}`);
 
@@ -1329,7 +1443,8 @@ Enfoque: Estratégico y orientado a resultados comerciales.`
                     'Content-Type': 'application/json',
                     'Accept': 'application/json'
                 },
-                timeout: 15000
+                timeout: 15000,
+                signal
             };
 
             if (metodo === 'POST' && parametros) {
@@ -1339,6 +1454,14 @@ Enfoque: Estratégico y orientado a resultados comerciales.`
             }
 
             const response = await axios(config);
+            await auditService.recordNovaCall({
+                userId: userInfo?.usuario,
+                conversationId,
+                method: metodo,
+                url,
+                status: response.status,
+                durationMs: Date.now() - inicio
+            });
 
             if (response.status === 200) {
                 return {
@@ -1357,6 +1480,15 @@ Enfoque: Estratégico y orientado a resultados comerciales.`
 
         } catch (error) {
             console.error('❌ Error consultando API Nova:', error.message);
+            await auditService.recordNovaCall({
+                userId: userInfo?.usuario,
+                conversationId,
+                method: metodo,
+                url,
+                status: error.response?.status || null,
+                durationMs: Date.now() - inicio,
+                error: error.message
+            });
 
             if (error.response) {
                 return {
@@ -1374,6 +1506,50 @@ Enfoque: Estratégico y orientado a resultados comerciales.`
         }
     }
 
+    /**
+     * Agrega la versión del prompt a la metadata de una respuesta sin llamada al modelo (o con error)
+     */
+    conVersionPrompt(respuesta, promptVersion) {
+        return {
+            ...respuesta,
+            metadata: { ...respuesta.metadata, promptVersion }
+        };
+    }
+
+    /**
+     * Respuesta cuando el usuario alcanzó su cuota de tokens
+     */
+    createQuotaExceededResponse(cuota) {
+        const periodo = cuota.period === 'daily' ? 'diaria' : 'mensual';
+        const reinicio = cuota.period === 'daily' ? 'mañana' : 'el próximo mes';
+
+        return {
+            type: 'text',
+            content: `🚫 **Cuota alcanzada**\n\n` +
+                    `Usaste **${cuota.used.toLocaleString('es-MX')}** de **${cuota.limit.toLocaleString('es-MX')}** tokens de tu cuota ${periodo}; ` +
+                    `se restablece ${reinicio}.\n\n` +
+                    `💡 Los comandos del bot siguen disponibles (\`mi consumo\`, \`historial\`, \`ayuda\`). ` +
+                    `Si necesitas más capacidad, contacta a un administrador.`,
+            metadata: { quotaExceeded: true, quota: cuota }
+        };
+    }
+
+    /**
+     * Respuesta en modo degradado (circuit breaker abierto tras fallas seguidas del proveedor)
+     */
+    createDegradedResponse() {
+        const segundos = Math.ceil(llmProvider.getBreakerState().retryInMs / 1000);
+
+        return {
+            type: 'text',
+            content: `⚠️ **Asistente de IA en modo degradado**\n\n` +
+                    `El servicio de IA presentó fallas repetidas y está en pausa` +
+                    `${segundos > 0 ? ` (nuevo intento en ~${segundos}s)` : ''}.\n\n` +
+                    `💡 **Mientras tanto** puedes usar los comandos del bot: \`mi info\`, \`historial\`, \`ayuda\`.`,
+            metadata: { degraded: true }
+        };
+    }
+
     /**
      * ✅ Crea respuesta cuando OpenAI no está disponible
      */
@@ -1383,7 +1559,7 @@ Enfoque: Estratégico y orientado a resultados comerciales.`
             content: `🤖 **Servicio OpenAI no disponible**\n\n` +
                     `❌ **Error**: ${this.initializationError}\n\n` +
                     `💡 **Posibles soluciones**:\n` +
-                    `• Verificar configuración de OPENAI_API_KEY\n` +
+                    `• Verificar LLM_PROVIDER y sus credenciales (OPENAI_API_KEY, AZURE_OPENAI_*, LLM_BASE_URL)\n` +
                     `• Comprobar conectividad a internet\n` +
                     `• Verificar cuota de OpenAI\n\n` +
                     `⚠️ **Nota**: Algunas funciones del bot están limitadas sin OpenAI.`
@@ -1395,22 +1571,34 @@ Enfoque: Estratégico y orientado a resultados comerciales.`
      */
     manejarErrorOpenAI(error, userInfo) {
         const userId = userInfo?.usuario || 'unknown';
-        console.error(`❌ [${userId}] Error OpenAI:`, error.message);
+        const clasificacion = classifyError(error);
+        console.error(`❌ [${userId}] Error OpenAI (${clasificacion.category}, ${clasificacion.status || 'sin respuesta'}):`, error.message);
+
+        if (clasificacion.category === 'circuit_open') {
+            return this.createDegradedResponse();
+        }
+
+        const mensajes = {
+            quota: '💳 **Cuota agotada**: La cuota del servicio de IA se ha agotado.',
+            rate_limit: '⏰ **Límite de velocidad**: Demasiadas solicitudes. Intenta en unos momentos.',
+            auth: '🔑 **Credenciales inválidas**: Problema de configuración del proveedor de IA.',
+            model_not_found: '🤖 **Modelo no encontrado**: El modelo solicitado no está disponible.',
+            context_length: '📏 **Mensaje demasiado largo**: La conversación excede el contexto del modelo; intenta `limpiar conversacion`.',
+            invalid_request: `⚠️ **Solicitud inválida**: ${error.message}`,
+            timeout: '⏰ **Timeout**: El servidor tardó demasiado en responder.',
+            server: '🔥 **Servicio no disponible**: El proveedor de IA está presentando fallas.',
+            connection: '🌐 **Sin conexión**: No se pudo contactar al proveedor de IA.'
+        };
 
         let errorMessage = '❌ **Error del servicio OpenAI**\n\n';
+        errorMessage += mensajes[clasificacion.category] || `🔧 **Error técnico**: ${error.message}`;
 
-        if (error.message.includes('insufficient_quota')) {
-            errorMessage += '💳 **Cuota agotada**: La cuota de OpenAI se ha agotado.';
-        } else if (error.message.includes('rate_limit')) {
-            errorMessage += '⏰ **Límite de velocidad**: Demasiadas solicitudes. Intenta en unos momentos.';
-        } else if (error.message.includes('invalid_api_key')) {
-            errorMessage += '🔑 **API Key inválida**: Problema de configuración.';
-        } else if (error.message.includes('model_not_found')) {
-            errorMessage += '🤖 **Modelo no encontrado**: El modelo solicitado no está disponible.';
-        } else if (error.message.includes('timeout')) {
-            errorMessage += '⏰ **Timeout**: El servidor tardó demasiado en responder.';
-        } else {
-            errorMessage += `🔧 **Error técnico**: ${error.message}`;
+        if (error.retries > 0) {
+            errorMessage += `\n\n🔁 Reintentos realizados: ${error.retries}`;
+        }
+
+        if (error.modelAttempts?.length > 1) {
+            errorMessage += `\n\n🔀 Modelos intentados: ${error.modelAttempts.map(attempt => attempt.model).join(', ')}`;
         }
 
         errorMessage += '\n\n💡 Intenta nuevamente en unos momentos.';
@@ -1421,25 +1609,6 @@ Enfoque: Estratégico y orientado a resultados comerciales.`
         };
     }
 
-    selectBestModel(mensaje, userInfo) {
-        const mensajeLower = mensaje.toLowerCase();
-        
-        // Para consultas complejas o técnicas, usar GPT-4
-        if (mensajeLower.includes('analizar') || 
-            mensajeLower.includes('explicar') ||
-            mensajeLower.includes('código') ||
-            mensajeLower.includes('programar') ||
-            mensajeLower.includes('tasas') ||
-            mensajeLower.includes('saldo') ||
-            mensajeLower.includes('resumen') ||
-            mensaje.length > 200) {
-            return "gpt-4o-mini";
-        }
-        
-        // Para consultas simples, también usar GPT-4o-mini (es eficiente)
-        return "gpt-4o-mini";
-    }
-
     calculateTemperature(mensaje) {
         const mensajeLower = mensaje.toLowerCase();
         
@@ -1471,48 +1640,6 @@ Enfoque: Estratégico y orientado a resultados comerciales.`
         return 1500;  // Consultas cortas
     }
 
-    shouldUseTools(mensaje) {
-        const mensajeLower = mensaje.toLowerCase();
-        
-        const toolKeywords = [
-            // Fecha y hora
-            'fecha', 'hora', 'día', 'hoy', 'cuando', 'qué día',
-            
-            // Información personal
-            'mi información', 'mis datos', 'perfil', 'mi info', 'quien soy',
-            
-            // ✅ NUEVAS: Palabras clave para saldos
-            'saldo', 'saldos', 'cuánto tengo', 'cuanto tengo', 'dinero',
-            'cuenta', 'cuentas', 'disponible', 'retenido', 'balance',
-            'mi dinero', 'mi saldo', 'consultar saldo', 'ver saldo',
-            
-            // Tasas de interés - PALABRAS CLAVE ESPECÍFICAS
-            'tasas', 'tasa', 'interes', 'interés', 'préstamo', 'crédito',
-            'vista', 'fijo', 'fap', 'nov', 'depósito', 'depósitos',
-            'ahorro', 'ahorros', 'inversión', 'rendimiento',
-            
-            // Resúmenes y análisis
-            'resumen', 'resumir', 'análisis', 'analizar',
-            'reporte', 'informe',
-            
-            // Análisis de conversación
-            'analizar conversacion', 'analisis conversacion', 'patrones',
-            'sentimientos', 'temas', 'recomendaciones',
-            
-            // APIs y consultas
-            'consultar', 'api', 'buscar'
-        ];
-        
-        const usarHerramientas = toolKeywords.some(keyword => mensajeLower.includes(keyword));
-        
-        if (usarHerramientas) {
-            console.log(`🛠️ Herramientas habilitadas para: "${mensaje.substring(0, 50)}..."`);
-            console.log(`   Palabras clave detectadas: ${toolKeywords.filter(k => mensajeLower.includes(k)).join(', ')}`);
-        }
-        
-        return usarHerramientas;
-    }
-
     /**
      * ✅ MEJORADO: Estadísticas del servicio con información de saldos
      */
@@ -1521,7 +1648,14 @@ Enfoque: Estratégico y orientado a resultados comerciales.`
             initialized: this.initialized,
             available: this.openaiAvailable,
             error: this.initializationError,
-            modelsAvailable: ['gpt-4o-mini'],
+            modelsAvailable: modelRouter.getChain(this.defaultModel),
+            modelRouting: modelRouter.getStats(),
+            degraded: !llmProvider.isHealthy(),
+            circuitBreaker: llmProvider.getBreakerState(),
+            usage: usageService.getStats(),
+            prompts: promptService.getStats(),
+            piiRedaction: piiService.getStats(),
+            llmProvider: llmProvider.getStats(),
             featuresEnabled: {
                 basic_conversation: true,
                 tools: true,
@@ -1533,7 +1667,13 @@ Enfoque: Estratégico y orientado a resultados comerciales.`
                 openai_conversation_format: cosmosService.isAvailable(),
                 conversation_analysis: cosmosService.isAvailable()
             },
-            toolsCount: this.tools?.length || 0,
+            toolsCount: toolRegistry.getNames().length,
+            intentRouting: intentRouter.getStats(),
+            conversationSummary: conversationSummaryService.getStats(),
+            toolLoop: {
+                maxIterations: this.toolLoopMaxIterations,
+                timeBudgetMs: this.toolLoopTimeBudgetMs
+            },
             conversationFormatSupport: {
                 available: cosmosService.isAvailable(),
                 analysisTypes: ['resumen', 'sentimientos', 'temas', 'patrones', 'recomendaciones'],
@@ -0,0 +1,122 @@
+// services/permissionService.js - Control de acceso por roles a partir de los claims del token Nova
+
+const { extractTokenInfo } = require('../utilities/http_utils');
+require('dotenv').config();
+
+const ROLES = {
+    ADMIN: 'admin',
+    SOPORTE: 'soporte',
+    USUARIO: 'usuario'
+};
+
+const DEFAULT_ROLE_CLAIMS = [
+    'http://schemas.microsoft.com/ws/2008/06/identity/claims/role',
+    'role',
+    'roles',
+    'Rol',
+    'rol'
+];
+
+/**
+ * PermissionService - Roles del usuario y verificación de permisos
+ * - Los roles se leen del payload del JWT de Nova (mismo payload que usa extractNumRIFromToken)
+ * - RBAC_ROLE_MAP traduce valores de Nova a roles del bot ("Administrador:admin,Soporte:soporte")
+ * - BOT_ADMIN_USERS otorga el rol admin a cveUsuario específicos
+ * - Todo usuario autenticado tiene el rol base "usuario"
+ */
+class PermissionService {
+    constructor() {
+        this.roleClaims = process.env.RBAC_ROLE_CLAIMS ?
+            process.env.RBAC_ROLE_CLAIMS.split(',').map(claim => claim.trim()).filter(Boolean) :
+            DEFAULT_ROLE_CLAIMS;
+
+        this.roleMap = new Map();
+        (process.env.RBAC_ROLE_MAP || '').split(',').forEach(entry => {
+            const [novaRole, botRole] = entry.split(':').map(part => (part || '').trim().toLowerCase());
+            if (novaRole && botRole) {
+                this.roleMap.set(novaRole, botRole);
+            }
+        });
+
+        this.adminUsers = (process.env.BOT_ADMIN_USERS || '')
+            .split(',')
+            .map(admin => admin.trim().toLowerCase())
+            .filter(Boolean);
+
+        console.log(`🛡️ PermissionService inicializado - Claims: ${this.roleClaims.length}, mapeos: ${this.roleMap.size}, admins: ${this.adminUsers.length}`);
+    }
+
+    /**
+     * Roles declarados en el JWT de Nova
+     */
+    getRolesFromToken(token) {
+        if (!token) {
+            return [];
+        }
+
+        const tokenInfo = extractTokenInfo(token);
+        const payload = tokenInfo?.raw || {};
+        const roles = new Set();
+
+        this.roleClaims.forEach(claim => {
+            const value = payload[claim];
+            const values = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+
+            values.forEach(raw => {
+                const role = raw.toString().trim().toLowerCase();
+                if (role) {
+                    roles.add(this.roleMap.get(role) || role);
+                }
+            });
+        });
+
+        return Array.from(roles);
+    }
+
+    /**
+     * Roles efectivos del usuario autenticado
+     */
+    getUserRoles(userInfo) {
+        if (!userInfo) {
+            return [];
+        }
+
+        const roles = new Set([ROLES.USUARIO, ...this.getRolesFromToken(userInfo.token)]);
+
+        if (userInfo.usuario && this.adminUsers.includes(userInfo.usuario.toString().toLowerCase())) {
+            roles.add(ROLES.ADMIN);
+        }
+
+        return Array.from(roles);
+    }
+
+    /**
+     * Verifica si el usuario tiene alguno de los roles requeridos (sin roles requeridos = permitido)
+     */
+    hasAnyRole(userInfo, requiredRoles = []) {
+        if (!requiredRoles || requiredRoles.length === 0) {
+            return true;
+        }
+
+        const roles = this.getUserRoles(userInfo);
+        return requiredRoles.some(role => roles.includes(role));
+    }
+
+    isAdmin(userInfo) {
+        return this.hasAnyRole(userInfo, [ROLES.ADMIN]);
+    }
+
+    getStats() {
+        return {
+            roleClaims: this.roleClaims,
+            roleMappings: this.roleMap.size,
+            adminUsers: this.adminUsers.length
+        };
+    }
+}
+
+// Crear instancia singleton
+const permissionService = new PermissionService();
+
+module.exports = permissionService;
+module.exports.ROLES = ROLES;
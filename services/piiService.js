@@ -0,0 +1,342 @@
+// services/piiService.js - Seudonimización de datos personales antes de enviarlos al LLM
+
+const auditService = require('./auditService');
+const { AUDIT_EVENTS } = require('./auditService');
+const { parseKeyValueList } = require('../utilities/keyValueList');
+require('dotenv').config();
+
+// Campos (de userInfo y de los resultados de herramientas) cuyo valor se reemplaza, con su tipo de marcador
+const DEFAULT_FIELDS = {
+    nombre: 'NOMBRE',
+    paterno: 'APELLIDO',
+    materno: 'APELLIDO',
+    usuario: 'SOCIO',
+    cveUsuario: 'SOCIO',
+    NumSocio: 'SOCIO',
+    numeroCuenta: 'CUENTA',
+    NumeroCuenta: 'CUENTA',
+    email: 'EMAIL',
+    correo: 'EMAIL'
+};
+
+// Patrones que se reemplazan aunque el valor no sea conocido
+const DEFAULT_PATTERNS = {
+    EMAIL: '[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+',
+    CURP: '[A-Z]{4}\\d{6}[HM][A-Z]{5}[A-Z0-9]\\d',
+    RFC: '[A-ZÑ&]{3,4}\\d{6}[A-Z0-9]{3}',
+    CLABE: '\\d{18}',
+    TARJETA: '\\d{4}[ -]?\\d{4}[ -]?\\d{4}[ -]?\\d{4}'
+};
+
+// Palabras de un nombre que no se reemplazan por separado
+const NAME_STOPWORDS = new Set(['de', 'del', 'la', 'las', 'los', 'y']);
+
+const PLACEHOLDER = /\[([A-Z]+_\d+)\]/g;
+
+const INSTRUCCION = 'Los datos personales aparecen como marcadores entre corchetes (p. ej. [NOMBRE_1], [CUENTA_1]). ' +
+    'Úsalos exactamente igual en tu respuesta y en los argumentos de las herramientas; no intentes adivinar su valor.';
+
+const escapeRegExp = valor => valor.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// El valor no debe ser parte de otra palabra o número (91004 no coincide dentro de 1910045)
+const bounded = fuente => `(?<![\\p{L}\\p{N}])(?:${fuente})(?![\\p{L}\\p{N}])`;
+
+function parsePatterns(valor) {
+    if (!valor) {
+        return { ...DEFAULT_PATTERNS };
+    }
+
+    try {
+        return { ...DEFAULT_PATTERNS, ...JSON.parse(valor) };
+    } catch (error) {
+        console.warn(`⚠️ PII_PATTERNS inválido (se usan los patrones default): ${error.message}`);
+        return { ...DEFAULT_PATTERNS };
+    }
+}
+
+/**
+ * Pseudonymizer - Marcadores reversibles de un turno ([NOMBRE_1], [SOCIO_1], [CUENTA_1]...)
+ * - El mismo valor recibe siempre el mismo marcador; los datos del usuario se registran primero,
+ *   así [NOMBRE_1] y [SOCIO_1] son estables entre turnos (p. ej. en el resumen de la conversación)
+ * - `wrap(client)` enmascara cada solicitud y restaura los marcadores en la respuesta
+ *   (contenido y argumentos de herramientas), de modo que el resto del código trabaja con los valores reales
+ */
+class Pseudonymizer {
+    constructor(service, { userInfo = null, conversationId = null } = {}) {
+        this.service = service;
+        this.userId = userInfo?.usuario || null;
+        this.conversationId = conversationId;
+        this.byValue = new Map(); // valor normalizado -> marcador
+        this.byPlaceholder = new Map(); // marcador -> valor original
+        this.counters = {};
+        this.valueRegex = null;
+        this.summary = { requests: 0, masked: 0, restored: 0, byType: {}, bySource: {} };
+
+        if (userInfo) {
+            this.learn(userInfo, 'usuario');
+        }
+    }
+
+    /**
+     * Registra los valores de los campos sensibles de un objeto (userInfo o resultado de herramienta)
+     */
+    learn(objeto, source = 'herramienta') {
+        if (!objeto || typeof objeto !== 'object') {
+            return;
+        }
+
+        if (Array.isArray(objeto)) {
+            objeto.forEach(item => this.learn(item, source));
+            return;
+        }
+
+        Object.entries(objeto).forEach(([campo, valor]) => {
+            const tipo = this.service.fields[campo];
+
+            if (tipo && (typeof valor === 'string' || typeof valor === 'number')) {
+                this.addValue(String(valor).trim(), tipo, source);
+            } else if (valor && typeof valor === 'object') {
+                this.learn(valor, source);
+            }
+        });
+    }
+
+    addValue(valor, tipo, source) {
+        if (!valor || valor.length < 3 || this.byValue.has(valor.toLowerCase())) {
+            return;
+        }
+
+        this.counters[tipo] = (this.counters[tipo] || 0) + 1;
+        const marcador = `[${tipo}_${this.counters[tipo]}]`;
+        this.byValue.set(valor.toLowerCase(), marcador);
+        this.byPlaceholder.set(marcador.slice(1, -1), valor);
+        this.summary.bySource[source] = (this.summary.bySource[source] || 0) + 1;
+        this.valueRegex = null;
+
+        // "Juan Pérez" también se reemplaza como "Juan" o "Pérez"
+        if (tipo === 'NOMBRE') {
+            valor.split(/\s+/)
+                .filter(parte => parte.length >= 3 && !NAME_STOPWORDS.has(parte.toLowerCase()))
+                .forEach(parte => this.addValue(parte, tipo, source));
+        }
+    }
+
+    /**
+     * Reemplaza los valores conocidos y los patrones configurados
+     */
+    mask(texto) {
+        if (typeof texto !== 'string' || !texto) {
+            return texto;
+        }
+
+        let resultado = texto;
+
+        // Primero los patrones: "juan@correo.com" es un EMAIL aunque "Juan" sea un nombre conocido
+        this.service.patterns.forEach(({ type, regex }) => {
+            resultado = resultado.replace(regex, coincidencia => {
+                if (!this.byValue.has(coincidencia.toLowerCase())) {
+                    this.addValue(coincidencia, type, 'patron');
+                }
+                return this.count(this.byValue.get(coincidencia.toLowerCase()));
+            });
+        });
+
+        if (this.byValue.size > 0) {
+            if (!this.valueRegex) {
+                // Los valores más largos primero ("Juan Pérez" antes que "Juan")
+                const fuentes = Array.from(this.byValue.keys())
+                    .sort((a, b) => b.length - a.length)
+                    .map(escapeRegExp);
+                this.valueRegex = new RegExp(bounded(fuentes.join('|')), 'giu');
+            }
+
+            resultado = resultado.replace(this.valueRegex, coincidencia => this.count(this.byValue.get(coincidencia.toLowerCase())));
+        }
+
+        return resultado;
+    }
+
+    count(marcador) {
+        const tipo = marcador.slice(1, marcador.lastIndexOf('_'));
+        this.summary.masked++;
+        this.summary.byType[tipo] = (this.summary.byType[tipo] || 0) + 1;
+        return marcador;
+    }
+
+    /**
+     * Restaura los marcadores; con `json` escapa el valor para insertarlo en un string JSON
+     */
+    restore(texto, { json = false } = {}) {
+        if (typeof texto !== 'string' || !texto) {
+            return texto;
+        }
+
+        return texto.replace(PLACEHOLDER, (marcador, clave) => {
+            const valor = this.byPlaceholder.get(clave);
+            if (valor === undefined) {
+                return marcador;
+            }
+            this.summary.restored++;
+            return json ? JSON.stringify(valor).slice(1, -1) : valor;
+        });
+    }
+
+    /**
+     * Copia de los mensajes con los datos personales reemplazados y la instrucción sobre los marcadores
+     */
+    maskMessages(messages = []) {
+        const enmascarados = this.summary.masked;
+        const resultado = messages.map(message => {
+            const copia = { ...message };
+
+            if (typeof copia.content === 'string') {
+                copia.content = this.mask(copia.content);
+            }
+
+            if (copia.tool_calls) {
+                copia.tool_calls = copia.tool_calls.map(call => ({
+                    ...call,
+                    function: { ...call.function, arguments: this.mask(call.function.arguments) }
+                }));
+            }
+
+            return copia;
+        });
+
+        if (this.summary.masked > enmascarados) {
+            const posicion = resultado[0]?.role === 'system' ? 1 : 0;
+            resultado.splice(posicion, 0, { role: 'system', content: INSTRUCCION });
+        }
+
+        return resultado;
+    }
+
+    restoreMessage(message) {
+        if (!message) {
+            return message;
+        }
+
+        return {
+            ...message,
+            content: this.restore(message.content),
+            ...(message.tool_calls ? {
+                tool_calls: message.tool_calls.map(call => ({
+                    ...call,
+                    function: { ...call.function, arguments: this.restore(call.function.arguments, { json: true }) }
+                }))
+            } : {})
+        };
+    }
+
+    /**
+     * Cliente con la misma forma del SDK que enmascara las solicitudes y restaura las respuestas
+     */
+    wrap(client) {
+        if (!this.service.enabled) {
+            return client;
+        }
+
+        return {
+            ...client,
+            chat: {
+                completions: {
+                    create: async (params, options) => {
+                        this.summary.requests++;
+                        const response = await client.chat.completions.create({
+                            ...params,
+                            messages: this.maskMessages(params.messages)
+                        }, options);
+
+                        return {
+                            ...response,
+                            choices: (response?.choices || []).map(choice => ({
+                                ...choice,
+                                message: this.restoreMessage(choice.message)
+                            }))
+                        };
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Resumen sin valores: cuántos datos se reemplazaron, de qué tipo y de dónde salieron
+     */
+    getSummary() {
+        return {
+            requests: this.summary.requests,
+            masked: this.summary.masked,
+            restored: this.summary.restored,
+            placeholders: this.byPlaceholder.size,
+            byType: { ...this.summary.byType },
+            bySource: { ...this.summary.bySource }
+        };
+    }
+
+    /**
+     * Registra en auditoría lo que se enmascaró en el turno (nunca los valores)
+     */
+    async audit() {
+        if (this.summary.masked === 0) {
+            return null;
+        }
+
+        this.service.stats.turns++;
+        this.service.stats.masked += this.summary.masked;
+
+        return await auditService.record(AUDIT_EVENTS.PII_REDACTION, {
+            userId: this.userId,
+            conversationId: this.conversationId,
+            details: this.getSummary()
+        });
+    }
+}
+
+/**
+ * PiiService - Reglas de seudonimización (PII_REDACTION_ENABLED, PII_FIELDS, PII_PATTERNS)
+ * - PII_FIELDS=campo:TIPO,... agrega o cambia los campos cuyo valor se reemplaza
+ * - PII_PATTERNS={"TIPO":"regex"} agrega o cambia los patrones (se comparan como palabra completa)
+ */
+class PiiService {
+    constructor() {
+        this.enabled = process.env.PII_REDACTION_ENABLED !== 'false';
+        this.fields = { ...DEFAULT_FIELDS, ...Object.fromEntries(parseKeyValueList(process.env.PII_FIELDS)) };
+        this.patterns = Object.entries(parsePatterns(process.env.PII_PATTERNS))
+            .map(([type, fuente]) => {
+                try {
+                    return { type: type.toUpperCase(), regex: new RegExp(bounded(fuente), 'gu') };
+                } catch (error) {
+                    console.warn(`⚠️ Patrón PII inválido para ${type}: ${error.message}`);
+                    return null;
+                }
+            })
+            .filter(Boolean);
+        this.stats = { turns: 0, masked: 0 };
+
+        console.log(`🕶️ PiiService inicializado - Habilitado: ${this.enabled}, campos: ${Object.keys(this.fields).length}, ` +
+            `patrones: ${this.patterns.map(pattern => pattern.type).join(', ')}`);
+    }
+
+    /**
+     * Marcadores de un turno; los datos de userInfo se registran de inmediato
+     */
+    createSession(userInfo = null, conversationId = null) {
+        return new Pseudonymizer(this, { userInfo, conversationId });
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            enabled: this.enabled,
+            fields: { ...this.fields },
+            patterns: this.patterns.map(pattern => pattern.type)
+        };
+    }
+}
+
+// Crear instancia singleton
+const piiService = new PiiService();
+
+module.exports = piiService;
+module.exports.Pseudonymizer = Pseudonymizer;
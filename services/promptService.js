@@ -0,0 +1,367 @@
+// services/promptService.js - Prompts del sistema versionados y personas por tenant, canal o chat grupal
+
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+const cosmosService = require('./cosmosService');
+require('dotenv').config();
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts');
+const PARTITION = 'prompts';
+const SETTINGS_ID = 'prompt_settings';
+const VERSION_PATTERN = /^[\w.-]+$/;
+
+// Ámbitos de persona, del más específico al más general
+const PERSONA_SCOPES = ['chat', 'channel', 'tenant'];
+
+const DEFAULT_PERSONA = [
+    '• Profesional pero amigable',
+    '• Útil y proactivo para temas financieros y corporativos',
+    '• Claro y conciso en respuestas',
+    '• Usa la memoria de conversación para dar respuestas más contextuales',
+    '• Enfocado en productividad corporativa y servicios financieros'
+].join('\n');
+
+/**
+ * PromptService - El prompt del sistema vive fuera del código
+ * - Plantillas versionadas: archivos `prompts/<versión>.md` o documentos de Cosmos DB (documentType: 'prompt_template');
+ *   una versión no se modifica, se crea otra
+ * - Variables: {{nombre}}, {{usuario}}, {{contexto_usuario}}, {{fecha}}, {{zona}}, {{historial}}, {{herramientas}}, {{persona}}
+ * - Configuración (documentType: 'prompt_settings'): versión activa y personas por tenant, canal o chat grupal
+ *   (se relee cada PROMPT_SETTINGS_CACHE_SECONDS para que los cambios lleguen a todas las instancias)
+ */
+class PromptService {
+    constructor() {
+        this.fileTemplates = this.loadFileTemplates();
+        this.cosmosTemplates = new Map(); // versión -> plantilla (las versiones no cambian)
+        this.memoryTemplates = new Map(); // sin Cosmos DB
+        this.memorySettings = null;
+        this.settingsCache = null;
+        this.settingsLoadedAt = 0;
+        this.cacheTtlMs = (parseInt(process.env.PROMPT_SETTINGS_CACHE_SECONDS, 10) || 60) * 1000;
+        this.defaultVersion = process.env.PROMPT_VERSION || this.getLatestFileVersion();
+        this.stats = { built: 0, fallbacks: 0, byVersion: {} };
+
+        console.log(`📝 PromptService inicializado - Versión default: ${this.defaultVersion || 'ninguna'}, ` +
+            `archivos: ${this.fileTemplates.size}`);
+    }
+
+    loadFileTemplates() {
+        const templates = new Map();
+
+        try {
+            fs.readdirSync(PROMPTS_DIR)
+                .filter(archivo => archivo.endsWith('.md'))
+                .forEach(archivo => {
+                    const version = path.basename(archivo, '.md');
+                    templates.set(version, {
+                        version,
+                        source: 'file',
+                        content: fs.readFileSync(path.join(PROMPTS_DIR, archivo), 'utf8')
+                    });
+                });
+        } catch (error) {
+            console.error(`❌ Error leyendo plantillas de ${PROMPTS_DIR}:`, error.message);
+        }
+
+        return templates;
+    }
+
+    getLatestFileVersion() {
+        const versiones = Array.from(this.fileTemplates.keys())
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        return versiones[versiones.length - 1] || null;
+    }
+
+    /**
+     * Plantilla de una versión (archivo o Cosmos DB); null si no existe
+     */
+    async getTemplate(version) {
+        if (this.fileTemplates.has(version)) {
+            return this.fileTemplates.get(version);
+        }
+
+        if (!cosmosService.isAvailable()) {
+            return this.memoryTemplates.get(version) || null;
+        }
+
+        if (this.cosmosTemplates.has(version)) {
+            return this.cosmosTemplates.get(version);
+        }
+
+        try {
+            const { resource } = await cosmosService.container
+                .item(`prompt_template_${version}`, PARTITION)
+                .read();
+
+            if (!resource) {
+                return null;
+            }
+
+            const template = { version, source: 'cosmos', content: resource.content, createdBy: resource.createdBy, createdAt: resource.createdAt };
+            this.cosmosTemplates.set(version, template);
+            return template;
+        } catch (error) {
+            if (error.code === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Versiones disponibles (sin contenido)
+     */
+    async listVersions() {
+        const versiones = Array.from(this.fileTemplates.values()).map(({ version, source }) => ({ version, source }));
+
+        if (cosmosService.isAvailable()) {
+            const { resources } = await cosmosService.container.items
+                .query({
+                    query: "SELECT c.version, c.createdBy, c.createdAt FROM c WHERE c.documentType = 'prompt_template'"
+                }, { partitionKey: PARTITION })
+                .fetchAll();
+            resources.forEach(doc => versiones.push({ ...doc, source: 'cosmos' }));
+        } else {
+            this.memoryTemplates.forEach(({ version, createdBy, createdAt }) => {
+                versiones.push({ version, source: 'memory', createdBy, createdAt });
+            });
+        }
+
+        return versiones.sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+    }
+
+    /**
+     * Crea una versión nueva en Cosmos DB (no se permite sobrescribir una existente)
+     */
+    async saveTemplate(version, content, createdBy) {
+        if (!VERSION_PATTERN.test(version || '')) {
+            throw new Error(`Nombre de versión inválido: ${version} (letras, números, punto, guion)`);
+        }
+        if (!content || !content.trim()) {
+            throw new Error('La plantilla está vacía');
+        }
+        if (await this.getTemplate(version)) {
+            throw new Error(`La versión ${version} ya existe; crea una versión nueva`);
+        }
+
+        const template = {
+            id: `prompt_template_${version}`,
+            documentType: 'prompt_template',
+            userId: PARTITION,
+            partitionKey: PARTITION,
+            version,
+            content: content.trim(),
+            createdBy,
+            createdAt: new Date().toISOString()
+        };
+
+        if (cosmosService.isAvailable()) {
+            await cosmosService.container.items.create(template);
+        } else {
+            this.memoryTemplates.set(version, { version, source: 'memory', content: template.content, createdBy, createdAt: template.createdAt });
+        }
+
+        console.log(`📝 Plantilla de prompt ${version} creada por ${createdBy}`);
+        return { version, source: cosmosService.isAvailable() ? 'cosmos' : 'memory' };
+    }
+
+    /**
+     * Versión activa y personas: { activeVersion, personas: { tenant: {}, channel: {}, chat: {} } }
+     */
+    async getSettings() {
+        if (this.settingsCache && Date.now() - this.settingsLoadedAt < this.cacheTtlMs) {
+            return this.settingsCache;
+        }
+
+        let settings = null;
+
+        if (!cosmosService.isAvailable()) {
+            settings = this.memorySettings;
+        } else {
+            try {
+                const { resource } = await cosmosService.container
+                    .item(SETTINGS_ID, PARTITION)
+                    .read();
+                settings = resource || null;
+            } catch (error) {
+                if (error.code !== 404) {
+                    console.warn('⚠️ Error leyendo configuración de prompts, se usa la default:', error.message);
+                    return this.settingsCache || this.createSettings();
+                }
+            }
+        }
+
+        this.settingsCache = settings || this.createSettings();
+        this.settingsLoadedAt = Date.now();
+        return this.settingsCache;
+    }
+
+    createSettings() {
+        return {
+            id: SETTINGS_ID,
+            documentType: 'prompt_settings',
+            userId: PARTITION,
+            partitionKey: PARTITION,
+            activeVersion: null,
+            personas: { tenant: {}, channel: {}, chat: {} }
+        };
+    }
+
+    async saveSettings(settings, updatedBy) {
+        const actualizado = { ...settings, updatedBy, updatedAt: new Date().toISOString() };
+
+        if (cosmosService.isAvailable()) {
+            await cosmosService.container.items.upsert(actualizado);
+        } else {
+            this.memorySettings = actualizado;
+        }
+
+        this.settingsCache = actualizado;
+        this.settingsLoadedAt = Date.now();
+        return actualizado;
+    }
+
+    async getActiveVersion() {
+        const settings = await this.getSettings();
+        return settings.activeVersion || this.defaultVersion;
+    }
+
+    async setActiveVersion(version, updatedBy) {
+        if (!await this.getTemplate(version)) {
+            throw new Error(`La versión ${version} no existe`);
+        }
+
+        const settings = await this.getSettings();
+        await this.saveSettings({ ...settings, activeVersion: version }, updatedBy);
+        console.log(`📝 Versión de prompt activa: ${version} (por ${updatedBy})`);
+        return version;
+    }
+
+    /**
+     * Define la persona de un ámbito (texto null = quitar la persona)
+     * @param {string} scope - 'tenant' | 'channel' | 'chat'
+     */
+    async setPersona(scope, scopeId, text, updatedBy) {
+        if (!PERSONA_SCOPES.includes(scope) || !scopeId) {
+            throw new Error(`Ámbito de persona inválido: ${scope}`);
+        }
+
+        const settings = await this.getSettings();
+        const personas = {
+            ...settings.personas,
+            [scope]: { ...settings.personas?.[scope] }
+        };
+
+        if (text) {
+            personas[scope][scopeId] = { text: text.trim(), updatedBy, updatedAt: new Date().toISOString() };
+        } else {
+            delete personas[scope][scopeId];
+        }
+
+        await this.saveSettings({ ...settings, personas }, updatedBy);
+        console.log(`🎭 Persona ${scope}:${scopeId} ${text ? 'actualizada' : 'eliminada'} por ${updatedBy}`);
+    }
+
+    /**
+     * Persona aplicable a la conversación: chat grupal > canal > tenant > default
+     * @param {Object} scope - { tenantId, channelId, chatId }
+     * @returns {{ text: string, scope: string|null, updatedBy?: string }}
+     */
+    async resolvePersona(scope = {}) {
+        const settings = await this.getSettings();
+        const ids = { chat: scope.chatId, channel: scope.channelId, tenant: scope.tenantId };
+
+        for (const ambito of PERSONA_SCOPES) {
+            const persona = ids[ambito] && settings.personas?.[ambito]?.[ids[ambito]];
+            if (persona) {
+                return { text: persona.text, scope: ambito, updatedBy: persona.updatedBy };
+            }
+        }
+
+        return { text: DEFAULT_PERSONA, scope: null };
+    }
+
+    /**
+     * Reemplaza {{variable}}; las variables desconocidas se dejan como están
+     */
+    render(content, variables) {
+        return content.replace(/\{\{\s*(\w+)\s*\}\}/g, (original, nombre) => (
+            Object.prototype.hasOwnProperty.call(variables, nombre) ? String(variables[nombre]) : original
+        ));
+    }
+
+    /**
+     * Mensaje de sistema del turno con la versión activa (o la default si no se puede cargar)
+     * @param {Object} params - { userInfo, tools (formato OpenAI), historyLength, scope }
+     * @returns {{ message: Object, version: string, source: string, persona: string|null }}
+     */
+    async buildSystemMessage({ userInfo = null, tools = [], historyLength = 0, scope = {} } = {}) {
+        const versionActiva = await this.getActiveVersion();
+        let template = null;
+
+        try {
+            template = await this.getTemplate(versionActiva);
+        } catch (error) {
+            console.warn(`⚠️ Error cargando la plantilla ${versionActiva}:`, error.message);
+        }
+
+        if (!template) {
+            template = this.fileTemplates.get(this.defaultVersion);
+            this.stats.fallbacks++;
+            console.warn(`⚠️ Plantilla de prompt ${versionActiva} no disponible, se usa ${this.defaultVersion}`);
+        }
+
+        if (!template) {
+            throw new Error(`No hay plantillas de prompt en ${PROMPTS_DIR}`);
+        }
+
+        const persona = await this.resolvePersona(scope);
+        const fechaActual = DateTime.now().setZone('America/Mexico_City');
+
+        const content = this.render(template.content, {
+            nombre: userInfo?.nombre || 'Usuario',
+            usuario: userInfo?.usuario || '',
+            contexto_usuario: userInfo ?
+                `Usuario autenticado: ${userInfo.nombre} (${userInfo.usuario})` :
+                'Usuario no autenticado',
+            fecha: fechaActual.toFormat('dd/MM/yyyy HH:mm:ss'),
+            zona: fechaActual.zoneName,
+            historial: historyLength > 0 ?
+                `Tienes acceso a los últimos ${historyLength} mensajes de esta conversación.` :
+                'Esta es una conversación nueva.',
+            herramientas: tools.length > 0 ?
+                tools.map(tool => `• ${tool.function.name}: ${tool.function.description}`).join('\n') :
+                '• Ninguna herramienta disponible para este usuario',
+            persona: persona.text
+        });
+
+        this.stats.built++;
+        this.stats.byVersion[template.version] = (this.stats.byVersion[template.version] || 0) + 1;
+
+        return {
+            message: { role: 'system', content },
+            version: template.version,
+            source: template.source,
+            persona: persona.scope
+        };
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            byVersion: { ...this.stats.byVersion },
+            defaultVersion: this.defaultVersion,
+            activeVersion: this.settingsCache?.activeVersion || this.defaultVersion,
+            fileVersions: Array.from(this.fileTemplates.keys()),
+            promptsDir: PROMPTS_DIR
+        };
+    }
+}
+
+// Crear instancia singleton
+const promptService = new PromptService();
+
+module.exports = promptService;
+module.exports.PERSONA_SCOPES = PERSONA_SCOPES;
+module.exports.DEFAULT_PERSONA = DEFAULT_PERSONA;
@@ -0,0 +1,422 @@
+// services/sessionService.js - Ciclo de vida de sesiones basado en la expiración del token Nova
+
+const { MemoryStorage } = require('botbuilder');
+const { extractTokenInfo } = require('../utilities/http_utils');
+const { readRecord, updateRecord } = require('../utilities/storageRecords');
+require('dotenv').config();
+
+// Un registro por usuario Nova: novabot/sessions/<usuario>
+const REGISTRY_STORAGE_PREFIX = 'novabot/sessions/';
+
+/**
+ * SessionService - Controla la vigencia de las sesiones a partir del claim `exp` del token Nova
+ * - Calcula la expiración al iniciar sesión (o de forma perezosa al restaurar desde AuthState)
+ * - Indica cuándo advertir al usuario que su sesión está por expirar
+ * - Marca sesiones como expiradas cuando Nova responde 401
+ * - Tiempo máximo de inactividad y duración absoluta de la sesión (independientes del token)
+ * - Registro persistente de sesiones activas (usuario de Teams + conversación) con revocación global;
+ *   un registro por usuario Nova en el Storage del bot, escrito con su eTag para que varias instancias
+ *   compartan sesiones y revocaciones sin sobrescribirse
+ */
+class SessionService {
+    constructor() {
+        // Registro en memoria: userId -> { expiresAt, startedAt, lastActivityAt, warned, expiredReason }
+        this.sessions = new Map();
+
+        const warningMinutes = parseInt(process.env.SESSION_EXPIRY_WARNING_MINUTES, 10);
+        this.warningWindowMs = (Number.isFinite(warningMinutes) && warningMinutes >= 0 ? warningMinutes : 5) * 60 * 1000;
+
+        // 0 = deshabilitado
+        const idleMinutes = parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES, 10);
+        const absoluteHours = parseInt(process.env.SESSION_ABSOLUTE_TIMEOUT_HOURS, 10);
+        this.idleTimeoutMs = (Number.isFinite(idleMinutes) && idleMinutes >= 0 ? idleMinutes : 30) * 60 * 1000;
+        this.absoluteTimeoutMs = (Number.isFinite(absoluteHours) && absoluteHours >= 0 ? absoluteHours : 12) * 60 * 60 * 1000;
+
+        // Registro persistente en el Storage del bot (MemoryStorage hasta que index.js conecta el del bot)
+        this.storage = new MemoryStorage();
+        this.persistent = false;
+        this.lastPersistedAt = new Map(); // `${teamsUserId}|${conversationId}` -> ms de la última escritura
+        this.activityPersistIntervalMs = 60 * 1000;
+        // Las revocaciones se conservan mientras pueda existir una sesión anterior (duración máxima; 30 días sin límite)
+        this.revocationRetentionMs = this.absoluteTimeoutMs || 30 * 24 * 60 * 60 * 1000;
+
+        console.log(`⏱️ SessionService inicializado - Aviso de expiración: ${this.warningWindowMs / 60000} min antes, ` +
+            `inactividad: ${this.idleTimeoutMs / 60000 || 'sin límite'} min, duración máxima: ${this.absoluteTimeoutMs / 3600000 || 'sin límite'} h`);
+    }
+
+    /**
+     * Registra una sesión nueva a partir del token recibido en el login
+     */
+    startSession(userId, token, startedAt = Date.now(), lastActivityAt = startedAt) {
+        const session = {
+            expiresAt: this.getTokenExpiry(token),
+            startedAt: startedAt,
+            lastActivityAt: lastActivityAt,
+            warned: false,
+            expiredReason: null
+        };
+
+        this.sessions.set(userId, session);
+
+        console.log(`⏱️ [${userId}] Sesión registrada - Expira: ${session.expiresAt ? new Date(session.expiresAt).toISOString() : 'sin exp en token'}`);
+        return session;
+    }
+
+    /**
+     * Obtiene la fecha de expiración (ms) del claim `exp` del token, o null si no existe
+     */
+    getTokenExpiry(token) {
+        const tokenInfo = extractTokenInfo(token);
+        if (!tokenInfo || !tokenInfo.exp) {
+            return null;
+        }
+        return tokenInfo.exp * 1000;
+    }
+
+    /**
+     * Estado de la sesión: 'active' | 'expiring' | 'expired'
+     * Motivos de expiración: 'absolute_timeout' | 'idle_timeout' | 'token_expired' | 'nova_401' | 'revoked'
+     */
+    getSessionStatus(userId, token) {
+        let session = this.sessions.get(userId);
+
+        // Sesión restaurada desde AuthState (p. ej. tras reinicio): reconstruir desde el token
+        if (!session) {
+            session = this.startSession(userId, token);
+        }
+
+        if (session.expiredReason) {
+            return { state: 'expired', reason: session.expiredReason, expiresAt: session.expiresAt, remainingMs: 0 };
+        }
+
+        const now = Date.now();
+
+        if (this.absoluteTimeoutMs > 0 && now - session.startedAt >= this.absoluteTimeoutMs) {
+            session.expiredReason = 'absolute_timeout';
+            return { state: 'expired', reason: 'absolute_timeout', expiresAt: session.expiresAt, remainingMs: 0 };
+        }
+
+        if (this.idleTimeoutMs > 0 && now - session.lastActivityAt >= this.idleTimeoutMs) {
+            session.expiredReason = 'idle_timeout';
+            return { state: 'expired', reason: 'idle_timeout', expiresAt: session.expiresAt, remainingMs: 0 };
+        }
+
+        if (!session.expiresAt) {
+            return { state: 'active', reason: null, expiresAt: null, remainingMs: null };
+        }
+
+        const remainingMs = session.expiresAt - now;
+
+        if (remainingMs <= 0) {
+            session.expiredReason = 'token_expired';
+            return { state: 'expired', reason: 'token_expired', expiresAt: session.expiresAt, remainingMs: 0 };
+        }
+
+        if (remainingMs <= this.warningWindowMs) {
+            return { state: 'expiring', reason: null, expiresAt: session.expiresAt, remainingMs };
+        }
+
+        return { state: 'active', reason: null, expiresAt: session.expiresAt, remainingMs };
+    }
+
+    /**
+     * Registra actividad del usuario (reinicia el contador de inactividad)
+     */
+    recordActivity(userId) {
+        const session = this.sessions.get(userId);
+        if (session) {
+            session.lastActivityAt = Date.now();
+        }
+    }
+
+    /**
+     * Indica si todavía no se ha advertido al usuario de la expiración próxima
+     */
+    shouldWarn(userId) {
+        const session = this.sessions.get(userId);
+        return !!session && !session.warned;
+    }
+
+    markWarned(userId) {
+        const session = this.sessions.get(userId);
+        if (session) {
+            session.warned = true;
+        }
+    }
+
+    /**
+     * Marca la sesión como expirada (p. ej. primer 401 de Nova)
+     */
+    markExpired(userId, reason = 'token_expired') {
+        const session = this.sessions.get(userId) || { expiresAt: null, startedAt: Date.now(), lastActivityAt: Date.now(), warned: false };
+        session.expiredReason = reason;
+        this.sessions.set(userId, session);
+
+        console.log(`⌛ [${userId}] Sesión marcada como expirada: ${reason}`);
+    }
+
+    /**
+     * Termina la sesión del usuario de Teams (memoria y registro persistente del usuario Nova)
+     */
+    async endSession(userId, usuario = null) {
+        this.sessions.delete(userId);
+
+        if (!usuario) {
+            return 0;
+        }
+
+        let removed = 0;
+        await this.updateUserRecord(usuario, record => {
+            if (!record) {
+                return undefined;
+            }
+
+            const keys = Object.keys(record.sessions).filter(key => record.sessions[key].teamsUserId === userId);
+            keys.forEach(key => {
+                delete record.sessions[key];
+                this.lastPersistedAt.delete(key);
+            });
+            removed = keys.length;
+
+            return this.pruneRecord(record);
+        });
+
+        return removed;
+    }
+
+    // ===== REGISTRO PERSISTENTE DE SESIONES =====
+
+    /**
+     * Conecta el registro al Storage del bot
+     */
+    setStorage(storage) {
+        this.storage = storage;
+        this.persistent = true;
+        this.lastPersistedAt.clear();
+    }
+
+    buildStorageKey(usuario) {
+        return `${REGISTRY_STORAGE_PREFIX}${usuario.toString()}`;
+    }
+
+    buildSessionKey(teamsUserId, conversationId) {
+        return `${teamsUserId}|${conversationId}`;
+    }
+
+    /**
+     * Registro del usuario Nova: { sessions: { key -> sesión }, revokedAt }; null si no existe o falla la lectura
+     */
+    async readUserRecord(usuario) {
+        try {
+            const record = await readRecord(this.storage, this.buildStorageKey(usuario));
+            return record ? { sessions: {}, revokedAt: null, ...record } : null;
+        } catch (error) {
+            console.warn(`⚠️ [${usuario}] Error leyendo registro de sesiones desde Storage:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Modifica el registro del usuario Nova con el eTag leído (ver utilities/storageRecords)
+     * @param {Function} mutate - (registro | null) => registro | null (eliminar) | undefined (sin cambios)
+     */
+    async updateUserRecord(usuario, mutate) {
+        try {
+            const { record } = await updateRecord(this.storage, this.buildStorageKey(usuario), stored =>
+                mutate(stored ? { revokedAt: null, ...stored, sessions: { ...stored.sessions } } : null)
+            );
+            return record;
+        } catch (error) {
+            console.warn(`⚠️ [${usuario}] Error guardando registro de sesiones en Storage:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Descarta sesiones vencidas (token, inactividad o duración máxima) y revocaciones que ya no aplican
+     * @returns {Object|null} - Registro depurado, o null si quedó vacío (se elimina del Storage)
+     */
+    pruneRecord(record, now = Date.now()) {
+        Object.entries(record.sessions).forEach(([key, entry]) => {
+            const expired = (entry.expiresAt && new Date(entry.expiresAt).getTime() <= now) ||
+                (this.idleTimeoutMs > 0 && now - new Date(entry.lastActivityAt).getTime() >= this.idleTimeoutMs) ||
+                (this.absoluteTimeoutMs > 0 && now - new Date(entry.loginAt).getTime() >= this.absoluteTimeoutMs);
+
+            if (expired) {
+                delete record.sessions[key];
+                this.lastPersistedAt.delete(key);
+            }
+        });
+
+        // Una revocación solo afecta sesiones iniciadas antes; pasada la duración máxima ya no queda ninguna
+        if (record.revokedAt && now - new Date(record.revokedAt).getTime() >= this.revocationRetentionMs) {
+            record.revokedAt = null;
+        }
+
+        return Object.keys(record.sessions).length > 0 || record.revokedAt ? record : null;
+    }
+
+    /**
+     * Registra (o actualiza) la sesión de un usuario en una conversación
+     */
+    async registerSession({ teamsUserId, conversationId, usuario, channelId, token, loginAt }) {
+        if (!usuario) {
+            return null;
+        }
+
+        const key = this.buildSessionKey(teamsUserId, conversationId);
+        const now = new Date().toISOString();
+        const entry = {
+            teamsUserId,
+            conversationId,
+            usuario: usuario.toString(),
+            channelId: channelId || null,
+            loginAt: loginAt || now,
+            lastActivityAt: now,
+            expiresAt: this.getTokenExpiry(token) ? new Date(this.getTokenExpiry(token)).toISOString() : null
+        };
+
+        await this.updateUserRecord(usuario, record => {
+            const updated = record || { sessions: {}, revokedAt: null };
+            updated.sessions[key] = entry;
+            return this.pruneRecord(updated);
+        });
+
+        this.lastPersistedAt.set(key, Date.now());
+        console.log(`📋 [${teamsUserId}] Sesión registrada en conversación ${conversationId}`);
+        return entry;
+    }
+
+    /**
+     * Actualiza la última actividad (a lo más una escritura por minuto y conversación);
+     * registra la conversación si es nueva para esta sesión
+     */
+    async touchSession({ teamsUserId, conversationId, usuario, channelId, token }) {
+        if (!usuario) {
+            return null;
+        }
+
+        const key = this.buildSessionKey(teamsUserId, conversationId);
+        const now = Date.now();
+        const lastPersisted = this.lastPersistedAt.get(key);
+
+        if (lastPersisted && now - lastPersisted < this.activityPersistIntervalMs) {
+            return null;
+        }
+
+        let entry = null;
+        await this.updateUserRecord(usuario, record => {
+            entry = record?.sessions[key] || null;
+            if (!entry) {
+                return undefined;
+            }
+
+            entry.lastActivityAt = new Date(now).toISOString();
+            return this.pruneRecord(record, now);
+        });
+
+        if (!entry) {
+            const session = this.sessions.get(teamsUserId);
+            return await this.registerSession({
+                teamsUserId,
+                conversationId,
+                usuario,
+                channelId,
+                token,
+                loginAt: session ? new Date(session.startedAt).toISOString() : null
+            });
+        }
+
+        this.lastPersistedAt.set(key, now);
+        return entry;
+    }
+
+    /**
+     * Sesiones activas de un usuario Nova (se descartan las vencidas)
+     */
+    async listSessions(usuario) {
+        if (!usuario) {
+            return [];
+        }
+
+        const record = await this.updateUserRecord(usuario, stored => {
+            if (!stored) {
+                return undefined;
+            }
+
+            const before = Object.keys(stored.sessions).length;
+            const pruned = this.pruneRecord(stored);
+            return pruned && Object.keys(pruned.sessions).length === before ? undefined : pruned;
+        });
+
+        return Object.values(record?.sessions || {})
+            .sort((a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt));
+    }
+
+    /**
+     * Revoca todas las sesiones de un usuario Nova (todas las conversaciones, clientes e instancias del bot)
+     * @returns {number} - Sesiones revocadas
+     */
+    async revokeAllSessions(usuario) {
+        let revoked = 0;
+
+        await this.updateUserRecord(usuario, record => {
+            revoked = record ? Object.keys(record.sessions).length : 0;
+            Object.keys(record?.sessions || {}).forEach(key => this.lastPersistedAt.delete(key));
+            return { sessions: {}, revokedAt: new Date().toISOString() };
+        });
+
+        console.log(`🚫 [${usuario}] ${revoked} sesiones revocadas`);
+        return revoked;
+    }
+
+    /**
+     * Indica si la sesión en memoria del usuario de Teams inició antes de una revocación global.
+     * Se lee el Storage en cada consulta: la revocación puede venir de otra instancia del bot.
+     */
+    async isRevoked(userId, usuario) {
+        const session = this.sessions.get(userId);
+        if (!usuario || !session) {
+            return false;
+        }
+
+        const record = await this.readUserRecord(usuario);
+        return !!record?.revokedAt && session.startedAt <= new Date(record.revokedAt).getTime();
+    }
+
+    /**
+     * Texto legible para el tiempo restante
+     */
+    formatRemaining(remainingMs) {
+        const totalMinutes = Math.max(1, Math.ceil(remainingMs / 60000));
+        if (totalMinutes < 60) {
+            return `${totalMinutes} minuto${totalMinutes === 1 ? '' : 's'}`;
+        }
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return minutes > 0 ? `${hours} h ${minutes} min` : `${hours} h`;
+    }
+
+    getStats() {
+        const sessions = Array.from(this.sessions.values());
+        return {
+            activeSessions: sessions.filter(s => !s.expiredReason).length,
+            expiredSessions: sessions.filter(s => s.expiredReason).length,
+            persistent: this.persistent,
+            warningWindowMinutes: this.warningWindowMs / 60000,
+            idleTimeoutMinutes: this.idleTimeoutMs / 60000,
+            absoluteTimeoutHours: this.absoluteTimeoutMs / 3600000,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    cleanup() {
+        this.sessions.clear();
+        this.lastPersistedAt.clear();
+    }
+}
+
+// Crear instancia singleton
+const sessionService = new SessionService();
+
+module.exports = sessionService;
@@ -0,0 +1,217 @@
+// services/ssoService.js - Inicio de sesión único (SSO) de Teams como alternativa a la tarjeta de contraseña
+
+const axios = require('axios');
+const { CardFactory } = require('botbuilder');
+require('dotenv').config();
+
+// Entornos donde se permite el IdP simulado (cualquier usuario Nova sin contraseña)
+const MOCK_IDP_ENVIRONMENTS = ['development', 'test'];
+
+/**
+ * SsoService - Login con la cuenta corporativa de Teams (OAuth / intercambio de token)
+ * - Teams envía el token del usuario en el invoke `signin/tokenExchange` (o un código en `signin/verifyState`)
+ * - El token de Azure AD se intercambia en el Bot Framework Token Service (conexión OAuth SSO_CONNECTION_NAME)
+ * - Nova valida ese token en NOVA_SSO_EXCHANGE_URL y responde como el login con contraseña (info[0] con Token)
+ * - Modo local: SSO_MOCK_IDP_URL apunta a scripts/mockIdentityProvider.js en lugar de Teams/AAD
+ *   (solo con NODE_ENV=development|test; en otro entorno se ignora)
+ * - La tarjeta de contraseña se mantiene como alternativa
+ */
+class SsoService {
+    constructor() {
+        this.connectionName = process.env.SSO_CONNECTION_NAME || null;
+        this.exchangeUrl = process.env.NOVA_SSO_EXCHANGE_URL || null;
+        this.mockIdpUrl = process.env.SSO_MOCK_IDP_URL || null;
+
+        if (this.mockIdpUrl && !MOCK_IDP_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+            console.error(`❌ SSO_MOCK_IDP_URL ignorada (NODE_ENV=${process.env.NODE_ENV || 'sin definir'}) - el IdP simulado solo se permite en development o test`);
+            this.mockIdpUrl = null;
+        }
+        this.enabled = process.env.SSO_ENABLED === 'true' &&
+            !!this.exchangeUrl &&
+            (!!this.connectionName || !!this.mockIdpUrl);
+
+        // Teams puede enviar el mismo intercambio desde varios clientes del usuario
+        this.processedExchanges = new Map(); // exchangeId -> timestamp
+        this.exchangeDedupMs = 60 * 1000;
+
+        if (process.env.SSO_ENABLED === 'true' && !this.enabled) {
+            console.warn('⚠️ SSO_ENABLED=true pero falta NOVA_SSO_EXCHANGE_URL y/o SSO_CONNECTION_NAME (o SSO_MOCK_IDP_URL)');
+        }
+
+        console.log(`🪪 SsoService inicializado - Habilitado: ${this.enabled}${this.isMockMode() ? ' (IdP simulado)' : ''}`);
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    isMockMode() {
+        return this.enabled && !!this.mockIdpUrl;
+    }
+
+    getUserTokenClient(context) {
+        const userTokenClient = context.turnState.get(context.adapter.UserTokenClientKey);
+        if (!userTokenClient) {
+            throw new Error('UserTokenClient no disponible en el adaptador');
+        }
+        return userTokenClient;
+    }
+
+    /**
+     * Tarjeta de inicio de sesión SSO (OAuthCard con recurso de intercambio, o tarjeta del IdP simulado)
+     */
+    async createSignInCard(context) {
+        if (this.isMockMode()) {
+            return CardFactory.adaptiveCard({
+                type: 'AdaptiveCard',
+                version: '1.0',
+                body: [
+                    {
+                        type: 'TextBlock',
+                        text: 'Inicio de sesión único (IdP simulado)',
+                        weight: 'Bolder'
+                    },
+                    {
+                        type: 'Input.Text',
+                        id: 'ssoUser',
+                        placeholder: 'Usuario del IdP simulado (ej: 91004)'
+                    }
+                ],
+                actions: [
+                    {
+                        type: 'Action.Submit',
+                        title: '🪪 Entrar con SSO',
+                        data: { action: 'sso_mock' }
+                    }
+                ]
+            });
+        }
+
+        const userTokenClient = this.getUserTokenClient(context);
+        const signInResource = await userTokenClient.getSignInResource(this.connectionName, context.activity, '');
+
+        return CardFactory.oauthCard(
+            this.connectionName,
+            '🪪 Entrar con mi cuenta corporativa',
+            'Inicio de sesión único con tu cuenta de Microsoft 365',
+            signInResource.signInLink,
+            signInResource.tokenExchangeResource
+        );
+    }
+
+    /**
+     * Indica si el intercambio ya se procesó (invokes duplicados de Teams)
+     */
+    isDuplicateExchange(exchangeId) {
+        const now = Date.now();
+
+        for (const [id, processedAt] of this.processedExchanges) {
+            if (now - processedAt > this.exchangeDedupMs) {
+                this.processedExchanges.delete(id);
+            }
+        }
+
+        if (!exchangeId || !this.processedExchanges.has(exchangeId)) {
+            if (exchangeId) {
+                this.processedExchanges.set(exchangeId, now);
+            }
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * `signin/tokenExchange`: intercambia el token SSO de Teams en el Token Service
+     * @returns {string|null} - Token de la conexión OAuth o null si requiere consentimiento
+     */
+    async exchangeTeamsToken(context, value) {
+        try {
+            const userTokenClient = this.getUserTokenClient(context);
+            const tokenResponse = await userTokenClient.exchangeToken(
+                context.activity.from.id,
+                this.connectionName,
+                context.activity.channelId,
+                { token: value.token }
+            );
+            return tokenResponse?.token || null;
+        } catch (error) {
+            console.warn(`⚠️ [${context.activity.from.id}] Error intercambiando token SSO:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * `signin/verifyState`: obtiene el token con el código mágico del flujo OAuth sin SSO
+     */
+    async getTokenFromMagicCode(context, magicCode) {
+        try {
+            const userTokenClient = this.getUserTokenClient(context);
+            const tokenResponse = await userTokenClient.getUserToken(
+                context.activity.from.id,
+                this.connectionName,
+                context.activity.channelId,
+                magicCode
+            );
+            return tokenResponse?.token || null;
+        } catch (error) {
+            console.warn(`⚠️ [${context.activity.from.id}] Error verificando estado OAuth:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Token emitido por el IdP simulado (solo desarrollo local)
+     */
+    async getMockIdpToken(usuario) {
+        const response = await axios.post(`${this.mockIdpUrl}/token`, { usuario }, { timeout: 5000 });
+        return response.data?.access_token || null;
+    }
+
+    /**
+     * Hook de intercambio: Nova valida el token del IdP y responde como /Auth/login
+     */
+    async exchangeWithNova(idpToken) {
+        return await axios.post(
+            this.exchangeUrl,
+            { token: idpToken },
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                timeout: 15000
+            }
+        );
+    }
+
+    /**
+     * Cierra la sesión SSO en el Token Service (evita un nuevo login silencioso después del logout)
+     */
+    async signOut(context) {
+        if (!this.enabled || this.isMockMode()) {
+            return;
+        }
+
+        try {
+            const userTokenClient = this.getUserTokenClient(context);
+            await userTokenClient.signOutUser(context.activity.from.id, this.connectionName, context.activity.channelId);
+        } catch (error) {
+            console.warn(`⚠️ [${context.activity.from.id}] Error cerrando sesión SSO:`, error.message);
+        }
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            mockIdp: this.isMockMode(),
+            connectionName: this.connectionName,
+            pendingExchanges: this.processedExchanges.size
+        };
+    }
+}
+
+// Crear instancia singleton
+const ssoService = new SsoService();
+
+module.exports = ssoService;
@@ -0,0 +1,139 @@
+// services/toolRegistry.js - Registro de herramientas de la IA (un módulo por herramienta en services/tools)
+
+const fs = require('fs');
+const path = require('path');
+const permissionService = require('./permissionService');
+const { validateSchema } = require('../utilities/jsonSchema');
+
+const TOOLS_DIR = path.join(__dirname, 'tools');
+
+/**
+ * ToolRegistry - Carga automáticamente los módulos de services/tools. Cada módulo exporta:
+ *   name          – nombre de la función para el modelo
+ *   description   – descripción para el modelo
+ *   parameters    – JSON Schema de los argumentos
+ *   requiredRoles – roles requeridos (ver permissionService.ROLES); vacío = cualquier usuario
+ *   intents       – intenciones que la activan (ver intentRouter.INTENTS)
+ *   handler       – async (parametros, { service, userToken, userInfo, conversationId, signal })
+ *   render        – (resultado) => texto que recibe el modelo (opcional; default: JSON)
+ *   card          – (resultado) => Adaptive Card para el usuario (opcional; solo resultados estructurados)
+ *
+ * Los argumentos del modelo se validan contra `parameters` antes de ejecutar el handler.
+ */
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+        this.loadFromDirectory(TOOLS_DIR);
+
+        console.log(`🧰 ToolRegistry inicializado - ${this.tools.size} herramientas: ${this.getNames().join(', ')}`);
+    }
+
+    loadFromDirectory(directory) {
+        fs.readdirSync(directory)
+            .filter(file => file.endsWith('.js'))
+            .sort()
+            .forEach(file => {
+                try {
+                    this.register(require(path.join(directory, file)));
+                } catch (error) {
+                    console.error(`❌ Error cargando herramienta ${file}:`, error.message);
+                }
+            });
+    }
+
+    register(tool) {
+        if (!tool?.name || !tool.parameters || typeof tool.handler !== 'function') {
+            throw new Error('Una herramienta requiere name, parameters y handler');
+        }
+
+        if (this.tools.has(tool.name)) {
+            throw new Error(`Herramienta duplicada: ${tool.name}`);
+        }
+
+        this.tools.set(tool.name, {
+            requiredRoles: [],
+            intents: [],
+            render: null,
+            card: null,
+            ...tool
+        });
+
+        return this;
+    }
+
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+
+    getNames() {
+        return Array.from(this.tools.keys());
+    }
+
+    canUse(name, userInfo) {
+        const tool = this.get(name);
+        return !!tool && permissionService.hasAnyRole(userInfo, tool.requiredRoles);
+    }
+
+    /**
+     * Definiciones en formato OpenAI de las herramientas permitidas para los roles del usuario
+     */
+    getDefinitionsForUser(userInfo) {
+        return Array.from(this.tools.values())
+            .filter(tool => permissionService.hasAnyRole(userInfo, tool.requiredRoles))
+            .map(tool => ({
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters
+                }
+            }));
+    }
+
+    /**
+     * Valida los argumentos del modelo
+     * @returns {{ valid: boolean, value: Object, errors: Array<{ path: string, message: string }> }}
+     */
+    validateArguments(name, parametros) {
+        const { value, errors } = validateSchema(this.get(name).parameters, parametros);
+        return { valid: errors.length === 0, value, errors };
+    }
+
+    /**
+     * Texto del resultado para el modelo
+     */
+    render(name, resultado) {
+        const tool = this.get(name);
+
+        // Los mensajes de error de los servicios llegan como texto
+        if (tool?.render && resultado && typeof resultado === 'object') {
+            return tool.render(resultado);
+        }
+
+        return typeof resultado === 'object' ?
+            JSON.stringify(resultado, null, 2) : String(resultado);
+    }
+
+    /**
+     * Adaptive Card del resultado (null si la herramienta no tiene tarjeta o el resultado es un error en texto)
+     */
+    renderCard(name, resultado) {
+        const tool = this.get(name);
+
+        if (!tool?.card || !resultado || typeof resultado !== 'object') {
+            return null;
+        }
+
+        try {
+            return tool.card(resultado);
+        } catch (error) {
+            console.error(`❌ Error generando tarjeta de ${name}:`, error.message);
+            return null;
+        }
+    }
+}
+
+// Crear instancia singleton
+const toolRegistry = new ToolRegistry();
+
+module.exports = toolRegistry;
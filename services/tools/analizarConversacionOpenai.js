@@ -0,0 +1,31 @@
+// services/tools/analizarConversacionOpenai.js - Análisis de la conversación en formato OpenAI
+
+module.exports = {
+    name: 'analizar_conversacion_openai',
+    description: 'Analiza la conversación completa usando el formato OpenAI para obtener insights detallados',
+    intents: ['conversacion'],
+    parameters: {
+        type: 'object',
+        properties: {
+            tipo_analisis: {
+                type: 'string',
+                enum: ['resumen', 'sentimientos', 'temas', 'patrones', 'recomendaciones'],
+                description: 'Tipo de análisis a realizar'
+            },
+            incluir_sistema: {
+                type: 'boolean',
+                description: 'Si incluir el mensaje del sistema en el análisis'
+            }
+        },
+        required: ['tipo_analisis']
+    },
+    handler: async (parametros, { service, userInfo, conversationId }) => {
+        console.log(`🔍 [${userInfo?.usuario || 'unknown'}] Analizando conversación OpenAI: ${parametros.tipo_analisis}`);
+        return await service.analizarConversacionOpenAI(
+            conversationId,
+            userInfo,
+            parametros.tipo_analisis,
+            parametros.incluir_sistema
+        );
+    }
+};
@@ -0,0 +1,43 @@
+// services/tools/consultarApiNova.js - Consulta genérica a la API de Nova (solo admin)
+
+const { ROLES } = require('../permissionService');
+
+module.exports = {
+    name: 'consultar_api_nova',
+    description: 'Realiza consultas a APIs de Nova usando el token del usuario',
+    requiredRoles: [ROLES.ADMIN],
+    intents: ['api_nova'],
+    parameters: {
+        type: 'object',
+        properties: {
+            endpoint: {
+                type: 'string',
+                description: 'Endpoint de la API a consultar',
+                minLength: 1
+            },
+            metodo: {
+                type: 'string',
+                enum: ['GET', 'POST'],
+                description: 'Método HTTP a usar',
+                default: 'GET'
+            },
+            parametros: {
+                type: 'object',
+                description: 'Parámetros adicionales para la consulta'
+            }
+        },
+        required: ['endpoint']
+    },
+    handler: async (parametros, { service, userToken, userInfo, conversationId, signal }) => {
+        console.log(`🌐 [${userInfo?.usuario || 'unknown'}] Consultando API Nova: ${parametros.endpoint}`);
+        return await service.consultarApiNova(
+            parametros.endpoint,
+            userToken,
+            parametros.metodo,
+            parametros.parametros,
+            userInfo,
+            conversationId,
+            signal
+        );
+    }
+};
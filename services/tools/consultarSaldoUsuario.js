@@ -0,0 +1,37 @@
+// services/tools/consultarSaldoUsuario.js - Saldo del usuario en Nova
+
+const { createSaldoCard } = require('../../utilities/procesar_card');
+
+module.exports = {
+    name: 'consultar_saldo_usuario',
+    description: 'Consulta el saldo actual del usuario en Nova. Muestra saldo disponible, retenido y total por tipo de cuenta.',
+    intents: ['saldo'],
+    parameters: {
+        type: 'object',
+        properties: {
+            tipo_sistema: {
+                type: 'string',
+                description: 'Tipo de sistema a consultar (opcional, se puede dejar vacío para consultar todos)',
+                default: ''
+            },
+            incluir_detalles: {
+                type: 'boolean',
+                description: 'Si incluir detalles adicionales del saldo',
+                default: true
+            }
+        }
+    },
+    handler: async (parametros, { service, userToken, userInfo, conversationId, signal }) => {
+        console.log(`💳 [${userInfo?.usuario || 'unknown'}] Consultando saldo del usuario`);
+        return await service.consultarSaldoUsuario(
+            userToken,
+            userInfo,
+            parametros.tipo_sistema,
+            parametros.incluir_detalles,
+            conversationId,
+            signal
+        );
+    },
+    render: (resultado) => `${JSON.stringify(resultado)}\n\nEl usuario ya ve el saldo en una tarjeta; no repitas las cifras completas, responde solo lo que pidió.`,
+    card: (resultado) => createSaldoCard(resultado)
+};
@@ -0,0 +1,27 @@
+// services/tools/consultarTasasInteres.js - Tasas de interés Nova por año
+
+const { createTasasCard } = require('../../utilities/procesar_card');
+
+module.exports = {
+    name: 'consultar_tasas_interes',
+    description: 'Consulta las tasas de interés de Nova para un año específico. Muestra tasas vista, fijo (1,3,6 meses), FAP, Nov y Préstamos por mes.',
+    intents: ['tasas'],
+    parameters: {
+        type: 'object',
+        properties: {
+            anio: {
+                type: 'integer',
+                description: 'Año para consultar las tasas (ej: 2025)',
+                minimum: 2020,
+                maximum: 2030
+            }
+        },
+        required: ['anio']
+    },
+    handler: async (parametros, { service, userToken, userInfo, conversationId, signal }) => {
+        console.log(`💰 [${userInfo?.usuario || 'unknown'}] Consultando tasas para año: ${parametros.anio}`);
+        return await service.consultarTasasInteres(parametros.anio, userToken, userInfo, conversationId, signal);
+    },
+    render: (resultado) => `${JSON.stringify(resultado)}\n\nEl usuario ya ve la tabla de tasas en una tarjeta; no la repitas, responde solo lo que pidió.`,
+    card: (resultado) => createTasasCard(resultado)
+};
@@ -0,0 +1,29 @@
+// services/tools/generarResumenConversacion.js - Resumen de la conversación actual
+
+module.exports = {
+    name: 'generar_resumen_conversacion',
+    description: 'Genera un resumen inteligente de la conversación usando el historial en formato OpenAI cuando esté disponible',
+    intents: ['conversacion'],
+    parameters: {
+        type: 'object',
+        properties: {
+            incluir_estadisticas: {
+                type: 'boolean',
+                description: 'Si incluir estadísticas detalladas'
+            },
+            usar_formato_openai: {
+                type: 'boolean',
+                description: 'Si usar el formato de conversación OpenAI para mejor análisis'
+            }
+        }
+    },
+    handler: async (parametros, { service, userInfo, conversationId }) => {
+        console.log(`📊 [${userInfo?.usuario || 'unknown'}] Generando resumen de conversación`);
+        return await service.generarResumenConversacion(
+            conversationId,
+            userInfo,
+            parametros.incluir_estadisticas,
+            parametros.usar_formato_openai
+        );
+    }
+};
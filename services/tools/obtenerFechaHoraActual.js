@@ -0,0 +1,19 @@
+// services/tools/obtenerFechaHoraActual.js - Fecha y hora actual (zona horaria de México)
+
+module.exports = {
+    name: 'obtener_fecha_hora_actual',
+    description: 'Obtiene la fecha y hora actual en zona horaria de México',
+    intents: ['fecha_hora'],
+    parameters: {
+        type: 'object',
+        properties: {
+            formato: {
+                type: 'string',
+                enum: ['completo', 'fecha', 'hora', 'timestamp'],
+                description: 'Formato de la fecha/hora a devolver',
+                default: 'completo'
+            }
+        }
+    },
+    handler: async (parametros, { service }) => service.obtenerFechaHora(parametros.formato)
+};
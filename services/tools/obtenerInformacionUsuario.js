@@ -0,0 +1,17 @@
+// services/tools/obtenerInformacionUsuario.js - Datos del usuario autenticado
+
+module.exports = {
+    name: 'obtener_informacion_usuario',
+    description: 'Obtiene información completa del usuario autenticado',
+    intents: ['perfil'],
+    parameters: {
+        type: 'object',
+        properties: {
+            incluir_token: {
+                type: 'boolean',
+                description: 'Si incluir información del token (solo preview)'
+            }
+        }
+    },
+    handler: async (parametros, { service, userInfo }) => service.obtenerInfoUsuario(userInfo, parametros.incluir_token)
+};
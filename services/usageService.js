@@ -0,0 +1,452 @@
+// services/usageService.js - Consumo de tokens por usuario y día, costo estimado y cuotas
+
+const { DateTime } = require('luxon');
+const cosmosService = require('./cosmosService');
+const { parseKeyValueList } = require('../utilities/keyValueList');
+const { updateItem } = require('../utilities/storageRecords');
+require('dotenv').config();
+
+const ZONE = 'America/Mexico_City';
+
+// USD por millón de tokens (entrada/salida); LLM_PRICING=modelo:entrada/salida,... los reemplaza o agrega
+const DEFAULT_PRICING = {
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+    'gpt-4-turbo': { input: 10.00, output: 30.00 },
+    'gpt-4': { input: 30.00, output: 60.00 },
+    'gpt-35-turbo': { input: 0.50, output: 1.50 },
+    'gpt-3.5-turbo': { input: 0.50, output: 1.50 }
+};
+
+function parsePricing(valor) {
+    const pricing = { ...DEFAULT_PRICING };
+
+    parseKeyValueList(valor).forEach((precio, modelo) => {
+        const [input, output] = precio.split('/').map(parseFloat);
+        if (input >= 0 && output >= 0) {
+            pricing[modelo] = { input, output };
+        }
+    });
+
+    return pricing;
+}
+
+/**
+ * UsageMeter - Acumula el consumo de un turno (varias llamadas al modelo) y lo guarda una sola vez
+ */
+class UsageMeter {
+    constructor(service, { userId, conversationId = null }) {
+        this.service = service;
+        this.userId = userId;
+        this.conversationId = conversationId;
+        this.byModel = {};
+    }
+
+    /**
+     * Suma el `usage` de una respuesta de chat.completions.create
+     */
+    track(model, usage) {
+        if (!usage || !model) {
+            return;
+        }
+
+        const acumulado = this.byModel[model] || { promptTokens: 0, completionTokens: 0, requests: 0 };
+        acumulado.promptTokens += usage.prompt_tokens || 0;
+        acumulado.completionTokens += usage.completion_tokens || 0;
+        acumulado.requests++;
+        this.byModel[model] = acumulado;
+    }
+
+    /**
+     * Cliente con la misma forma del SDK que registra el consumo de cada llamada
+     */
+    wrap(client) {
+        return {
+            ...client,
+            chat: {
+                completions: {
+                    create: async (params, options) => {
+                        const response = await client.chat.completions.create(params, options);
+                        this.track(params.model, response?.usage);
+                        return response;
+                    }
+                }
+            }
+        };
+    }
+
+    getTotals() {
+        return Object.entries(this.byModel).reduce((totales, [model, uso]) => {
+            totales.promptTokens += uso.promptTokens;
+            totales.completionTokens += uso.completionTokens;
+            totales.totalTokens += uso.promptTokens + uso.completionTokens;
+            totales.requests += uso.requests;
+            totales.costUsd += this.service.estimateCost(model, uso.promptTokens, uso.completionTokens);
+            return totales;
+        }, { promptTokens: 0, completionTokens: 0, totalTokens: 0, requests: 0, costUsd: 0 });
+    }
+
+    async save() {
+        if (!this.userId || Object.keys(this.byModel).length === 0) {
+            return null;
+        }
+
+        const byModel = this.byModel;
+        this.byModel = {};
+        return await this.service.recordUsage(this.userId, byModel);
+    }
+}
+
+/**
+ * UsageService - Contabilidad de tokens por usuario y día (zona America/Mexico_City)
+ * - Un documento por usuario y día (documentType: 'token_usage') con totales y desglose por modelo;
+ *   en memoria si Cosmos DB no está disponible
+ * - Cuotas diarias y mensuales en tokens: USAGE_DAILY_TOKEN_QUOTA / USAGE_MONTHLY_TOKEN_QUOTA (0 = sin límite)
+ *   y excepciones por usuario definidas por admins (documentType: 'usage_quota')
+ */
+class UsageService {
+    constructor() {
+        this.pricing = parsePricing(process.env.LLM_PRICING);
+        this.defaultQuota = {
+            daily: parseInt(process.env.USAGE_DAILY_TOKEN_QUOTA, 10) || 0,
+            monthly: parseInt(process.env.USAGE_MONTHLY_TOKEN_QUOTA, 10) || 0
+        };
+        this.retentionDays = parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 400;
+        this.memory = new Map(); // `${userId}|${fecha}` -> documento (sin Cosmos DB)
+        this.memoryQuotas = new Map(); // userId -> { daily, monthly }
+        this.stats = { recorded: 0, quotaExceeded: 0, errors: 0 };
+
+        console.log(`📊 UsageService inicializado - Cuota diaria: ${this.defaultQuota.daily || 'sin límite'}, ` +
+            `mensual: ${this.defaultQuota.monthly || 'sin límite'}`);
+    }
+
+    createMeter(userId, conversationId = null) {
+        return new UsageMeter(this, { userId, conversationId });
+    }
+
+    today() {
+        return DateTime.now().setZone(ZONE).toISODate();
+    }
+
+    estimateCost(model, promptTokens, completionTokens) {
+        const precio = this.pricing[model];
+        if (!precio) {
+            return 0;
+        }
+        return (promptTokens * precio.input + completionTokens * precio.output) / 1000000;
+    }
+
+    buildUsageId(userId, fecha) {
+        return `token_usage_${userId}_${fecha}`;
+    }
+
+    async getDailyUsage(userId, fecha = this.today()) {
+        if (!cosmosService.isAvailable()) {
+            return this.memory.get(`${userId}|${fecha}`) || null;
+        }
+
+        try {
+            const { resource } = await cosmosService.container
+                .item(this.buildUsageId(userId, fecha), userId.toString())
+                .read();
+            return resource || null;
+        } catch (error) {
+            if (error.code === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Suma el consumo de un turno al documento del día. Los turnos simultáneos del mismo usuario
+     * (o en otra instancia del bot) no se pisan: en Cosmos DB se escribe con el `_etag` leído y se reintenta
+     * @param {Object} byModel - { modelo: { promptTokens, completionTokens, requests } }
+     */
+    async recordUsage(userId, byModel) {
+        try {
+            const fecha = this.today();
+            const id = this.buildUsageId(userId, fecha);
+            let doc;
+
+            if (cosmosService.isAvailable()) {
+                ({ record: doc } = await updateItem(cosmosService.container, id, userId.toString(), stored =>
+                    this.addUsage(stored || this.createDailyUsage(userId, fecha), byModel)
+                ));
+            } else {
+                // Sin await entre la lectura y la escritura
+                const key = `${userId}|${fecha}`;
+                doc = this.addUsage(this.memory.get(key) || this.createDailyUsage(userId, fecha), byModel);
+                this.memory.set(key, doc);
+            }
+
+            this.stats.recorded++;
+            return doc;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.warn(`⚠️ [${userId}] Error registrando consumo de tokens:`, error.message);
+            return null;
+        }
+    }
+
+    createDailyUsage(userId, fecha) {
+        return {
+            id: this.buildUsageId(userId, fecha),
+            documentType: 'token_usage',
+            userId: userId.toString(),
+            date: fecha,
+            promptTokens: 0,
+            completionTokens: 0,
+            totalTokens: 0,
+            requests: 0,
+            costUsd: 0,
+            byModel: {},
+            partitionKey: userId.toString(),
+            ttl: 60 * 60 * 24 * this.retentionDays
+        };
+    }
+
+    /**
+     * Suma el consumo por modelo a una copia del documento del día
+     */
+    addUsage(stored, byModel) {
+        const doc = { ...stored, byModel: { ...stored.byModel } };
+
+        Object.entries(byModel).forEach(([model, uso]) => {
+            const costo = this.estimateCost(model, uso.promptTokens, uso.completionTokens);
+            const modelo = { ...(doc.byModel[model] || { promptTokens: 0, completionTokens: 0, requests: 0, costUsd: 0 }) };
+
+            modelo.promptTokens += uso.promptTokens;
+            modelo.completionTokens += uso.completionTokens;
+            modelo.requests += uso.requests;
+            modelo.costUsd += costo;
+            doc.byModel[model] = modelo;
+
+            doc.promptTokens += uso.promptTokens;
+            doc.completionTokens += uso.completionTokens;
+            doc.totalTokens += uso.promptTokens + uso.completionTokens;
+            doc.requests += uso.requests;
+            doc.costUsd += costo;
+        });
+        doc.updatedAt = new Date().toISOString();
+
+        return doc;
+    }
+
+    /**
+     * Documentos diarios entre dos fechas (AAAA-MM-DD, inclusivas); sin userId: todos los usuarios
+     */
+    async getUsageRange({ userId = null, from, to }) {
+        if (!cosmosService.isAvailable()) {
+            return Array.from(this.memory.values()).filter(doc =>
+                (!userId || doc.userId === userId.toString()) && doc.date >= from && doc.date <= to
+            );
+        }
+
+        const query = {
+            query: `
+                SELECT * FROM c
+                WHERE c.documentType = 'token_usage'
+                  AND c.date >= @from
+                  AND c.date <= @to
+                  ${userId ? 'AND c.userId = @userId' : ''}
+            `,
+            parameters: [
+                { name: '@from', value: from },
+                { name: '@to', value: to }
+            ]
+        };
+
+        if (userId) {
+            query.parameters.push({ name: '@userId', value: userId.toString() });
+        }
+
+        const { resources } = await cosmosService.container.items
+            .query(query, userId ? { partitionKey: userId.toString() } : {})
+            .fetchAll();
+
+        return resources;
+    }
+
+    sumUsage(docs) {
+        return docs.reduce((total, doc) => {
+            total.promptTokens += doc.promptTokens;
+            total.completionTokens += doc.completionTokens;
+            total.totalTokens += doc.totalTokens;
+            total.requests += doc.requests;
+            total.costUsd += doc.costUsd;
+            return total;
+        }, { promptTokens: 0, completionTokens: 0, totalTokens: 0, requests: 0, costUsd: 0 });
+    }
+
+    /**
+     * Consumo del usuario: hoy, mes en curso y últimos `days` días
+     */
+    async getUserSummary(userId, days = 7) {
+        const hoy = DateTime.now().setZone(ZONE);
+        const inicioMes = hoy.startOf('month').toISODate();
+        const inicioDias = hoy.minus({ days: days - 1 }).toISODate();
+        const docs = await this.getUsageRange({
+            userId,
+            from: inicioMes < inicioDias ? inicioMes : inicioDias,
+            to: hoy.toISODate()
+        });
+
+        return {
+            today: this.sumUsage(docs.filter(doc => doc.date === hoy.toISODate())),
+            month: this.sumUsage(docs.filter(doc => doc.date >= inicioMes)),
+            days: docs
+                .filter(doc => doc.date >= inicioDias)
+                .sort((a, b) => b.date.localeCompare(a.date))
+                .map(doc => ({ date: doc.date, totalTokens: doc.totalTokens, requests: doc.requests, costUsd: doc.costUsd })),
+            quota: await this.getQuota(userId)
+        };
+    }
+
+    /**
+     * Reporte para admins: totales, usuarios con mayor consumo y desglose por modelo
+     */
+    async getReport({ from, to, top = 10 }) {
+        const docs = await this.getUsageRange({ from, to });
+        const porUsuario = {};
+        const porModelo = {};
+
+        docs.forEach(doc => {
+            porUsuario[doc.userId] = this.sumUsage([porUsuario[doc.userId] || this.sumUsage([]), doc]);
+
+            Object.entries(doc.byModel || {}).forEach(([model, uso]) => {
+                const acumulado = porModelo[model] || { totalTokens: 0, requests: 0, costUsd: 0 };
+                acumulado.totalTokens += uso.promptTokens + uso.completionTokens;
+                acumulado.requests += uso.requests;
+                acumulado.costUsd += uso.costUsd;
+                porModelo[model] = acumulado;
+            });
+        });
+
+        return {
+            from,
+            to,
+            totals: this.sumUsage(docs),
+            users: Object.keys(porUsuario).length,
+            topUsers: Object.entries(porUsuario)
+                .map(([userId, uso]) => ({ userId, ...uso }))
+                .sort((a, b) => b.totalTokens - a.totalTokens)
+                .slice(0, top),
+            byModel: porModelo
+        };
+    }
+
+    /**
+     * Excepción de cuota definida por un admin (null si el usuario usa la default)
+     */
+    async getQuotaOverride(userId) {
+        if (!cosmosService.isAvailable()) {
+            return this.memoryQuotas.get(userId.toString()) || null;
+        }
+
+        try {
+            const { resource } = await cosmosService.container
+                .item(`usage_quota_${userId}`, userId.toString())
+                .read();
+            return resource || null;
+        } catch (error) {
+            if (error.code === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Cuota del usuario: la excepción por periodo o la default
+     */
+    async getQuota(userId) {
+        const override = await this.getQuotaOverride(userId);
+
+        return {
+            daily: override?.daily ?? this.defaultQuota.daily,
+            monthly: override?.monthly ?? this.defaultQuota.monthly,
+            custom: override?.daily != null || override?.monthly != null
+        };
+    }
+
+    /**
+     * Define la cuota de un usuario (tokens; 0 = sin límite, null = volver a la default)
+     * @param {string} period - 'daily' | 'monthly'
+     */
+    async setQuota(userId, period, tokens, updatedBy) {
+        const actual = await this.getQuotaOverride(userId);
+        const quota = {
+            id: `usage_quota_${userId}`,
+            documentType: 'usage_quota',
+            userId: userId.toString(),
+            daily: actual?.daily ?? null,
+            monthly: actual?.monthly ?? null,
+            updatedBy,
+            updatedAt: new Date().toISOString(),
+            partitionKey: userId.toString()
+        };
+        quota[period] = tokens;
+
+        if (cosmosService.isAvailable()) {
+            await cosmosService.container.items.upsert(quota);
+        } else {
+            this.memoryQuotas.set(userId.toString(), quota);
+        }
+
+        return await this.getQuota(userId);
+    }
+
+    /**
+     * Verifica la cuota antes de llamar al modelo; si falla la consulta se permite (no bloquea el servicio)
+     * @returns {{ allowed: boolean, period: string|null, used: number, limit: number }}
+     */
+    async checkQuota(userId) {
+        try {
+            const quota = await this.getQuota(userId);
+            if (!quota.daily && !quota.monthly) {
+                return { allowed: true, period: null, used: 0, limit: 0 };
+            }
+
+            const hoy = DateTime.now().setZone(ZONE);
+            const docs = await this.getUsageRange({
+                userId,
+                from: quota.monthly ? hoy.startOf('month').toISODate() : hoy.toISODate(),
+                to: hoy.toISODate()
+            });
+
+            const usadoHoy = this.sumUsage(docs.filter(doc => doc.date === hoy.toISODate())).totalTokens;
+            if (quota.daily && usadoHoy >= quota.daily) {
+                this.stats.quotaExceeded++;
+                return { allowed: false, period: 'daily', used: usadoHoy, limit: quota.daily };
+            }
+
+            const usadoMes = this.sumUsage(docs).totalTokens;
+            if (quota.monthly && usadoMes >= quota.monthly) {
+                this.stats.quotaExceeded++;
+                return { allowed: false, period: 'monthly', used: usadoMes, limit: quota.monthly };
+            }
+
+            return { allowed: true, period: null, used: usadoHoy, limit: quota.daily };
+
+        } catch (error) {
+            console.warn(`⚠️ [${userId}] Error verificando cuota, se permite la solicitud:`, error.message);
+            return { allowed: true, period: null, used: 0, limit: 0 };
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            defaultQuota: { ...this.defaultQuota },
+            pricedModels: Object.keys(this.pricing),
+            memoryDays: this.memory.size
+        };
+    }
+}
+
+// Crear instancia singleton
+const usageService = new UsageService();
+
+module.exports = usageService;
@@ -0,0 +1,195 @@
+// services/userDirectoryService.js - Directorio persistente: identidad de Teams (AAD) -> usuario Nova
+
+const cosmosService = require('./cosmosService');
+const { MemoryStorage } = require('botbuilder');
+const encryptionService = require('./encryptionService');
+const { readRecord, updateRecord } = require('../utilities/storageRecords');
+require('dotenv').config();
+
+// Sin Cosmos DB: un registro por identidad en el Storage del bot (novabot/userDirectory/<clave>)
+const STORAGE_PREFIX = 'novabot/userDirectory/';
+const PROFILE_FIELDS = ['nombre', 'paterno', 'materno'];
+
+/**
+ * UserDirectoryService - Vincula el objectId de AAD y el tenant de Teams con el usuario Nova
+ * - Se actualiza en cada login exitoso
+ * - Permite saludar por nombre y prellenar el usuario en la tarjeta de login
+ * - Persistencia: Cosmos DB (documentType: 'user_directory'); Storage del bot como alternativa,
+ *   un registro por identidad escrito con su eTag
+ * - El perfil (nombre, apellidos) se guarda cifrado; el token nunca se guarda aquí
+ */
+class UserDirectoryService {
+    constructor() {
+        // MemoryStorage hasta que index.js conecta el Storage del bot
+        this.storage = new MemoryStorage();
+        this.persistent = false;
+        this.cache = new Map(); // key -> entrada descifrada
+
+        console.log(`📇 UserDirectoryService inicializado - Persistencia: ${cosmosService.isAvailable() ? 'Cosmos DB' : 'Storage del bot'}`);
+    }
+
+    /**
+     * Conecta el directorio al Storage del bot (se usa si Cosmos DB no está disponible)
+     */
+    setStorage(storage) {
+        this.storage = storage;
+        this.persistent = true;
+    }
+
+    /**
+     * Identidad de Teams de la actividad: objectId de AAD + tenant (id de canal como respaldo)
+     */
+    getIdentity(activity) {
+        return {
+            aadObjectId: activity.from?.aadObjectId || null,
+            tenantId: activity.conversation?.tenantId || activity.channelData?.tenant?.id || null,
+            teamsUserId: activity.from?.id
+        };
+    }
+
+    buildKey(identity) {
+        return identity.aadObjectId ?
+            `aad:${identity.tenantId || 'sin-tenant'}:${identity.aadObjectId}` :
+            `teams:${identity.teamsUserId}`;
+    }
+
+    buildDocumentId(key) {
+        // Cosmos DB no admite '/', '\\', '?' ni '#' en el id
+        return `user_directory_${key.replace(/[/\\?#]/g, '_')}`;
+    }
+
+    /**
+     * Busca el usuario Nova vinculado a la identidad de Teams de la actividad
+     * @returns {Object|null} - { usuario, nombre, paterno, materno, aadObjectId, tenantId, lastLoginAt }
+     */
+    async lookup(activity) {
+        const key = this.buildKey(this.getIdentity(activity));
+
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        try {
+            const stored = await this.readEntry(key);
+            if (!stored) {
+                return null;
+            }
+
+            const entry = this.toEntry(stored);
+            this.cache.set(key, entry);
+            return entry;
+
+        } catch (error) {
+            console.warn(`⚠️ Error consultando directorio de usuarios (${key}):`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Vincula (o actualiza) la identidad de Teams con el usuario Nova después de un login exitoso
+     */
+    async link(activity, userInfo) {
+        const identity = this.getIdentity(activity);
+        const key = this.buildKey(identity);
+        const now = new Date().toISOString();
+
+        try {
+            const profile = {};
+            PROFILE_FIELDS.forEach(field => {
+                profile[field] = userInfo[field] || '';
+            });
+
+            const stored = await this.updateEntry(key, existing => {
+                const teamsUserIds = new Set(existing?.teamsUserIds || []);
+                teamsUserIds.add(identity.teamsUserId);
+
+                return {
+                    directoryKey: key,
+                    aadObjectId: identity.aadObjectId,
+                    tenantId: identity.tenantId,
+                    teamsUserIds: Array.from(teamsUserIds),
+                    usuario: userInfo.usuario.toString(),
+                    perfil: encryptionService.encryptFields(profile, PROFILE_FIELDS),
+                    firstLinkedAt: existing?.usuario === userInfo.usuario.toString() ? existing.firstLinkedAt : now,
+                    lastLoginAt: now
+                };
+            });
+
+            this.cache.set(key, this.toEntry(stored));
+
+            console.log(`📇 [${identity.teamsUserId}] Identidad ${key} vinculada a ${stored.usuario}`);
+            return this.cache.get(key);
+
+        } catch (error) {
+            console.warn(`⚠️ Error actualizando directorio de usuarios (${key}):`, error.message);
+            return null;
+        }
+    }
+
+    toEntry(stored) {
+        return {
+            usuario: stored.usuario,
+            ...encryptionService.decryptFields(stored.perfil || {}, PROFILE_FIELDS),
+            aadObjectId: stored.aadObjectId,
+            tenantId: stored.tenantId,
+            lastLoginAt: stored.lastLoginAt
+        };
+    }
+
+    async readEntry(key) {
+        if (cosmosService.isAvailable()) {
+            try {
+                const { resource } = await cosmosService.container.item(this.buildDocumentId(key), key).read();
+                return resource || null;
+            } catch (error) {
+                if (error.code === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        }
+
+        return await readRecord(this.storage, this.buildStorageKey(key));
+    }
+
+    /**
+     * Crea o actualiza la entrada a partir de la existente
+     * @param {Function} build - (entrada existente | null) => entrada a guardar
+     */
+    async updateEntry(key, build) {
+        if (cosmosService.isAvailable()) {
+            const stored = build(await this.readEntry(key));
+            await cosmosService.container.items.upsert({
+                id: this.buildDocumentId(key),
+                documentType: 'user_directory',
+                userId: key,
+                partitionKey: key,
+                ...stored
+            });
+            return stored;
+        }
+
+        const { record } = await updateRecord(this.storage, this.buildStorageKey(key), build);
+        return record;
+    }
+
+    buildStorageKey(key) {
+        return `${STORAGE_PREFIX}${key}`;
+    }
+
+    getStats() {
+        return {
+            cachedEntries: this.cache.size,
+            persistence: cosmosService.isAvailable() ? 'cosmos' : (this.persistent ? 'storage' : 'memory')
+        };
+    }
+
+    cleanup() {
+        this.cache.clear();
+    }
+}
+
+// Crear instancia singleton
+const userDirectoryService = new UserDirectoryService();
+
+module.exports = userDirectoryService;
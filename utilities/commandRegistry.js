@@ -0,0 +1,183 @@
+// utilities/commandRegistry.js - Registro declarativo de comandos de texto del bot
+
+/**
+ * Normaliza texto para comparar comandos: minúsculas, sin acentos y sin espacios repetidos
+ */
+function normalizeCommandText(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim()
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * CommandRegistry - Cada comando declara:
+ *   name         – nombre principal (también es el texto a escribir)
+ *   aliases      – textos alternativos
+ *   args         – gramática: [{ name, required, pattern, rest }] (rest = toma el resto del texto tal como se escribió, con saltos de línea)
+ *   requiresAuth – requiere sesión Nova (default: true)
+ *   roles        – roles requeridos (ver permissionService.ROLES); vacío = cualquier usuario
+ *   category     – sección en la ayuda
+ *   description  – texto de ayuda
+ *   hidden       – no se muestra en la ayuda
+ *   handler      – async (context, { userId, conversationId, args, text, command })
+ *
+ * La coincidencia es exacta por palabras (o por prefijo cuando el comando recibe argumentos
+ * y estos cumplen su gramática), de modo que "dame un resumen de mis tasas" no activa el comando `resumen`.
+ */
+class CommandRegistry {
+    constructor() {
+        this.commands = new Map(); // name -> definición
+        this.triggers = []; // [{ tokens, command }] ordenado por longitud (más específico primero)
+    }
+
+    register(definition) {
+        if (!definition.name || typeof definition.handler !== 'function') {
+            throw new Error('Un comando requiere name y handler');
+        }
+
+        const command = {
+            aliases: [],
+            args: [],
+            requiresAuth: true,
+            roles: [],
+            category: 'Otros',
+            description: '',
+            hidden: false,
+            ...definition
+        };
+
+        this.commands.set(command.name, command);
+
+        [command.name, ...command.aliases].forEach(trigger => {
+            this.triggers.push({ tokens: normalizeCommandText(trigger).split(' '), command });
+        });
+        this.triggers.sort((a, b) => b.tokens.length - a.tokens.length);
+
+        return this;
+    }
+
+    get(name) {
+        return this.commands.get(name) || null;
+    }
+
+    /**
+     * Busca el comando que corresponde al texto; null si ninguno coincide con argumentos válidos
+     * @returns {{ command: Object, args: Object, error: null }|null}
+     */
+    match(text) {
+        const source = text || '';
+        const tokenMatches = Array.from(source.matchAll(/\S+/g));
+        const originalTokens = tokenMatches.map(tokenMatch => tokenMatch[0]);
+        const normalizedTokens = originalTokens.map(token => normalizeCommandText(token));
+
+        for (const trigger of this.triggers) {
+            const { tokens, command } = trigger;
+
+            if (normalizedTokens.length < tokens.length) {
+                continue;
+            }
+
+            const matches = tokens.every((token, index) => normalizedTokens[index] === token);
+            if (!matches) {
+                continue;
+            }
+
+            const argTokens = originalTokens.slice(tokens.length);
+            const restFrom = index => {
+                const start = tokenMatches[tokens.length + index];
+                return start ? source.slice(start.index).trim() : '';
+            };
+
+            // Comando sin argumentos: solo coincidencia exacta
+            if (command.args.length === 0 && argTokens.length > 0) {
+                continue;
+            }
+
+            // Argumentos que no corresponden a la gramática: no es este comando
+            // ("login no me deja entrar" se procesa con IA)
+            const result = this.parseArgs(command, argTokens, restFrom);
+            if (result.error) {
+                continue;
+            }
+
+            return result;
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {Function} restFrom - (índice del argumento) => texto original desde ese argumento
+     */
+    parseArgs(command, argTokens, restFrom = index => argTokens.slice(index).join(' ')) {
+        const args = {};
+        let error = null;
+
+        command.args.forEach((arg, index) => {
+            if (error) {
+                return;
+            }
+
+            const value = arg.rest ?
+                restFrom(index) :
+                argTokens[index];
+
+            if (!value) {
+                if (arg.required) {
+                    error = `Falta el argumento \`${arg.name}\``;
+                }
+                return;
+            }
+
+            if (arg.pattern && !arg.pattern.test(value)) {
+                error = `Valor inválido para \`${arg.name}\`: ${value}`;
+                return;
+            }
+
+            args[arg.name] = value;
+        });
+
+        const lastArg = command.args[command.args.length - 1];
+        if (!error && !lastArg?.rest && argTokens.length > command.args.length) {
+            error = 'Demasiados argumentos';
+        }
+
+        return { command, args, error };
+    }
+
+    /**
+     * Texto de uso: `nombre <requerido> [opcional]`
+     */
+    getUsage(command) {
+        const args = command.args.map(arg => arg.required ? `<${arg.name}>` : `[${arg.name}]`);
+        return [command.name, ...args].join(' ');
+    }
+
+    /**
+     * Comandos visibles agrupados por categoría (en orden de registro)
+     * @param {Function} canUse - (command) => boolean
+     */
+    getHelpSections(canUse = () => true) {
+        const sections = new Map();
+
+        this.commands.forEach(command => {
+            if (command.hidden || !canUse(command)) {
+                return;
+            }
+            if (!sections.has(command.category)) {
+                sections.set(command.category, []);
+            }
+            sections.get(command.category).push(command);
+        });
+
+        return Array.from(sections.entries()).map(([category, commands]) => ({ category, commands }));
+    }
+}
+
+module.exports = {
+    CommandRegistry,
+    normalizeCommandText
+};
@@ -0,0 +1,124 @@
+// utilities/contextWindow.js - Ventana de contexto con presupuesto de tokens
+
+const { encodingForModel, countTokens, countMessageTokens, countMessagesTokens, truncateToTokens } = require('./tokenizer');
+
+// Tokens reservados para la nota que resume los turnos que no caben
+const COMPRESSED_NOTE_MAX_TOKENS = 300;
+const COMPRESSED_SNIPPET_TOKENS = 30;
+
+/**
+ * Agrupa el historial en turnos (un mensaje de usuario con sus respuestas) para no cortar un turno a la mitad
+ */
+function groupTurns(history) {
+    return history.reduce((turns, message) => {
+        if (message.role === 'user' || turns.length === 0) {
+            turns.push([]);
+        }
+        turns[turns.length - 1].push(message);
+        return turns;
+    }, []);
+}
+
+/**
+ * Nota de sistema con los turnos más antiguos que no caben (comprimidos a fragmentos de las preguntas)
+ */
+function buildCompressedNote(turns, maxTokens, encoding) {
+    const header = `Contexto anterior recortado por longitud (${turns.length} turnos). Temas tratados:`;
+    let content = header;
+
+    for (const turn of turns) {
+        const pregunta = turn.find(message => message.role === 'user')?.content;
+        if (!pregunta) {
+            continue;
+        }
+
+        const line = `\n- ${truncateToTokens(pregunta.replace(/\s+/g, ' '), COMPRESSED_SNIPPET_TOKENS, '…', encoding)}`;
+        if (countTokens(content + line, encoding) > maxTokens) {
+            break;
+        }
+        content += line;
+    }
+
+    return content === header ? null : { role: 'system', content };
+}
+
+/**
+ * Construye los mensajes que caben en el contexto del modelo.
+ * Reserva primero los mensajes de sistema, el esquema de herramientas, el turno en curso y la respuesta;
+ * el historial ocupa el resto, del turno más reciente al más antiguo. Los turnos que no caben
+ * se comprimen en una nota de sistema (o se descartan si tampoco hay espacio para ella).
+ *
+ * @param {Object} options
+ * @param {Array} options.messages - Mensajes de sistema + historial + turno en curso: el último mensaje de usuario
+ *   y lo que le sigue (llamadas y resultados de herramientas de las rondas anteriores), que nunca se recorta
+ * @param {Array} options.tools - Herramientas enviadas al modelo
+ * @param {string} options.model - Modelo (elige la codificación BPE: o200k_base o cl100k_base)
+ * @param {number} options.contextTokens - Tamaño del contexto del modelo
+ * @param {number} options.replyTokens - Tokens deseados para la respuesta
+ * @param {number} options.minReplyTokens - Respuesta mínima aceptable
+ * @returns {{ messages: Array, maxTokens: number, stats: Object }}
+ */
+function buildContextWindow({ messages, tools = [], model = null, contextTokens, replyTokens, minReplyTokens = 256 }) {
+    const encoding = encodingForModel(model);
+    const lastUser = messages.map(message => message.role).lastIndexOf('user');
+    const currentStart = lastUser >= 0 ? lastUser : messages.length - 1;
+    const current = messages.slice(currentStart);
+    const previous = messages.slice(0, currentStart);
+    const systemMessages = previous.filter(message => message.role === 'system');
+    const history = previous.filter(message => message.role !== 'system');
+
+    const toolTokens = tools.length > 0 ? countTokens(JSON.stringify(tools), encoding) : 0;
+    const fixedTokens = countMessagesTokens([...systemMessages, ...current], encoding) + toolTokens;
+    const historyBudget = contextTokens - replyTokens - fixedTokens;
+
+    const turns = groupTurns(history);
+    const kept = [];
+    let historyTokens = 0;
+    let index = turns.length - 1;
+
+    // Del más reciente al más antiguo, dejando espacio para la nota de turnos recortados
+    for (; index >= 0; index--) {
+        const turnTokens = turns[index].reduce((total, message) => total + countMessageTokens(message, encoding), 0);
+        const reserve = index > 0 ? COMPRESSED_NOTE_MAX_TOKENS : 0;
+
+        if (historyTokens + turnTokens + reserve > historyBudget) {
+            break;
+        }
+
+        kept.unshift(...turns[index]);
+        historyTokens += turnTokens;
+    }
+
+    const omittedTurns = turns.slice(0, index + 1);
+    const omittedMessages = omittedTurns.reduce((total, turn) => total + turn.length, 0);
+    let note = null;
+
+    if (omittedTurns.length > 0) {
+        const noteBudget = Math.min(COMPRESSED_NOTE_MAX_TOKENS, historyBudget - historyTokens);
+        note = noteBudget > 20 ? buildCompressedNote(omittedTurns, noteBudget, encoding) : null;
+    }
+
+    const finalMessages = [...systemMessages, ...(note ? [note] : []), ...kept, ...current];
+    const promptTokens = countMessagesTokens(finalMessages, encoding) + toolTokens;
+    const maxTokens = Math.max(minReplyTokens, Math.min(replyTokens, contextTokens - promptTokens));
+
+    return {
+        messages: finalMessages,
+        maxTokens,
+        stats: {
+            contextTokens,
+            promptTokens,
+            toolTokens,
+            replyTokens: maxTokens,
+            historyMessages: history.length,
+            keptMessages: kept.length,
+            omittedMessages,
+            compressedTurns: note ? omittedTurns.length : 0,
+            overflow: promptTokens + minReplyTokens > contextTokens
+        }
+    };
+}
+
+module.exports = {
+    buildContextWindow
+};
@@ -294,9 +294,32 @@ async function getEndpointInfo(url) {
     }
 }
 
+/**
+ * Crea el error que representa una sesión de Nova expirada (respuesta 401)
+ * @param {string} source - Operación que recibió el 401
+ * @returns {Error} - Error con code 'NOVA_SESSION_EXPIRED'
+ */
+function createSessionExpiredError(source) {
+    const error = new Error(`Sesión de Nova expirada (401 en ${source})`);
+    error.code = 'NOVA_SESSION_EXPIRED';
+    error.source = source;
+    return error;
+}
+
+/**
+ * Indica si un error corresponde a una sesión de Nova expirada
+ * @param {Error} error - Error a evaluar
+ * @returns {boolean} - True si es un error de sesión expirada
+ */
+function isSessionExpiredError(error) {
+    return !!error && error.code === 'NOVA_SESSION_EXPIRED';
+}
+
 module.exports = {
     isTokenValid,
     extractTokenInfo,
+    createSessionExpiredError,
+    isSessionExpiredError,
     makeHttpRequest,
     validateTokenWithAPI,
     sanitizeUrlForLog,
@@ -0,0 +1,117 @@
+// utilities/jsonSchema.js - Validación de argumentos con un subconjunto de JSON Schema
+
+/**
+ * Tipo JSON Schema de un valor
+ */
+function getType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = getType(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Valida un valor contra un esquema y aplica los `default` de las propiedades ausentes.
+ * Soporta: type, enum, required, properties, additionalProperties, items,
+ * minimum, maximum, minLength, maxLength, pattern y default.
+ *
+ * @param {Object} schema - Esquema (p. ej. `parameters` de una herramienta)
+ * @param {*} value - Valor a validar
+ * @param {string} path - Ruta del valor en los errores (raíz: '$')
+ * @returns {{ value: *, errors: Array<{ path: string, message: string }> }}
+ */
+function validateSchema(schema, value, path = '$') {
+    const errors = [];
+
+    if (!schema || typeof schema !== 'object') {
+        return { value, errors };
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path, message: `Se esperaba ${types.join(' | ')} y se recibió ${getType(value)}` });
+            return { value, errors };
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `Valor no permitido: ${JSON.stringify(value)}. Opciones: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `Debe ser mayor o igual a ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `Debe ser menor o igual a ${schema.maximum}` });
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `Debe tener al menos ${schema.minLength} caracteres` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `Debe tener como máximo ${schema.maxLength} caracteres` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `No cumple el formato ${schema.pattern}` });
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        const items = value.map((item, index) => {
+            const result = validateSchema(schema.items, item, `${path}[${index}]`);
+            errors.push(...result.errors);
+            return result.value;
+        });
+        return { value: items, errors };
+    }
+
+    if (getType(value) === 'object' && (schema.properties || schema.required || schema.additionalProperties === false)) {
+        const properties = schema.properties || {};
+        const result = { ...value };
+
+        (schema.required || []).forEach(key => {
+            if (result[key] === undefined) {
+                errors.push({ path: `${path}.${key}`, message: 'Campo requerido' });
+            }
+        });
+
+        Object.entries(result).forEach(([key, propertyValue]) => {
+            if (properties[key]) {
+                const propertyResult = validateSchema(properties[key], propertyValue, `${path}.${key}`);
+                errors.push(...propertyResult.errors);
+                result[key] = propertyResult.value;
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: `${path}.${key}`, message: 'Campo no permitido' });
+            }
+        });
+
+        Object.entries(properties).forEach(([key, propertySchema]) => {
+            if (result[key] === undefined && propertySchema.default !== undefined) {
+                result[key] = propertySchema.default;
+            }
+        });
+
+        return { value: result, errors };
+    }
+
+    return { value, errors };
+}
+
+module.exports = {
+    validateSchema
+};
@@ -0,0 +1,24 @@
+// utilities/keyValueList.js - Listas "clave:valor,clave2:valor2" de variables de entorno
+
+/**
+ * Convierte "gpt-4o-mini:nova-mini,nombre:NOMBRE" en Map clave -> valor
+ * (el valor es todo lo que sigue al primer ':'; las entradas sin clave o sin valor se ignoran)
+ */
+function parseKeyValueList(valor) {
+    const map = new Map();
+
+    (valor || '').split(',').forEach(entrada => {
+        const separador = entrada.indexOf(':');
+        const clave = entrada.substring(0, separador).trim();
+        const destino = entrada.substring(separador + 1).trim();
+        if (separador > 0 && clave && destino) {
+            map.set(clave, destino);
+        }
+    });
+
+    return map;
+}
+
+module.exports = {
+    parseKeyValueList
+};
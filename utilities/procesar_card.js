@@ -1,21 +1,98 @@
 // utilities/procesar_card.js - Procesamiento simplificado de tarjetas
 
+/**
+ * CardActionRegistry - Acciones de los botones Action.Submit (`data.action`).
+ * Cada acción declara:
+ *   name         – valor de `data.action`
+ *   requiresAuth – requiere sesión Nova (default: true)
+ *   roles        – roles requeridos (ver permissionService.ROLES); vacío = cualquier usuario
+ *   required     – campos de la tarjeta que no pueden venir vacíos
+ *   validate     – (data) => mensaje de error | null (validación adicional)
+ *   handler      – async (context, data)
+ */
+class CardActionRegistry {
+    constructor() {
+        this.actions = new Map();
+    }
+
+    register(definition) {
+        if (!definition.name || typeof definition.handler !== 'function') {
+            throw new Error('Una acción de tarjeta requiere name y handler');
+        }
+
+        this.actions.set(definition.name, {
+            requiresAuth: true,
+            roles: [],
+            required: [],
+            validate: null,
+            ...definition
+        });
+
+        return this;
+    }
+
+    get(name) {
+        return this.actions.get(name) || null;
+    }
+
+    getNames() {
+        return Array.from(this.actions.keys());
+    }
+
+    /**
+     * Valida los datos del submit
+     * @returns {string|null} - Mensaje de error
+     */
+    validate(action, data) {
+        const missing = action.required.filter(field => {
+            const value = data[field];
+            return value === undefined || value === null || value.toString().trim() === '';
+        });
+
+        if (missing.length > 0) {
+            return `Faltan datos: ${missing.join(', ')}`;
+        }
+
+        return action.validate ? action.validate(data) : null;
+    }
+}
+
+/**
+ * Registro con las acciones genéricas de este módulo (TeamsBot agrega las suyas)
+ */
+function createCardActionRegistry() {
+    return new CardActionRegistry()
+        .register({
+            name: 'consultar_informacion',
+            handler: (context, data) => handleConsultarInformacion(context, data, context.activity.from.id)
+        })
+        .register({
+            name: 'ayuda',
+            requiresAuth: false,
+            handler: (context) => handleMostrarAyuda(context, context.activity.from.id)
+        })
+        .register({
+            name: 'logout',
+            requiresAuth: false,
+            handler: (context) => handleLogout(context, context.activity.from.id)
+        });
+}
+
 /**
  * Maneja el submit de tarjetas adaptativas
- * Versión simplificada sin APIs externas complejas
- * 
+ *
  * @param {Object} context - Contexto del bot
- * @param {Object} data - Datos de la tarjeta
- * @param {Function} getUserToken - Función para obtener token (opcional)
- * @param {Function} handleTokenExpiration - Función para manejar expiración (opcional)
- * @param {Function} isTokenValid - Función para validar token (opcional)
- * @param {Object} openaiService - Servicio OpenAI (opcional)
+ * @param {Object} data - Datos de la tarjeta (`context.activity.value`)
+ * @param {Object} options - { registry, authorize }
+ *   registry  – CardActionRegistry (default: acciones genéricas)
+ *   authorize – async (context, action) => boolean; verifica sesión y roles de las acciones con requiresAuth
  */
-async function handleCardSubmit(context, data, getUserToken, handleTokenExpiration, isTokenValid, openaiService) {
+async function handleCardSubmit(context, data, { registry = createCardActionRegistry(), authorize = null } = {}) {
     const userId = context.activity.from.id;
     
     try {
-        console.log(`🃏 [${userId}] Procesando submit de tarjeta:`, JSON.stringify(data, null, 2));
+        // Sin volcar los datos: el submit de login trae la contraseña
+        console.log(`🃏 [${userId}] Procesando submit de tarjeta: ${data?.action || '(sin acción)'}`);
 
         // Verificar que hay datos
         if (!data || Object.keys(data).length === 0) {
@@ -23,43 +100,31 @@ async function handleCardSubmit(context, data, getUserToken, handleTokenExpirati
             return;
         }
 
-        // Manejar diferentes tipos de acciones
-        switch (data.action) {
-            case 'login':
-                // El login ya se maneja en teamsBot.js
-                console.log(`🔐 [${userId}] Login detectado en card submit - delegando a TeamsBot`);
-                break;
-
-            case 'logout':
-                // El logout ya se maneja en teamsBot.js
-                console.log(`🚪 [${userId}] Logout detectado en card submit - delegando a TeamsBot`);
-                await context.sendActivity('Por favor, escribe "logout" para cerrar sesión.');
-                break;
-
-            case 'consultar_informacion':
-                // Consultar información del usuario
-                await handleConsultarInformacion(context, data, userId);
-                break;
-
-            case 'ayuda':
-                // Mostrar ayuda
-                await handleMostrarAyuda(context, userId);
-                break;
-
-            default:
-                // Acción no reconocida
-                console.warn(`⚠️ [${userId}] Acción de tarjeta no reconocida: ${data.action}`);
-                await context.sendActivity(
-                    `❓ **Acción no reconocida**: "${data.action}"\n\n` +
-                    `Las acciones disponibles son:\n` +
-                    `• login - Iniciar sesión\n` +
-                    `• logout - Cerrar sesión\n` +
-                    `• consultar_informacion - Ver tu información\n` +
-                    `• ayuda - Mostrar ayuda`
-                );
-                break;
+        const action = registry.get(data.action);
+
+        if (!action) {
+            // Acción no reconocida
+            console.warn(`⚠️ [${userId}] Acción de tarjeta no reconocida: ${data.action}`);
+            await context.sendActivity(
+                `❓ **Acción no reconocida**: "${data.action}"\n\n` +
+                `Las acciones disponibles son:\n` +
+                registry.getNames().map(name => `• ${name}`).join('\n')
+            );
+            return;
+        }
+
+        if (action.requiresAuth && authorize && !await authorize(context, action)) {
+            return;
+        }
+
+        const validationError = registry.validate(action, data);
+        if (validationError) {
+            await context.sendActivity(`❌ **Datos incompletos**\n\n${validationError}`);
+            return;
         }
 
+        await action.handler(context, data);
+
     } catch (error) {
         console.error(`❌ [${userId}] Error procesando tarjeta:`, error);
         await context.sendActivity(
@@ -70,6 +135,19 @@ async function handleCardSubmit(context, data, getUserToken, handleTokenExpirati
     }
 }
 
+/**
+ * Cierra la sesión desde un botón de tarjeta
+ */
+async function handleLogout(context, userId) {
+    const bot = context.turnState.get('bot') || global.botInstance;
+
+    if (bot && typeof bot.handleLogout === 'function') {
+        await bot.handleLogout(context, userId);
+    } else {
+        await context.sendActivity('Por favor, escribe "logout" para cerrar sesión.');
+    }
+}
+
 /**
  * Maneja consulta de información del usuario
  */
@@ -276,8 +354,197 @@ function createHelpCard() {
     return CardFactory.adaptiveCard(card);
 }
 
+const formatoMoneda = (valor) => `$${valor.toLocaleString('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Crea la tarjeta de saldo: totales y una fila por cuenta
+ * @param {Object} saldo - Resultado de openaiService.normalizarSaldoUsuario
+ */
+function createSaldoCard(saldo) {
+    const { CardFactory } = require('botbuilder');
+
+    const body = [
+        {
+            type: 'TextBlock',
+            text: '💳 Consulta de Saldo',
+            size: 'Large',
+            weight: 'Bolder',
+            color: 'Accent'
+        },
+        {
+            type: 'TextBlock',
+            text: `${saldo.nombre} · Socio ${saldo.usuario} · ${new Date(saldo.consultadoEn).toLocaleString('es-MX')}`,
+            isSubtle: true,
+            spacing: 'None',
+            wrap: true
+        }
+    ];
+
+    if (saldo.aviso) {
+        body.push({ type: 'TextBlock', text: `⚠️ ${saldo.aviso}`, wrap: true, color: 'Warning' });
+        return CardFactory.adaptiveCard({
+            type: 'AdaptiveCard',
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            version: '1.3',
+            body
+        });
+    }
+
+    body.push({
+        type: 'ColumnSet',
+        spacing: 'Medium',
+        columns: [
+            { label: 'Disponible', valor: saldo.totales.disponible, color: 'Good' },
+            { label: 'Retenido', valor: saldo.totales.retenido, color: 'Warning' },
+            { label: 'Total', valor: saldo.totales.total, color: 'Accent' }
+        ].map(total => ({
+            type: 'Column',
+            width: 'stretch',
+            items: [
+                { type: 'TextBlock', text: total.label, isSubtle: true, size: 'Small' },
+                { type: 'TextBlock', text: formatoMoneda(total.valor), weight: 'Bolder', size: 'Medium', color: total.color, spacing: 'None' }
+            ]
+        }))
+    });
+
+    if (saldo.detalle) {
+        body.push({
+            type: 'ColumnSet',
+            separator: true,
+            spacing: 'Medium',
+            columns: ['Cuenta', 'Disponible', 'Retenido', 'Total'].map((titulo, index) => ({
+                type: 'Column',
+                width: index === 0 ? 2 : 1,
+                items: [{ type: 'TextBlock', text: titulo, weight: 'Bolder', size: 'Small', horizontalAlignment: index === 0 ? 'Left' : 'Right' }]
+            }))
+        });
+
+        saldo.cuentas.forEach(cuenta => {
+            const subtitulo = [
+                cuenta.numeroCuenta ? `No. ${cuenta.numeroCuenta}` : null,
+                cuenta.ultimoMovimiento ? `Últ. mov. ${cuenta.ultimoMovimiento}` : null
+            ].filter(Boolean).join(' · ');
+
+            body.push({
+                type: 'ColumnSet',
+                spacing: 'Small',
+                columns: [
+                    {
+                        type: 'Column',
+                        width: 2,
+                        items: [
+                            { type: 'TextBlock', text: cuenta.tipoCuenta, wrap: true, size: 'Small' },
+                            ...(subtitulo ? [{ type: 'TextBlock', text: subtitulo, isSubtle: true, size: 'Small', spacing: 'None', wrap: true }] : [])
+                        ]
+                    },
+                    ...[cuenta.disponible, cuenta.retenido, cuenta.total].map(valor => ({
+                        type: 'Column',
+                        width: 1,
+                        items: [{ type: 'TextBlock', text: formatoMoneda(valor), size: 'Small', horizontalAlignment: 'Right' }]
+                    }))
+                ]
+            });
+        });
+    }
+
+    body.push({
+        type: 'TextBlock',
+        text: 'Disponible: dinero que puedes retirar de inmediato. Retenido: fondos en proceso o con restricciones temporales. Horario de disposición: lunes a viernes 8:00 - 18:00 hrs.',
+        isSubtle: true,
+        size: 'Small',
+        wrap: true,
+        separator: true,
+        spacing: 'Medium'
+    });
+
+    return CardFactory.adaptiveCard({
+        type: 'AdaptiveCard',
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        version: '1.3',
+        body
+    });
+}
+
+/**
+ * Crea la tarjeta de tasas de interés: una fila por mes
+ * @param {Object} tasas - Resultado de openaiService.normalizarTasas
+ */
+function createTasasCard(tasas) {
+    const { CardFactory } = require('botbuilder');
+    const columnas = [
+        { titulo: 'Mes', campo: 'mes' },
+        { titulo: 'Vista', campo: 'vista' },
+        { titulo: 'Fijo 1m', campo: 'fijo1' },
+        { titulo: 'Fijo 3m', campo: 'fijo3' },
+        { titulo: 'Fijo 6m', campo: 'fijo6' },
+        { titulo: 'FAP', campo: 'fap' },
+        { titulo: 'Nov', campo: 'nov' },
+        { titulo: 'Préstamos', campo: 'prestamos' }
+    ];
+
+    const celda = (columna, fila) => {
+        if (columna.campo === 'mes') {
+            return fila.mes.substring(0, 3);
+        }
+        return fila[columna.campo] === null ? '—' : `${fila[columna.campo]}%`;
+    };
+
+    const renglon = (textos, encabezado = false) => ({
+        type: 'ColumnSet',
+        spacing: encabezado ? 'Medium' : 'Small',
+        separator: encabezado,
+        columns: textos.map((texto, index) => ({
+            type: 'Column',
+            width: 'stretch',
+            items: [{
+                type: 'TextBlock',
+                text: texto,
+                size: 'Small',
+                weight: encabezado ? 'Bolder' : 'Default',
+                horizontalAlignment: index === 0 ? 'Left' : 'Right'
+            }]
+        }))
+    });
+
+    return CardFactory.adaptiveCard({
+        type: 'AdaptiveCard',
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        version: '1.3',
+        body: [
+            {
+                type: 'TextBlock',
+                text: `💰 Tasas de Interés ${tasas.anio}`,
+                size: 'Large',
+                weight: 'Bolder',
+                color: 'Accent'
+            },
+            {
+                type: 'TextBlock',
+                text: `Usuario ${tasas.usuario} · Actualizado ${new Date(tasas.actualizado).toLocaleDateString('es-MX')}`,
+                isSubtle: true,
+                spacing: 'None'
+            },
+            renglon(columnas.map(columna => columna.titulo), true),
+            ...tasas.meses.map(fila => renglon(columnas.map(columna => celda(columna, fila)))),
+            {
+                type: 'TextBlock',
+                text: 'Tasas anuales. — sin dato. Las tasas de préstamos son revisables cada mes.',
+                isSubtle: true,
+                size: 'Small',
+                wrap: true,
+                separator: true,
+                spacing: 'Medium'
+            }
+        ]
+    });
+}
+
 module.exports = {
+    CardActionRegistry,
+    createCardActionRegistry,
     handleCardSubmit,
     createUserInfoCard,
-    createHelpCard
+    createHelpCard,
+    createSaldoCard,
+    createTasasCard
 };
\ No newline at end of file
@@ -0,0 +1,242 @@
+// utilities/resilience.js - Clasificación de errores del LLM, reintentos con backoff y circuit breaker
+
+// Categorías que se reintentan (fallas transitorias del proveedor)
+const RETRYABLE = new Set(['rate_limit', 'server', 'timeout', 'connection']);
+
+// Categorías que cuentan como caída del proveedor para el circuit breaker
+const OUTAGE = new Set(['rate_limit', 'server', 'timeout', 'connection']);
+
+/**
+ * Lee Retry-After / retry-after-ms de los headers del error (segundos o fecha HTTP)
+ * @returns {number|null} - Milisegundos a esperar
+ */
+function getRetryAfterMs(error) {
+    const headers = error?.headers || error?.response?.headers;
+    if (!headers) {
+        return null;
+    }
+
+    const leer = nombre => (typeof headers.get === 'function' ? headers.get(nombre) : headers[nombre]);
+
+    const retryAfterMs = parseFloat(leer('retry-after-ms'));
+    if (retryAfterMs >= 0) {
+        return retryAfterMs;
+    }
+
+    const retryAfter = leer('retry-after');
+    if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+        return null;
+    }
+
+    const segundos = parseFloat(retryAfter);
+    if (!Number.isNaN(segundos)) {
+        return Math.max(0, segundos * 1000);
+    }
+
+    const fecha = Date.parse(retryAfter);
+    return Number.isNaN(fecha) ? null : Math.max(0, fecha - Date.now());
+}
+
+/**
+ * Clasifica un error del SDK de OpenAI por código de estado (y por tipo si no hubo respuesta HTTP)
+ * @returns {{ category: string, retryable: boolean, status: number|null, code: string|null, retryAfterMs: number|null }}
+ */
+function classifyError(error) {
+    const status = error?.status || error?.response?.status || null;
+    const code = error?.code || error?.error?.code || null;
+    const tipo = error?.constructor?.name || error?.name || '';
+    let category;
+
+    if (code === 'CIRCUIT_OPEN') {
+        category = 'circuit_open';
+    } else if (status === 429) {
+        category = code === 'insufficient_quota' ? 'quota' : 'rate_limit';
+    } else if (status === 401 || status === 403) {
+        category = 'auth';
+    } else if (status === 404) {
+        category = 'model_not_found';
+    } else if (status === 400 || status === 422) {
+        category = code === 'context_length_exceeded' ? 'context_length' : 'invalid_request';
+    } else if (status === 408) {
+        category = 'timeout';
+    } else if (status === 409 || status >= 500) {
+        category = 'server';
+    } else if (status) {
+        category = 'unknown';
+    } else if (/UserAbort/.test(tipo) || tipo === 'AbortError') {
+        category = 'aborted';
+    } else if (/Timeout/.test(tipo) || code === 'ETIMEDOUT') {
+        category = 'timeout';
+    } else if (/APIConnection/.test(tipo) || ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(code)) {
+        category = 'connection';
+    } else {
+        category = 'unknown';
+    }
+
+    return {
+        category,
+        retryable: RETRYABLE.has(category),
+        status,
+        code,
+        retryAfterMs: getRetryAfterMs(error)
+    };
+}
+
+function isOutageError(error) {
+    return OUTAGE.has(classifyError(error).category);
+}
+
+const esperar = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Ejecuta `fn` y reintenta las fallas transitorias con backoff exponencial y jitter completo.
+ * Si el servidor envía Retry-After se espera ese tiempo (sin reintentar si supera maxDelayMs).
+ * @param {Function} fn - async (intento) => resultado
+ * @param {Object} options - { maxRetries, baseDelayMs, maxDelayMs, deadline, onRetry }
+ *   deadline: timestamp límite; no se reintenta si la espera lo rebasa
+ */
+async function retryWithBackoff(fn, { maxRetries = 2, baseDelayMs = 500, maxDelayMs = 10000, deadline = null, onRetry = null } = {}) {
+    for (let intento = 0; ; intento++) {
+        try {
+            return await fn(intento);
+        } catch (error) {
+            const clasificacion = classifyError(error);
+            error.retries = intento;
+
+            if (!clasificacion.retryable || intento >= maxRetries) {
+                throw error;
+            }
+
+            const delayMs = clasificacion.retryAfterMs !== null ?
+                clasificacion.retryAfterMs :
+                Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** intento));
+
+            if (delayMs > maxDelayMs || (deadline && Date.now() + delayMs >= deadline)) {
+                throw error;
+            }
+
+            if (onRetry) {
+                onRetry({ error, attempt: intento + 1, delayMs, classification: clasificacion });
+            }
+
+            await esperar(delayMs);
+        }
+    }
+}
+
+/**
+ * CircuitBreaker - Tras `failureThreshold` caídas seguidas deja de llamar al proveedor durante `resetTimeoutMs`
+ * (estado `open`); después permite una llamada de prueba (`half_open`) que lo cierra o lo reabre.
+ */
+class CircuitBreaker {
+    constructor({ name = 'circuit', failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.stats = { opened: 0, rejected: 0, lastError: null };
+    }
+
+    /**
+     * Indica si se puede llamar al proveedor (en half_open solo una llamada de prueba a la vez)
+     */
+    canRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.state = 'half_open';
+            this.trialInFlight = false;
+            console.log(`🟡 Circuit breaker ${this.name}: half_open (llamada de prueba)`);
+        }
+
+        if (this.state === 'closed') {
+            return true;
+        }
+
+        if (this.state === 'half_open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            console.log(`🟢 Circuit breaker ${this.name}: closed`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure(error) {
+        this.failures++;
+        this.stats.lastError = error?.message || null;
+
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+            this.trialInFlight = false;
+            this.stats.opened++;
+            console.warn(`🔴 Circuit breaker ${this.name}: open por ${Math.round(this.resetTimeoutMs / 1000)}s (${this.failures} fallas seguidas)`);
+        }
+    }
+
+    /**
+     * Ejecuta `fn` protegida por el breaker; solo las caídas (isOutage) cuentan como falla
+     */
+    async exec(fn, isOutage = isOutageError) {
+        if (!this.canRequest()) {
+            this.stats.rejected++;
+            throw Object.assign(
+                new Error(`Servicio ${this.name} en pausa tras fallas repetidas; reintento en ${Math.ceil(this.getRetryInMs() / 1000)}s`),
+                { code: 'CIRCUIT_OPEN' }
+            );
+        }
+
+        try {
+            const resultado = await fn();
+            this.recordSuccess();
+            return resultado;
+        } catch (error) {
+            if (isOutage(error)) {
+                this.recordFailure(error);
+            } else if (classifyError(error).status) {
+                // El proveedor respondió (p. ej. 400 o cuota): no es una caída
+                this.recordSuccess();
+            } else {
+                // Cancelada por nosotros: no cuenta, pero libera la llamada de prueba
+                this.trialInFlight = false;
+            }
+            throw error;
+        }
+    }
+
+    getRetryInMs() {
+        return this.state === 'open' ? Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt)) : 0;
+    }
+
+    getState() {
+        return {
+            name: this.name,
+            state: this.state,
+            failures: this.failures,
+            failureThreshold: this.failureThreshold,
+            resetTimeoutMs: this.resetTimeoutMs,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryInMs: this.getRetryInMs(),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = {
+    classifyError,
+    getRetryAfterMs,
+    isOutageError,
+    retryWithBackoff,
+    CircuitBreaker
+};
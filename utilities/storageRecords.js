@@ -0,0 +1,114 @@
+// utilities/storageRecords.js - Registros por llave en el Storage del bot o en Cosmos DB con concurrencia optimista (eTag)
+
+const crypto = require('crypto');
+
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Conflicto de eTag: otra instancia escribió el registro entre la lectura y la escritura
+ * (MemoryStorage lanza un Error con "eTag conflict"; Cosmos DB y Blob Storage responden 412)
+ */
+function isETagConflict(error) {
+    return error?.code === 412 || error?.statusCode === 412 || /etag conflict/i.test(error?.message || '');
+}
+
+/**
+ * Lee un registro (null si no existe); incluye el eTag con el que se debe escribir
+ */
+async function readRecord(storage, key) {
+    const items = await storage.read([key]);
+    return items[key] || null;
+}
+
+/**
+ * Lee, modifica y escribe un registro con el eTag leído; ante un conflicto vuelve a leer y reintenta.
+ * Un registro nuevo se escribe sin eTag (la interfaz Storage no tiene "crear si no existe"): se marca con
+ * `creationId` y se vuelve a leer; si otra instancia lo creó al mismo tiempo, el cambio se aplica sobre el suyo.
+ * @param {Function} mutate - (registro | null) => registro a guardar | null para eliminarlo | undefined sin cambios
+ * @returns {{ record: Object|null, changed: boolean }}
+ */
+async function updateRecord(storage, key, mutate) {
+    for (let attempt = 1; ; attempt++) {
+        const stored = await readRecord(storage, key);
+        const next = mutate(stored ? { ...stored } : null);
+
+        if (next === undefined) {
+            return { record: stored, changed: false };
+        }
+
+        try {
+            if (next === null) {
+                if (stored) {
+                    await storage.delete([key]);
+                }
+                return { record: null, changed: !!stored };
+            }
+
+            const { eTag, ...record } = next;
+
+            if (stored) {
+                await storage.write({ [key]: { ...record, eTag: stored.eTag } });
+                return { record, changed: true };
+            }
+
+            record.creationId = crypto.randomUUID();
+            await storage.write({ [key]: record });
+
+            const actual = await readRecord(storage, key);
+            if (actual && actual.creationId !== record.creationId && attempt < MAX_ATTEMPTS) {
+                continue;
+            }
+            return { record, changed: true };
+
+        } catch (error) {
+            if (!isETagConflict(error) || attempt >= MAX_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Lo mismo que updateRecord para un documento de Cosmos DB: reemplaza con `IfMatch` sobre el `_etag` leído
+ * y crea con `items.create`; ante 412 (otra escritura) o 409 (otra creación) vuelve a leer y reintenta.
+ * @param {Function} mutate - (documento | null) => documento a guardar | undefined sin cambios
+ * @returns {{ record: Object|null, changed: boolean }}
+ */
+async function updateItem(container, id, partitionKey, mutate) {
+    for (let attempt = 1; ; attempt++) {
+        let stored = null;
+        try {
+            ({ resource: stored } = await container.item(id, partitionKey).read());
+        } catch (error) {
+            if (error.code !== 404) {
+                throw error;
+            }
+        }
+
+        const next = mutate(stored ? { ...stored } : null);
+        if (next === undefined) {
+            return { record: stored || null, changed: false };
+        }
+
+        try {
+            const { resource } = stored ?
+                await container.item(id, partitionKey).replace({ ...next, id }, {
+                    accessCondition: { type: 'IfMatch', condition: stored._etag }
+                }) :
+                await container.items.create({ ...next, id });
+            return { record: resource || next, changed: true };
+
+        } catch (error) {
+            if (!(isETagConflict(error) || error.code === 409) || attempt >= MAX_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+}
+
+module.exports = {
+    isETagConflict,
+    readRecord,
+    updateRecord,
+    updateItem
+};
@@ -0,0 +1,91 @@
+// utilities/tokenizer.js - Conteo local de tokens con el BPE de los modelos de OpenAI (js-tiktoken)
+
+const { Tiktoken } = require('js-tiktoken/lite');
+
+// gpt-4o y posteriores usan o200k_base; gpt-4, gpt-4-turbo y gpt-3.5 usan cl100k_base
+const DEFAULT_ENCODING = 'o200k_base';
+const CL100K_MODELS = /^(gpt-4(?!o)|gpt-35|gpt-3\.5)/;
+
+// Costo fijo por mensaje en el formato de chat (rol y separadores) y por la respuesta
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3;
+
+// Los rangos de cada codificación pesan varios MB: se cargan la primera vez que se usan
+// (require explícito para que esbuild los incluya en dist/)
+const RANKS = {
+    o200k_base: () => require('js-tiktoken/ranks/o200k_base'),
+    cl100k_base: () => require('js-tiktoken/ranks/cl100k_base')
+};
+const encoders = new Map();
+
+function getEncoder(encoding = DEFAULT_ENCODING) {
+    if (!encoders.has(encoding)) {
+        encoders.set(encoding, new Tiktoken(RANKS[encoding]()));
+    }
+    return encoders.get(encoding);
+}
+
+/**
+ * Codificación del modelo (modelos desconocidos: o200k_base)
+ */
+function encodingForModel(model) {
+    return CL100K_MODELS.test(model || '') ? 'cl100k_base' : DEFAULT_ENCODING;
+}
+
+/**
+ * Tokens BPE de un texto; los tokens especiales (<|endoftext|>) se cuentan como texto normal
+ */
+function encode(text, encoding) {
+    return getEncoder(encoding).encode(String(text), [], []);
+}
+
+function countTokens(text, encoding = DEFAULT_ENCODING) {
+    if (!text) {
+        return 0;
+    }
+    return encode(text, encoding).length;
+}
+
+/**
+ * Tokens de un mensaje de chat (contenido + llamadas a herramientas + costo fijo)
+ */
+function countMessageTokens(message, encoding = DEFAULT_ENCODING) {
+    let tokens = TOKENS_PER_MESSAGE + countTokens(message.content, encoding);
+
+    if (message.tool_calls) {
+        tokens += countTokens(JSON.stringify(message.tool_calls), encoding);
+    }
+    if (message.name) {
+        tokens += countTokens(message.name, encoding);
+    }
+
+    return tokens;
+}
+
+function countMessagesTokens(messages, encoding = DEFAULT_ENCODING) {
+    return messages.reduce((total, message) => total + countMessageTokens(message, encoding), TOKENS_PER_REPLY);
+}
+
+/**
+ * Recorta un texto a un máximo de tokens
+ */
+function truncateToTokens(text, maxTokens, suffix = '…', encoding = DEFAULT_ENCODING) {
+    const tokens = encode(text, encoding);
+    if (tokens.length <= maxTokens) {
+        return text;
+    }
+
+    const limit = Math.max(0, maxTokens - countTokens(suffix, encoding));
+    // Un corte a mitad de un carácter multibyte deja U+FFFD al final: se descarta
+    const result = getEncoder(encoding).decode(tokens.slice(0, limit)).replace(/�+$/, '');
+
+    return `${result.trimEnd()}${suffix}`;
+}
+
+module.exports = {
+    encodingForModel,
+    countTokens,
+    countMessageTokens,
+    countMessagesTokens,
+    truncateToTokens
+};